@@ -0,0 +1,287 @@
+// Follows the DEX's pool, liquidity and swap events into a store.
+//
+// Reorg safety: every indexed range ends in a checkpoint holding the block hash it was
+// indexed at. Before each sync the newest checkpoint whose hash still matches the chain
+// is found, and everything indexed above it is rolled back and indexed again. Ranges
+// can also stop `confirmations` blocks short of the head so most reorgs never reach
+// the store at all.
+//
+// Reserve snapshots are read from the contract rather than replayed from events, since
+// swaps and flash swaps move reserves by amounts less any protocol fee, which events
+// don't carry. Only recent state is read, so any full node works: ranges that end more
+// than RECENT_STATE_BLOCKS behind the head (a backfill) leave their pools stale, and
+// they are snapshotted at the end of the range that catches up. Skim doesn't need
+// indexing: it only sends out tokens no pool accounts for.
+
+const FEE_DENOMINATOR = 10000n;
+
+const EVENT_TYPES = {
+  PoolCreated: "create",
+  LiquidityAdded: "add",
+  LiquidityRemoved: "remove",
+  Swap: "swap",
+  FlashSwap: "flash",
+  Sync: "sync",
+};
+
+const DEFAULT_BATCH_SIZE = 2000;
+
+// Geth keeps the state of the last 128 blocks; stay well inside that
+const RECENT_STATE_BLOCKS = 64;
+
+/**
+ * Indexer for `dex` (an ethers Contract with the DEX ABI) writing to `store`.
+ * Starts at `startBlock` and indexes up to `confirmations` blocks behind the head,
+ * at most `batchSize` blocks per getLogs call.
+ */
+function createIndexer({ provider, dex, store, startBlock = 0, confirmations = 0, batchSize = DEFAULT_BATCH_SIZE }) {
+  if (confirmations >= RECENT_STATE_BLOCKS) {
+    throw new Error(`confirmations must be below ${RECENT_STATE_BLOCKS}, older state needs an archive node`);
+  }
+
+  const topics = Object.keys(EVENT_TYPES).map((name) => dex.interface.getEvent(name).topicHash);
+  let timer = null;
+  let syncing = null;
+  // Pools whose reserves may have changed since their last snapshot. Null until the
+  // first sync, which refreshes every stored pool since a previous run may have
+  // stopped mid-backfill.
+  let stale = null;
+
+  async function lastIndexedBlock() {
+    const checkpoints = await store.getCheckpoints();
+    return checkpoints.length ? checkpoints[checkpoints.length - 1].blockNumber : startBlock - 1;
+  }
+
+  /**
+   * Roll back to the newest checkpoint still on the canonical chain
+   */
+  async function handleReorgs() {
+    const checkpoints = await store.getCheckpoints();
+
+    for (let i = checkpoints.length - 1; i >= 0; i--) {
+      const block = await provider.getBlock(checkpoints[i].blockNumber);
+      if (block && block.hash === checkpoints[i].blockHash) {
+        if (i < checkpoints.length - 1) await rollback(checkpoints[i].blockNumber);
+        return;
+      }
+    }
+    // Deeper than every checkpoint we kept: start over
+    if (checkpoints.length) await rollback(startBlock - 1);
+  }
+
+  // Rolled back snapshots may have been the only ones taken after a pool's last event
+  async function rollback(blockNumber) {
+    await store.rollback(blockNumber);
+    await markAllStale();
+  }
+
+  async function markAllStale() {
+    stale = stale ?? new Set();
+    for (const pool of await store.getPools()) stale.add(pool.poolId);
+  }
+
+  async function loadPool(poolId, created) {
+    if (created.has(poolId)) return created.get(poolId);
+
+    const stored = await store.getPool(poolId);
+    if (stored) return stored;
+
+    // Created before startBlock: read it from the contract instead
+    const pool = await dex.pools(poolId);
+    const record = {
+      poolId,
+      token0: pool.token0.toLowerCase(),
+      token1: pool.token1.toLowerCase(),
+      fee: Number(pool.fee),
+      lpToken: pool.lpToken.toLowerCase(),
+      blockNumber: startBlock - 1,
+      timestamp: null,
+    };
+    created.set(poolId, record);
+    return record;
+  }
+
+  /**
+   * Index [fromBlock, toBlock]. With `readReserves`, also record the reserves of every stale
+   * pool as of toBlock, which must be recent enough for a full node to serve.
+   */
+  async function indexRange(fromBlock, toBlock, readReserves) {
+    const endBlock = await provider.getBlock(toBlock);
+    const logs = await provider.getLogs({ address: await dex.getAddress(), topics: [topics], fromBlock, toBlock });
+
+    const blocks = new Map([[toBlock, endBlock]]);
+    const created = new Map();
+    const events = [];
+
+    for (const log of logs) {
+      if (!blocks.has(log.blockNumber)) blocks.set(log.blockNumber, await provider.getBlock(log.blockNumber));
+      const block = blocks.get(log.blockNumber);
+
+      // The chain moved under us mid-range; the next sync picks up from the last checkpoint
+      if (block.hash !== log.blockHash) throw new Error(`Reorg at block ${log.blockNumber} while indexing`);
+
+      const parsed = dex.interface.parseLog(log);
+      const base = {
+        id: `${log.blockNumber}-${log.index}`,
+        type: EVENT_TYPES[parsed.name],
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        timestamp: block.timestamp,
+      };
+      const args = parsed.args;
+
+      if (parsed.name === "PoolCreated") {
+        const poolId = args.poolId.toLowerCase();
+        created.set(poolId, {
+          poolId,
+          token0: args.token0.toLowerCase(),
+          token1: args.token1.toLowerCase(),
+          fee: Number(args.fee),
+          lpToken: args.lpToken.toLowerCase(),
+          blockNumber: log.blockNumber,
+          timestamp: block.timestamp,
+        });
+        events.push({ ...base, poolId, user: null, to: null });
+        continue;
+      }
+
+      const poolId = args.poolId.toLowerCase();
+      const pool = await loadPool(poolId, created);
+
+      if (parsed.name === "Sync") {
+        events.push({
+          ...base,
+          poolId,
+          user: null,
+          to: null,
+          reserve0: args.reserve0.toString(),
+          reserve1: args.reserve1.toString(),
+        });
+      } else if (parsed.name === "FlashSwap") {
+        events.push({
+          ...base,
+          poolId,
+          user: args.sender.toLowerCase(),
+          to: args.to.toLowerCase(),
+          amount0Out: args.amount0Out.toString(),
+          amount1Out: args.amount1Out.toString(),
+          amount0In: args.amount0In.toString(),
+          amount1In: args.amount1In.toString(),
+          // Charged on whatever comes back in, like a swap's fee on its input
+          feeAmount0: ((args.amount0In * BigInt(pool.fee)) / FEE_DENOMINATOR).toString(),
+          feeAmount1: ((args.amount1In * BigInt(pool.fee)) / FEE_DENOMINATOR).toString(),
+        });
+      } else if (parsed.name === "Swap") {
+        const tokenIn = args.tokenIn.toLowerCase();
+        events.push({
+          ...base,
+          poolId,
+          user: args.user.toLowerCase(),
+          to: args.to.toLowerCase(),
+          tokenIn,
+          tokenOut: tokenIn === pool.token0 ? pool.token1 : pool.token0,
+          amountIn: args.amountIn.toString(),
+          amountOut: args.amountOut.toString(),
+          feeAmount: ((args.amountIn * BigInt(pool.fee)) / FEE_DENOMINATOR).toString(),
+        });
+      } else {
+        events.push({
+          ...base,
+          poolId,
+          user: args.provider.toLowerCase(),
+          to: args.to.toLowerCase(),
+          amount0: args.amount0.toString(),
+          amount1: args.amount1.toString(),
+          liquidity: args.liquidity.toString(),
+        });
+      }
+    }
+
+    // Reserves of every pool touched since its last snapshot as of the range's last
+    // block, for TVL over time
+    const pending = new Set([...stale, ...events.map((event) => event.poolId)]);
+    const snapshots = [];
+    if (readReserves) {
+      for (const poolId of pending) {
+        const pool = await dex.pools(poolId, { blockTag: toBlock });
+        snapshots.push({
+          poolId,
+          blockNumber: toBlock,
+          timestamp: endBlock.timestamp,
+          reserve0: pool.reserve0.toString(),
+          reserve1: pool.reserve1.toString(),
+          totalLiquidity: pool.totalLiquidity.toString(),
+        });
+      }
+    }
+
+    await store.commit({
+      pools: [...created.values()],
+      events,
+      snapshots,
+      checkpoint: { blockNumber: toBlock, blockHash: endBlock.hash },
+    });
+    stale = readReserves ? new Set() : pending;
+    return events.length;
+  }
+
+  /**
+   * Index everything new up to `confirmations` behind the head. Returns the last indexed block.
+   */
+  async function sync() {
+    // One sync at a time, so the poller and manual calls never interleave
+    if (syncing) return syncing;
+
+    syncing = (async () => {
+      if (stale === null) await markAllStale();
+      await handleReorgs();
+
+      const head = await provider.getBlockNumber();
+      const target = head - confirmations;
+      let from = (await lastIndexedBlock()) + 1;
+      while (from <= target) {
+        const to = Math.min(from + batchSize - 1, target);
+        await indexRange(from, to, head - to < RECENT_STATE_BLOCKS);
+        from = to + 1;
+      }
+      return lastIndexedBlock();
+    })();
+
+    try {
+      return await syncing;
+    } finally {
+      syncing = null;
+    }
+  }
+
+  /**
+   * Sync every `intervalMs` until stop(). Failed syncs are logged and retried.
+   */
+  function start(intervalMs) {
+    async function tick() {
+      try {
+        await sync();
+      } catch (error) {
+        console.error("Sync failed:", error.message);
+      }
+      if (timer !== null) timer = setTimeout(tick, intervalMs);
+    }
+    timer = setTimeout(tick, 0);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return { sync, start, stop, lastIndexedBlock };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  DEFAULT_BATCH_SIZE,
+  RECENT_STATE_BLOCKS,
+  createIndexer,
+};
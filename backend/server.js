@@ -0,0 +1,213 @@
+// REST API over the indexed DEX events, and the process that runs the indexer.
+//
+//   GET /health                          indexed block and DEX address
+//   GET /pools                           every pool with its current reserves
+//   GET /pools/:poolId                   one pool with reserves and all-time totals
+//   GET /pools/:poolId/stats             volume, fees and TVL over time
+//                                          ?interval=<seconds>&from=<unix>&to=<unix>
+//   GET /pools/:poolId/events            the pool's events, newest first
+//                                          ?type=swap|add|remove|flash|sync&limit&offset
+//   GET /users/:address/history          a user's swaps and liquidity changes, newest first
+//                                          ?type=swap|add|remove|flash&poolId&limit&offset
+//
+// Configuration comes from the environment:
+//   RPC_URL           node to index (default http://127.0.0.1:8545)
+//   DEX_ADDRESS       defaults to contracts.DEX in deployment-info.json
+//   START_BLOCK       first block to index (default 0)
+//   CONFIRMATIONS     blocks to stay behind the head (default 0, use ~12 on public networks, at most 63)
+//   POLL_INTERVAL_MS  default 2000
+//   BATCH_SIZE        blocks per getLogs call (default 2000)
+//   STORE_FILE        persist the in-memory store to this JSON file (default: memory only)
+//   PORT              default 3002
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createIndexer, DEFAULT_BATCH_SIZE } = require("./indexer");
+const { createMemoryStore } = require("./store/memoryStore");
+const { poolStats } = require("./stats");
+
+const DEFAULT_INTERVAL = 3600;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_BUCKETS = 10000;
+const EVENT_TYPES = ["swap", "add", "remove", "flash", "sync"];
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+  res.end(JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+function integerParam(query, name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const raw = query.get(name);
+  if (raw === null) return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) throw new ApiError(400, `Invalid ${name}`);
+  return value;
+}
+
+function typeParam(query) {
+  const type = query.get("type");
+  if (type !== null && !EVENT_TYPES.includes(type)) throw new ApiError(400, "Invalid type");
+  return type ?? undefined;
+}
+
+function pageParams(query) {
+  return {
+    limit: integerParam(query, "limit", DEFAULT_LIMIT, { min: 1, max: MAX_LIMIT }),
+    offset: integerParam(query, "offset", 0),
+  };
+}
+
+async function latestReserves(store, poolId) {
+  const snapshots = await store.getSnapshots(poolId);
+  const latest = snapshots[snapshots.length - 1];
+  return latest
+    ? {
+        reserve0: latest.reserve0,
+        reserve1: latest.reserve1,
+        totalLiquidity: latest.totalLiquidity,
+        blockNumber: latest.blockNumber,
+        timestamp: latest.timestamp,
+      }
+    : null;
+}
+
+// Swaps and flash swaps, the events that pay fees
+async function trades(store, poolId, range = {}) {
+  const swaps = await store.getEvents({ poolId, type: "swap", ...range });
+  const flashSwaps = await store.getEvents({ poolId, type: "flash", ...range });
+  return [...swaps, ...flashSwaps];
+}
+
+async function requirePool(store, poolId) {
+  if (!ethers.isHexString(poolId, 32)) throw new ApiError(400, "Invalid pool id");
+
+  const pool = await store.getPool(poolId);
+  if (!pool) throw new ApiError(404, "Pool not found");
+  return pool;
+}
+
+/**
+ * Route a GET request to the store. Returns the response body or throws ApiError.
+ */
+async function handle(store, indexer, dexAddress, url) {
+  const parts = url.pathname.split("/").filter(Boolean);
+  const query = url.searchParams;
+
+  if (parts.length === 1 && parts[0] === "health") {
+    return { dex: dexAddress, indexedBlock: await indexer.lastIndexedBlock() };
+  }
+
+  if (parts[0] === "pools" && parts.length === 1) {
+    const pools = await store.getPools();
+    return Promise.all(pools.map(async (pool) => ({ ...pool, tvl: await latestReserves(store, pool.poolId) })));
+  }
+
+  if (parts[0] === "pools" && parts.length === 2) {
+    const pool = await requirePool(store, parts[1]);
+    const { totals } = poolStats(pool, await trades(store, pool.poolId), [], DEFAULT_INTERVAL);
+    return { ...pool, tvl: await latestReserves(store, pool.poolId), totals };
+  }
+
+  if (parts[0] === "pools" && parts.length === 3 && parts[2] === "stats") {
+    const pool = await requirePool(store, parts[1]);
+    const interval = integerParam(query, "interval", DEFAULT_INTERVAL, { min: 1 });
+    const fromTime = integerParam(query, "from", pool.timestamp ?? 0);
+    // Default to the newest indexed data rather than the wall clock, which chain time need not follow
+    const latest = await latestReserves(store, pool.poolId);
+    const toTime = integerParam(query, "to", latest ? latest.timestamp : fromTime);
+    if ((toTime - fromTime) / interval > MAX_BUCKETS) throw new ApiError(400, "Too many buckets, raise the interval");
+
+    const snapshots = await store.getSnapshots(pool.poolId, { toTime });
+    const stats = poolStats(pool, await trades(store, pool.poolId, { fromTime, toTime }), snapshots, interval, fromTime);
+    return { poolId: pool.poolId, from: fromTime, to: toTime, ...stats };
+  }
+
+  if (parts[0] === "pools" && parts.length === 3 && parts[2] === "events") {
+    const pool = await requirePool(store, parts[1]);
+    return store.getEvents({ poolId: pool.poolId, type: typeParam(query), order: "desc", ...pageParams(query) });
+  }
+
+  if (parts[0] === "users" && parts.length === 3 && parts[2] === "history") {
+    if (!ethers.isAddress(parts[1])) throw new ApiError(400, "Invalid address");
+
+    const poolId = query.get("poolId") ?? undefined;
+    if (poolId !== undefined && !ethers.isHexString(poolId, 32)) throw new ApiError(400, "Invalid pool id");
+    return store.getEvents({ user: parts[1], poolId, type: typeParam(query), order: "desc", ...pageParams(query) });
+  }
+
+  throw new ApiError(404, "Not found");
+}
+
+/**
+ * HTTP server answering from `store`. `indexer` is only used for the health check.
+ */
+function createServer(store, indexer, dexAddress) {
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method !== "GET") throw new ApiError(405, "Method not allowed");
+      send(res, 200, await handle(store, indexer, dexAddress, new URL(req.url, "http://localhost")));
+    } catch (error) {
+      if (error instanceof ApiError) return send(res, error.status, { error: error.message });
+
+      console.error("Request failed:", error);
+      send(res, 500, { error: "Internal error" });
+    }
+  });
+}
+
+function loadDeployment() {
+  const deploymentPath = path.join(__dirname, "../deployment-info.json");
+  if (!fs.existsSync(deploymentPath)) return {};
+  return JSON.parse(fs.readFileSync(deploymentPath, "utf8")).contracts || {};
+}
+
+function loadAbi(file, name) {
+  const artifactPath = path.join(__dirname, `../artifacts/contracts/${file}/${name}.json`);
+  if (!fs.existsSync(artifactPath)) throw new Error(`Artifact for ${name} not found. Run npm run compile first.`);
+  return JSON.parse(fs.readFileSync(artifactPath, "utf8")).abi;
+}
+
+async function main() {
+  const dexAddress = process.env.DEX_ADDRESS || loadDeployment().DEX;
+  if (!dexAddress) throw new Error("DEX address missing");
+
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const dex = new ethers.Contract(dexAddress, loadAbi("Dex.sol", "DEX"), provider);
+  const store = createMemoryStore({ file: process.env.STORE_FILE });
+
+  const indexer = createIndexer({
+    provider,
+    dex,
+    store,
+    startBlock: Number(process.env.START_BLOCK || 0),
+    confirmations: Number(process.env.CONFIRMATIONS || 0),
+    batchSize: Number(process.env.BATCH_SIZE || DEFAULT_BATCH_SIZE),
+  });
+  indexer.start(Number(process.env.POLL_INTERVAL_MS || 2000));
+
+  const port = Number(process.env.PORT || 3002);
+  createServer(store, indexer, dexAddress).listen(port, () => {
+    console.log(`Indexer API listening on port ${port}`);
+    console.log("DEX:", dexAddress);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ApiError, createServer };
@@ -0,0 +1,74 @@
+// Pool statistics computed from indexed events and reserve snapshots, so they work
+// the same on top of any store. Amounts are in token units (no USD prices): volume
+// counts each token crossing the pool in swaps, fees are the swap fee on the input
+// token plus the fee flash swaps pay on what they return, and TVL is the pool's reserves.
+
+/**
+ * Volume, fees and TVL of `pool` in buckets of `interval` seconds from `fromTime` on.
+ * `trades` (swap and flash events, already limited to the time range) and `snapshots`
+ * (everything up to the end of the range) are oldest first; TVL in a bucket is the last
+ * snapshot before its end.
+ */
+function poolStats(pool, trades, snapshots, interval, fromTime = 0) {
+  const buckets = new Map();
+
+  function bucket(timestamp) {
+    const start = Math.floor(timestamp / interval) * interval;
+    if (!buckets.has(start)) {
+      buckets.set(start, { timestamp: start, swaps: 0, flashSwaps: 0, volume0: 0n, volume1: 0n, fees0: 0n, fees1: 0n });
+    }
+    return buckets.get(start);
+  }
+
+  for (const trade of trades) {
+    const entry = bucket(trade.timestamp);
+    if (trade.type === "flash") {
+      entry.flashSwaps += 1;
+      entry.fees0 += BigInt(trade.feeAmount0);
+      entry.fees1 += BigInt(trade.feeAmount1);
+      continue;
+    }
+
+    const swap = trade;
+    const zeroForOne = swap.tokenIn === pool.token0;
+    const [in0, in1] = zeroForOne ? [BigInt(swap.amountIn), 0n] : [0n, BigInt(swap.amountIn)];
+    const [out0, out1] = zeroForOne ? [0n, BigInt(swap.amountOut)] : [BigInt(swap.amountOut), 0n];
+
+    entry.swaps += 1;
+    entry.volume0 += in0 + out0;
+    entry.volume1 += in1 + out1;
+    if (zeroForOne) entry.fees0 += BigInt(swap.feeAmount);
+    else entry.fees1 += BigInt(swap.feeAmount);
+  }
+  for (const snapshot of snapshots) {
+    if (snapshot.timestamp >= fromTime) bucket(snapshot.timestamp);
+  }
+
+  // Carry reserves forward through buckets without a snapshot of their own
+  const ordered = [...buckets.values()].sort((a, b) => a.timestamp - b.timestamp);
+  let next = 0;
+  let reserves = { reserve0: 0n, reserve1: 0n };
+  for (const entry of ordered) {
+    while (next < snapshots.length && snapshots[next].timestamp < entry.timestamp + interval) {
+      reserves = { reserve0: BigInt(snapshots[next].reserve0), reserve1: BigInt(snapshots[next].reserve1) };
+      next += 1;
+    }
+    Object.assign(entry, reserves);
+  }
+
+  const totals = ordered.reduce(
+    (sum, entry) => ({
+      swaps: sum.swaps + entry.swaps,
+      flashSwaps: sum.flashSwaps + entry.flashSwaps,
+      volume0: sum.volume0 + entry.volume0,
+      volume1: sum.volume1 + entry.volume1,
+      fees0: sum.fees0 + entry.fees0,
+      fees1: sum.fees1 + entry.fees1,
+    }),
+    { swaps: 0, flashSwaps: 0, volume0: 0n, volume1: 0n, fees0: 0n, fees1: 0n }
+  );
+
+  return { interval, totals, buckets: ordered };
+}
+
+module.exports = { poolStats };
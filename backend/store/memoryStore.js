@@ -0,0 +1,100 @@
+// In-memory indexer store, optionally persisted to a JSON file so a local indexer
+// survives restarts without a database.
+//
+// Every store implements the same interface, so the indexer and API don't care
+// where the data lives:
+//
+//   getCheckpoints()                     indexed block checkpoints, oldest first
+//   commit({ pools, events, snapshots, checkpoint })
+//                                        apply one indexed block range atomically
+//   rollback(blockNumber)                forget everything above blockNumber (reorgs)
+//   getPools() / getPool(poolId)
+//   getEvents({ poolId, user, type, fromTime, toTime, order, limit, offset })
+//   getSnapshots(poolId, { fromTime, toTime })
+//
+// Amounts are kept as decimal strings so records round-trip through JSON unchanged.
+
+const fs = require("fs");
+
+// Checkpoints older than this can no longer be rolled back to; a deeper reorg
+// makes the indexer start over from its start block
+const MAX_CHECKPOINTS = 128;
+
+function emptyState() {
+  return { checkpoints: [], pools: [], events: [], snapshots: [] };
+}
+
+function byPosition(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+function inTimeRange(record, fromTime, toTime) {
+  return (fromTime === undefined || record.timestamp >= fromTime) && (toTime === undefined || record.timestamp <= toTime);
+}
+
+function createMemoryStore({ file } = {}) {
+  let state = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : emptyState();
+
+  function persist() {
+    if (!file) return;
+    // Write then rename, so a crash mid-write never leaves a truncated file
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(state));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  return {
+    async getCheckpoints() {
+      return [...state.checkpoints];
+    },
+
+    async commit({ pools = [], events = [], snapshots = [], checkpoint }) {
+      const known = new Set(state.pools.map((pool) => pool.poolId));
+      state = {
+        checkpoints: [...state.checkpoints, checkpoint].slice(-MAX_CHECKPOINTS),
+        pools: [...state.pools, ...pools.filter((pool) => !known.has(pool.poolId))],
+        events: [...state.events, ...events].sort(byPosition),
+        snapshots: [...state.snapshots, ...snapshots],
+      };
+      persist();
+    },
+
+    async rollback(blockNumber) {
+      state = {
+        checkpoints: state.checkpoints.filter((checkpoint) => checkpoint.blockNumber <= blockNumber),
+        pools: state.pools.filter((pool) => pool.blockNumber <= blockNumber),
+        events: state.events.filter((event) => event.blockNumber <= blockNumber),
+        snapshots: state.snapshots.filter((snapshot) => snapshot.blockNumber <= blockNumber),
+      };
+      persist();
+    },
+
+    async getPools() {
+      return [...state.pools];
+    },
+
+    async getPool(poolId) {
+      return state.pools.find((pool) => pool.poolId === poolId.toLowerCase()) ?? null;
+    },
+
+    async getEvents({ poolId, user, type, fromTime, toTime, order = "asc", limit = Infinity, offset = 0 } = {}) {
+      const address = user?.toLowerCase();
+      const matching = state.events.filter(
+        (event) =>
+          (!poolId || event.poolId === poolId.toLowerCase()) &&
+          (!address || event.user === address || event.to === address) &&
+          (!type || event.type === type) &&
+          inTimeRange(event, fromTime, toTime)
+      );
+      if (order === "desc") matching.reverse();
+      return matching.slice(offset, offset + limit);
+    },
+
+    async getSnapshots(poolId, { fromTime, toTime } = {}) {
+      return state.snapshots.filter(
+        (snapshot) => snapshot.poolId === poolId.toLowerCase() && inTimeRange(snapshot, fromTime, toTime)
+      );
+    },
+  };
+}
+
+module.exports = { MAX_CHECKPOINTS, createMemoryStore };
@@ -1,33 +1,121 @@
 import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
+import CreatePool from './pages/CreatePool'
+import Liquidity from './pages/Liquidity'
+import Swap from './pages/Swap'
+import { useWallet } from './hooks/useWallet'
+import { DEFAULT_FEE, DEFAULT_TOKENS, deployment } from './utils/contracts'
+import { errorMessage, shortAddress } from './utils/format'
 import './App.css'
 
+const PAGES = [
+  { id: 'swap', label: 'Swap' },
+  { id: 'liquidity', label: 'Liquidity' },
+  { id: 'create', label: 'Create pool' },
+]
+
+const DEFAULT_PAIR = { tokenA: DEFAULT_TOKENS[0] ?? '', tokenB: DEFAULT_TOKENS[1] ?? '', fee: DEFAULT_FEE }
+
 function App() {
-  const [count, setCount] = useState(0)
+  const wallet = useWallet()
+  const [page, setPage] = useState('swap')
+  const [pair, setPair] = useState(DEFAULT_PAIR)
+  const [customTokens, setCustomTokens] = useState([])
+  const [status, setStatus] = useState(null)
+  const wrongChain = wallet.chainId !== null && wallet.chainId !== deployment.chainId
 
-  return (
-    <>
-      <div>
-        <a href="https://vite.dev" target="_blank">
-          <img src={viteLogo} className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://react.dev" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + React</h1>
-      <div className="card">
-        <button onClick={() => setCount((count) => count + 1)}>
-          count is {count}
+  const tokenAddresses = [...DEFAULT_TOKENS, ...customTokens]
+
+  function addToken(address) {
+    if (!tokenAddresses.some((known) => known.toLowerCase() === address.toLowerCase())) {
+      setCustomTokens([...customTokens, address])
+    }
+  }
+
+  // Jump between the liquidity pages with the same pair selected
+  function openPage(id, nextPair = pair) {
+    setPair(nextPair)
+    setPage(id)
+  }
+
+  // Wallet prompts reject when the user declines or the wallet can't comply
+  async function walletAction(action) {
+    setStatus(null)
+    try {
+      await action()
+    } catch (error) {
+      setStatus({ type: 'error', message: errorMessage(error) })
+    }
+  }
+
+  const pageProps = { wallet, tokenAddresses, onAddToken: addToken }
+
+  let content
+  if (!wallet.available) {
+    content = <p className="notice">Install an Ethereum wallet such as MetaMask to trade.</p>
+  } else if (!wallet.account) {
+    content = <p className="notice">Connect your wallet to start trading.</p>
+  } else if (wrongChain) {
+    content = (
+      <p className="notice">
+        The DEX is deployed on {deployment.network} (chain {deployment.chainId}).{' '}
+        <button type="button" onClick={() => walletAction(() => wallet.switchChain(deployment.chainId))}>
+          Switch network
         </button>
-        <p>
-          Edit <code>src/App.jsx</code> and save to test HMR
-        </p>
-      </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
       </p>
+    )
+  } else if (page === 'liquidity') {
+    content = (
+      <Liquidity
+        key={`${pair.tokenA}:${pair.tokenB}:${pair.fee}`}
+        {...pageProps}
+        initialPair={pair}
+        onCreatePool={(next) => openPage('create', next)}
+      />
+    )
+  } else if (page === 'create') {
+    content = (
+      <CreatePool
+        key={`${pair.tokenA}:${pair.tokenB}:${pair.fee}`}
+        {...pageProps}
+        initialPair={pair}
+        onAddLiquidity={(next) => openPage('liquidity', next)}
+      />
+    )
+  } else {
+    content = <Swap {...pageProps} />
+  }
+
+  return (
+    <>
+      <header className="header">
+        <h1>Simple DEX</h1>
+        {wallet.account ? (
+          <span className="account">{shortAddress(wallet.account)}</span>
+        ) : (
+          wallet.available && (
+            <button type="button" onClick={() => walletAction(wallet.connect)}>
+              Connect wallet
+            </button>
+          )
+        )}
+      </header>
+      <nav className="tabs">
+        {PAGES.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            className={page === id ? 'active' : undefined}
+            onClick={() => openPage(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </nav>
+      <main>
+        {content}
+        {status && <p className={`status ${status.type}`}>{status.message}</p>}
+        {wallet.error && <p className="status error">Could not read the wallet: {errorMessage(wallet.error)}</p>}
+      </main>
     </>
   )
 }
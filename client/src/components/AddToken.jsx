@@ -0,0 +1,28 @@
+import { useState } from 'react'
+import { isAddress } from 'ethers'
+
+function AddToken({ onAdd }) {
+  const [address, setAddress] = useState('')
+
+  function submit(e) {
+    e.preventDefault()
+    if (!isAddress(address)) return
+    onAdd(address)
+    setAddress('')
+  }
+
+  return (
+    <form className="add-token" onSubmit={submit}>
+      <input
+        placeholder="Add a token by address (0x…)"
+        value={address}
+        onChange={(e) => setAddress(e.target.value.trim())}
+      />
+      <button type="submit" disabled={!isAddress(address)}>
+        Add
+      </button>
+    </form>
+  )
+}
+
+export default AddToken
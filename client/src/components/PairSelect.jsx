@@ -0,0 +1,36 @@
+import TokenSelect from './TokenSelect'
+import { FEE_TIERS } from '../utils/contracts'
+import { formatBps } from '../utils/format'
+
+function PairSelect({ pair, onChange, tokens }) {
+  return (
+    <>
+      <div className="row">
+        <TokenSelect
+          label="Token A"
+          value={pair.tokenA}
+          onChange={(tokenA) => onChange({ ...pair, tokenA })}
+          tokens={tokens}
+        />
+        <TokenSelect
+          label="Token B"
+          value={pair.tokenB}
+          onChange={(tokenB) => onChange({ ...pair, tokenB })}
+          tokens={tokens}
+        />
+      </div>
+      <label className="field">
+        <span className="field-label">Fee tier</span>
+        <select value={pair.fee} onChange={(e) => onChange({ ...pair, fee: Number(e.target.value) })}>
+          {FEE_TIERS.map((tier) => (
+            <option key={tier} value={tier}>
+              {formatBps(tier)}
+            </option>
+          ))}
+        </select>
+      </label>
+    </>
+  )
+}
+
+export default PairSelect
@@ -0,0 +1,28 @@
+import { formatUnits } from 'ethers'
+
+function TokenSelect({ label, value, onChange, tokens }) {
+  const selected = tokens[value]
+
+  return (
+    <label className="field">
+      <span className="field-label">
+        {label}
+        {selected && (
+          <span className="balance">
+            Balance: {formatUnits(selected.balance, selected.decimals)}
+          </span>
+        )}
+      </span>
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">Select a token</option>
+        {Object.values(tokens).map((token) => (
+          <option key={token.address} value={token.address}>
+            {token.symbol}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+export default TokenSelect
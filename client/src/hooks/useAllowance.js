@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react'
+import { deployment, getToken } from '../utils/contracts'
+
+/**
+ * The account's allowance of `token` to the DEX, or null while it loads
+ */
+export function useAllowance(provider, account, token, refreshKey) {
+  const [allowance, setAllowance] = useState(null)
+
+  useEffect(() => {
+    if (!provider || !account || !token) return
+    let cancelled = false
+
+    getToken(token, provider)
+      .allowance(account, deployment.contracts.DEX)
+      .then((value) => {
+        if (!cancelled) setAllowance({ token, value })
+      })
+      .catch((error) => console.error('Failed to load allowance', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [provider, account, token, refreshKey])
+
+  // Ignore a value still loaded for the previously selected token
+  return allowance?.token === token ? allowance.value : null
+}
@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react'
+
+/**
+ * Latest block number, for re-reading chain state that other accounts can change
+ */
+export function useBlockNumber(provider) {
+  const [blockNumber, setBlockNumber] = useState(null)
+
+  useEffect(() => {
+    if (!provider) return
+    provider.on('block', setBlockNumber)
+    return () => {
+      provider.off('block', setBlockNumber)
+    }
+  }, [provider])
+
+  return blockNumber
+}
@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react'
+import { ZeroAddress } from 'ethers'
+import { getPoolId } from 'simple-dex-sdk/pool'
+import { getDex } from '../utils/contracts'
+
+/**
+ * The (tokenA, tokenB, fee) pool's state and the account's LP share of it, reloaded on
+ * every block and after `refreshKey` changes. Null while loading or without a pair;
+ * `exists` is false if the pool hasn't been created.
+ */
+export function usePool(provider, account, tokenA, tokenB, fee, refreshKey, blockNumber) {
+  const [pool, setPool] = useState(null)
+  const key = tokenA && tokenB && tokenA !== tokenB ? `${tokenA}:${tokenB}:${fee}` : null
+
+  useEffect(() => {
+    if (!provider || !key) return
+    let cancelled = false
+
+    async function load() {
+      const dex = getDex(provider)
+      const poolId = getPoolId(tokenA, tokenB, fee)
+      const [state, liquidity] = await Promise.all([
+        dex.pools(poolId),
+        account ? dex.liquidity(poolId, account) : 0n,
+      ])
+      return {
+        key,
+        poolId,
+        exists: state.lpToken !== ZeroAddress,
+        token0: state.token0,
+        token1: state.token1,
+        reserve0: state.reserve0,
+        reserve1: state.reserve1,
+        totalLiquidity: state.totalLiquidity,
+        lpToken: state.lpToken,
+        liquidity,
+      }
+    }
+
+    load()
+      .then((value) => {
+        if (!cancelled) setPool(value)
+      })
+      .catch((error) => console.error('Failed to load pool', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [provider, account, key, tokenA, tokenB, fee, refreshKey, blockNumber])
+
+  return pool?.key === key ? pool : null
+}
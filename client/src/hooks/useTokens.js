@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react'
+import { getToken } from '../utils/contracts'
+
+/**
+ * Symbol, decimals and the account's balance for each token address, reloaded
+ * whenever `refreshKey` changes (e.g. after a transaction)
+ */
+export function useTokens(provider, account, addresses, refreshKey) {
+  const [tokens, setTokens] = useState({})
+  const key = addresses.join(',')
+
+  useEffect(() => {
+    if (!provider) return
+    let cancelled = false
+
+    Promise.all(
+      key.split(',').filter(Boolean).map(async (address) => {
+        const token = getToken(address, provider)
+        const [symbol, decimals, balance] = await Promise.all([
+          token.symbol(),
+          token.decimals(),
+          account ? token.balanceOf(account) : 0n,
+        ])
+        return [address, { address, symbol, decimals: Number(decimals), balance }]
+      }),
+    )
+      .then((entries) => {
+        if (!cancelled) setTokens(Object.fromEntries(entries))
+      })
+      .catch((error) => console.error('Failed to load tokens', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [provider, account, key, refreshKey])
+
+  return tokens
+}
@@ -0,0 +1,31 @@
+import { useState } from 'react'
+import { errorMessage } from '../utils/format'
+
+/**
+ * Send one transaction at a time from the wallet, tracking the pending label and the
+ * outcome. `refreshKey` bumps after every confirmed transaction so pages can reload.
+ */
+export function useTransaction(provider) {
+  const [pending, setPending] = useState(null)
+  const [status, setStatus] = useState(null)
+  const [refreshKey, setRefreshKey] = useState(0)
+
+  async function send(label, buildTx) {
+    setPending(label)
+    setStatus(null)
+    try {
+      const tx = await buildTx(await provider.getSigner())
+      await tx.wait()
+      setStatus({ type: 'success', message: `${label} confirmed` })
+      setRefreshKey((key) => key + 1)
+      return true
+    } catch (error) {
+      setStatus({ type: 'error', message: errorMessage(error) })
+      return false
+    } finally {
+      setPending(null)
+    }
+  }
+
+  return { pending, status, refreshKey, send }
+}
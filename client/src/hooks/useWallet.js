@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { BrowserProvider, toQuantity } from 'ethers'
+
+const HARDHAT_CHAIN_ID = 31337
+
+/**
+ * Injected EIP-1193 wallet (MetaMask and friends): the connected account, its chain,
+ * and an ethers provider that follows both. `error` holds the last failure to read
+ * either from the wallet.
+ */
+export function useWallet() {
+  const ethereum = typeof window === 'undefined' ? undefined : window.ethereum
+  const [account, setAccount] = useState(null)
+  const [chainId, setChainId] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!ethereum) return
+
+    const onAccounts = (accounts) => setAccount(accounts[0] ?? null)
+    const onChain = (id) => setChainId(Number(id))
+
+    // Pick up a wallet that's already connected without prompting
+    ethereum.request({ method: 'eth_accounts' }).then(onAccounts).catch(setError)
+    ethereum.request({ method: 'eth_chainId' }).then(onChain).catch(setError)
+
+    ethereum.on?.('accountsChanged', onAccounts)
+    ethereum.on?.('chainChanged', onChain)
+    return () => {
+      ethereum.removeListener?.('accountsChanged', onAccounts)
+      ethereum.removeListener?.('chainChanged', onChain)
+    }
+  }, [ethereum])
+
+  // A fresh provider per chain, since ethers providers don't survive a network change
+  const provider = useMemo(
+    () => (ethereum && chainId ? new BrowserProvider(ethereum) : null),
+    [ethereum, chainId],
+  )
+
+  const connect = useCallback(async () => {
+    const accounts = await ethereum.request({ method: 'eth_requestAccounts' })
+    setAccount(accounts[0] ?? null)
+    setError(null)
+  }, [ethereum])
+
+  const switchChain = useCallback(
+    async (targetChainId) => {
+      try {
+        await ethereum.request({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: toQuantity(targetChainId) }],
+        })
+      } catch (error) {
+        // 4902: the wallet doesn't know the chain yet. Only a local node can be added blind.
+        if (error.code !== 4902 || targetChainId !== HARDHAT_CHAIN_ID) throw error
+        await ethereum.request({
+          method: 'wallet_addEthereumChain',
+          params: [
+            {
+              chainId: toQuantity(targetChainId),
+              chainName: 'Hardhat',
+              rpcUrls: ['http://127.0.0.1:8545'],
+              nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+            },
+          ],
+        })
+      }
+    },
+    [ethereum],
+  )
+
+  return { available: Boolean(ethereum), account, chainId, provider, error, connect, switchChain }
+}
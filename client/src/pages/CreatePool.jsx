@@ -0,0 +1,56 @@
+import { useState } from 'react'
+import AddToken from '../components/AddToken'
+import PairSelect from '../components/PairSelect'
+import { usePool } from '../hooks/usePool'
+import { useTokens } from '../hooks/useTokens'
+import { useTransaction } from '../hooks/useTransaction'
+import { getDex } from '../utils/contracts'
+import { formatBps } from '../utils/format'
+
+function CreatePool({ wallet, tokenAddresses, onAddToken, initialPair, onAddLiquidity }) {
+  const { provider, account } = wallet
+  const [pair, setPair] = useState(initialPair)
+  const { pending, status, refreshKey, send } = useTransaction(provider)
+  const tokens = useTokens(provider, account, tokenAddresses, refreshKey)
+  const pool = usePool(provider, account, pair.tokenA, pair.tokenB, pair.fee, refreshKey)
+
+  const tokenA = tokens[pair.tokenA]
+  const tokenB = tokens[pair.tokenB]
+
+  function createPool() {
+    return send('Create pool', (signer) => getDex(signer).createPool(pair.tokenA, pair.tokenB, pair.fee))
+  }
+
+  let action = null
+  if (!tokenA || !tokenB || pair.tokenA === pair.tokenB) action = 'Select two different tokens'
+  else if (!pool) action = 'Checking pool…'
+
+  return (
+    <section className="card">
+      <h2>Create pool</h2>
+      <PairSelect pair={pair} onChange={setPair} tokens={tokens} />
+
+      {action ? (
+        <button type="button" className="primary" disabled>
+          {action}
+        </button>
+      ) : pool.exists ? (
+        <p className="notice">
+          The {tokenA.symbol}/{tokenB.symbol} pool at {formatBps(pair.fee)} exists.{' '}
+          <button type="button" onClick={() => onAddLiquidity(pair)}>
+            Add liquidity
+          </button>
+        </p>
+      ) : (
+        <button type="button" className="primary" onClick={createPool} disabled={Boolean(pending)}>
+          {pending ?? `Create ${tokenA.symbol}/${tokenB.symbol} pool`}
+        </button>
+      )}
+
+      {status && <p className={`status ${status.type}`}>{status.message}</p>}
+      <AddToken onAdd={onAddToken} />
+    </section>
+  )
+}
+
+export default CreatePool
@@ -0,0 +1,310 @@
+import { useState } from 'react'
+import { MaxUint256, formatUnits, parseUnits } from 'ethers'
+import { previewAddLiquidity, previewRemoveLiquidity, quoteLiquidity } from 'simple-dex-sdk/liquidity'
+import { isToken0 } from 'simple-dex-sdk/pool'
+import { deadlineIn, minAmount } from 'simple-dex-sdk/slippage'
+import AddToken from '../components/AddToken'
+import PairSelect from '../components/PairSelect'
+import { useAllowance } from '../hooks/useAllowance'
+import { useBlockNumber } from '../hooks/useBlockNumber'
+import { usePool } from '../hooks/usePool'
+import { useTokens } from '../hooks/useTokens'
+import { useTransaction } from '../hooks/useTransaction'
+import { deployment, getDex, getToken } from '../utils/contracts'
+import { formatBps, parseSlippage, shareBps } from '../utils/format'
+
+const LP_DECIMALS = 18
+const PERCENT_PRESETS = [25, 50, 75, 100]
+
+function parseAmount(value, token) {
+  try {
+    return token && value ? parseUnits(value, token.decimals) : 0n
+  } catch {
+    return 0n
+  }
+}
+
+// The SDK's previews throw the contract's revert reasons; the UI only needs to know the
+// deposit won't mint anything or the withdrawal pays nothing
+function previewDeposit(pool, amount0Desired, amount1Desired) {
+  try {
+    return previewAddLiquidity(pool, amount0Desired, amount1Desired)
+  } catch {
+    return { amount0: 0n, amount1: 0n, liquidity: 0n, totalLiquidity: pool.totalLiquidity }
+  }
+}
+
+function previewWithdraw(pool, liquidity) {
+  try {
+    const { amount0, amount1 } = previewRemoveLiquidity(pool, liquidity)
+    return [amount0, amount1]
+  } catch {
+    return [0n, 0n]
+  }
+}
+
+function Liquidity({ wallet, tokenAddresses, onAddToken, initialPair, onCreatePool }) {
+  const { provider, account } = wallet
+  const [pair, setPair] = useState(initialPair)
+  const [amounts, setAmounts] = useState({ A: '', B: '' })
+  const [lastEdited, setLastEdited] = useState('A')
+  const [percent, setPercent] = useState(50)
+  const [slippage, setSlippage] = useState('0.5')
+  const { pending, status, refreshKey, send } = useTransaction(provider)
+  const blockNumber = useBlockNumber(provider)
+  const tokens = useTokens(provider, account, tokenAddresses, refreshKey)
+  const pool = usePool(provider, account, pair.tokenA, pair.tokenB, pair.fee, refreshKey, blockNumber)
+  const allowanceA = useAllowance(provider, account, pair.tokenA, refreshKey)
+  const allowanceB = useAllowance(provider, account, pair.tokenB, refreshKey)
+
+  const tokenA = tokens[pair.tokenA]
+  const tokenB = tokens[pair.tokenB]
+  const slippageBps = parseSlippage(slippage)
+
+  function changePair(next) {
+    setPair(next)
+    setAmounts({ A: '', B: '' })
+  }
+
+  function changeAmount(side, value) {
+    setAmounts({ ...amounts, [side]: value.trim() })
+    setLastEdited(side)
+  }
+
+  let content
+  if (!tokenA || !tokenB || pair.tokenA === pair.tokenB) {
+    content = <p className="notice">Select two different tokens.</p>
+  } else if (!pool) {
+    content = <p className="notice">Loading pool…</p>
+  } else if (!pool.exists) {
+    content = (
+      <p className="notice">
+        There is no {tokenA.symbol}/{tokenB.symbol} pool at {formatBps(pair.fee)} yet.{' '}
+        <button type="button" onClick={() => onCreatePool(pair)}>
+          Create it
+        </button>
+      </p>
+    )
+  } else {
+    // The pool stores everything in sorted token order
+    const aIsToken0 = isToken0(pool, pair.tokenA)
+    const toSorted = (a, b) => (aIsToken0 ? [a, b] : [b, a])
+    const hasReserves = pool.totalLiquidity > 0n
+
+    // Once the pool has a price, the side not being edited follows the reserve ratio: the
+    // SDK's quote for the edited amount with the other side left unbounded
+    const quote = (desiredA, desiredB) => toSorted(...quoteLiquidity(pool, ...toSorted(desiredA, desiredB)))
+    let amountA = parseAmount(amounts.A, tokenA)
+    let amountB = parseAmount(amounts.B, tokenB)
+    let shownA = amounts.A
+    let shownB = amounts.B
+    if (hasReserves && lastEdited === 'A') {
+      amountB = quote(amountA, MaxUint256)[1]
+      shownB = amountA > 0n ? formatUnits(amountB, tokenB.decimals) : ''
+    } else if (hasReserves && lastEdited === 'B') {
+      amountA = quote(MaxUint256, amountB)[0]
+      shownA = amountB > 0n ? formatUnits(amountA, tokenA.decimals) : ''
+    }
+
+    const [desired0, desired1] = toSorted(amountA, amountB)
+    const deposit = previewDeposit(pool, desired0, desired1)
+    const [depositA, depositB] = toSorted(deposit.amount0, deposit.amount1)
+
+    const position = previewWithdraw(pool, pool.liquidity)
+    const [positionA, positionB] = toSorted(...position)
+
+    const removeAmount = (pool.liquidity * BigInt(percent)) / 100n
+    const [withdraw0, withdraw1] = previewWithdraw(pool, removeAmount)
+    const [withdrawA, withdrawB] = toSorted(withdraw0, withdraw1)
+
+    let addAction = null
+    if (!(amountA > 0n && amountB > 0n)) addAction = 'Enter an amount'
+    else if (amountA > tokenA.balance) addAction = `Insufficient ${tokenA.symbol} balance`
+    else if (amountB > tokenB.balance) addAction = `Insufficient ${tokenB.symbol} balance`
+    else if (slippageBps === null) addAction = 'Invalid slippage'
+    else if (deposit.liquidity === 0n) addAction = 'Deposit too small'
+    else if (allowanceA === null || allowanceB === null) addAction = 'Loading allowances…'
+
+    function approve(token, amount) {
+      return send(`Approve ${tokens[token].symbol}`, (signer) =>
+        getToken(token, signer).approve(deployment.contracts.DEX, amount),
+      )
+    }
+
+    async function addLiquidity() {
+      const [min0, min1] = [minAmount(deposit.amount0, slippageBps), minAmount(deposit.amount1, slippageBps)]
+      const added = await send('Add liquidity', (signer) =>
+        getDex(signer).addLiquidity(
+          pool.token0,
+          pool.token1,
+          pair.fee,
+          desired0,
+          desired1,
+          min0,
+          min1,
+          account,
+          deadlineIn(),
+        ),
+      )
+      if (added) setAmounts({ A: '', B: '' })
+    }
+
+    function removeLiquidity() {
+      const [min0, min1] = [minAmount(withdraw0, slippageBps), minAmount(withdraw1, slippageBps)]
+      return send('Remove liquidity', (signer) =>
+        getDex(signer).removeLiquidity(
+          pool.token0,
+          pool.token1,
+          pair.fee,
+          removeAmount,
+          min0,
+          min1,
+          account,
+          deadlineIn(),
+        ),
+      )
+    }
+
+    let addButton
+    if (addAction) {
+      addButton = (
+        <button type="button" className="primary" disabled>
+          {addAction}
+        </button>
+      )
+    } else if (allowanceA < amountA) {
+      addButton = (
+        <button type="button" className="primary" onClick={() => approve(pair.tokenA, amountA)} disabled={Boolean(pending)}>
+          {pending ?? `Approve ${tokenA.symbol}`}
+        </button>
+      )
+    } else if (allowanceB < amountB) {
+      addButton = (
+        <button type="button" className="primary" onClick={() => approve(pair.tokenB, amountB)} disabled={Boolean(pending)}>
+          {pending ?? `Approve ${tokenB.symbol}`}
+        </button>
+      )
+    } else {
+      addButton = (
+        <button type="button" className="primary" onClick={addLiquidity} disabled={Boolean(pending)}>
+          {pending ?? 'Add liquidity'}
+        </button>
+      )
+    }
+
+    content = (
+      <>
+        <h3>Add liquidity</h3>
+        {!hasReserves && (
+          <p className="notice">
+            This pool is empty: your amounts set its starting price. 1000 LP wei are locked forever.
+          </p>
+        )}
+        <label className="field">
+          <span className="field-label">{tokenA.symbol}</span>
+          <input
+            className="amount"
+            inputMode="decimal"
+            placeholder="0.0"
+            value={shownA}
+            onChange={(e) => changeAmount('A', e.target.value)}
+          />
+        </label>
+        <label className="field">
+          <span className="field-label">{tokenB.symbol}</span>
+          <input
+            className="amount"
+            inputMode="decimal"
+            placeholder="0.0"
+            value={shownB}
+            onChange={(e) => changeAmount('B', e.target.value)}
+          />
+        </label>
+
+        {deposit.liquidity > 0n && (
+          <dl className="details">
+            <dt>Deposited</dt>
+            <dd>
+              {formatUnits(depositA, tokenA.decimals)} {tokenA.symbol} + {formatUnits(depositB, tokenB.decimals)}{' '}
+              {tokenB.symbol}
+            </dd>
+            <dt>LP tokens minted</dt>
+            <dd>{formatUnits(deposit.liquidity, LP_DECIMALS)}</dd>
+            <dt>Your pool share after</dt>
+            <dd>{formatBps(shareBps(pool.liquidity + deposit.liquidity, deposit.totalLiquidity))}</dd>
+          </dl>
+        )}
+        {addButton}
+
+        <h3>Your position</h3>
+        {pool.liquidity === 0n ? (
+          <p className="notice">You have no liquidity in this pool.</p>
+        ) : (
+          <>
+            <dl className="details">
+              <dt>LP tokens</dt>
+              <dd>{formatUnits(pool.liquidity, LP_DECIMALS)}</dd>
+              <dt>Pool share</dt>
+              <dd>{formatBps(shareBps(pool.liquidity, pool.totalLiquidity))}</dd>
+              <dt>Pooled {tokenA.symbol}</dt>
+              <dd>{formatUnits(positionA, tokenA.decimals)}</dd>
+              <dt>Pooled {tokenB.symbol}</dt>
+              <dd>{formatUnits(positionB, tokenB.decimals)}</dd>
+            </dl>
+
+            <label className="field">
+              <span className="field-label">Remove {percent}%</span>
+              <input
+                type="range"
+                min="1"
+                max="100"
+                value={percent}
+                onChange={(e) => setPercent(Number(e.target.value))}
+              />
+            </label>
+            <div className="row">
+              {PERCENT_PRESETS.map((preset) => (
+                <button key={preset} type="button" onClick={() => setPercent(preset)}>
+                  {preset}%
+                </button>
+              ))}
+            </div>
+            <dl className="details">
+              <dt>You receive</dt>
+              <dd>
+                {formatUnits(withdrawA, tokenA.decimals)} {tokenA.symbol} + {formatUnits(withdrawB, tokenB.decimals)}{' '}
+                {tokenB.symbol}
+              </dd>
+            </dl>
+            <button
+              type="button"
+              className="primary"
+              onClick={removeLiquidity}
+              disabled={Boolean(pending) || slippageBps === null || withdraw0 === 0n || withdraw1 === 0n}
+            >
+              {pending ?? 'Remove liquidity'}
+            </button>
+          </>
+        )}
+      </>
+    )
+  }
+
+  return (
+    <section className="card">
+      <h2>Liquidity</h2>
+      <PairSelect pair={pair} onChange={changePair} tokens={tokens} />
+      <label className="field">
+        <span className="field-label">Slippage tolerance (%)</span>
+        <input inputMode="decimal" value={slippage} onChange={(e) => setSlippage(e.target.value.trim())} />
+      </label>
+
+      {content}
+
+      {status && <p className={`status ${status.type}`}>{status.message}</p>}
+      <AddToken onAdd={onAddToken} />
+    </section>
+  )
+}
+
+export default Liquidity
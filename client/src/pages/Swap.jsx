@@ -0,0 +1,203 @@
+import { useEffect, useState } from 'react'
+import { formatUnits, parseUnits } from 'ethers'
+import { FEE_DENOMINATOR, getAmountOut } from 'simple-dex-sdk/math'
+import { getPoolId, isToken0 } from 'simple-dex-sdk/pool'
+import { priceImpactBps } from 'simple-dex-sdk/quote'
+import { deadlineIn, minAmount } from 'simple-dex-sdk/slippage'
+import AddToken from '../components/AddToken'
+import TokenSelect from '../components/TokenSelect'
+import { useAllowance } from '../hooks/useAllowance'
+import { useBlockNumber } from '../hooks/useBlockNumber'
+import { useTokens } from '../hooks/useTokens'
+import { useTransaction } from '../hooks/useTransaction'
+import { DEFAULT_FEE, DEFAULT_TOKENS, FEE_TIERS, deployment, getDex, getToken } from '../utils/contracts'
+import { errorMessage, formatBps, parseSlippage } from '../utils/format'
+
+const QUOTE_DEBOUNCE_MS = 300
+const HIGH_IMPACT_BPS = 500n
+
+function Swap({ wallet, tokenAddresses, onAddToken }) {
+  const { provider, account } = wallet
+  const [tokenIn, setTokenIn] = useState(DEFAULT_TOKENS[0] ?? '')
+  const [tokenOut, setTokenOut] = useState(DEFAULT_TOKENS[1] ?? '')
+  const [fee, setFee] = useState(DEFAULT_FEE)
+  const [amount, setAmount] = useState('')
+  const [slippage, setSlippage] = useState('0.5')
+  const [quote, setQuote] = useState(null)
+  const { pending, status, refreshKey, send } = useTransaction(provider)
+  const blockNumber = useBlockNumber(provider)
+  const tokens = useTokens(provider, account, tokenAddresses, refreshKey)
+  const currentAllowance = useAllowance(provider, account, tokenIn, refreshKey)
+  const inToken = tokens[tokenIn]
+  const outToken = tokens[tokenOut]
+
+  let amountIn = null
+  try {
+    amountIn = inToken && amount ? parseUnits(amount, inToken.decimals) : null
+  } catch {
+    amountIn = null
+  }
+
+  const slippageBps = parseSlippage(slippage)
+  const pairSelected = inToken && outToken && tokenIn !== tokenOut
+  const quoteKey = pairSelected && amountIn > 0n ? `${tokenIn}:${tokenOut}:${fee}:${amountIn}` : null
+
+  // Quote against the live reserves with the SDK's mirror of DEX.getAmountOut, debounced while typing.
+  // Other trades move the reserves, so it also re-quotes on every block.
+  useEffect(() => {
+    if (!provider || !quoteKey) return
+    let cancelled = false
+
+    const timer = setTimeout(async () => {
+      try {
+        const dex = getDex(provider)
+        const pool = await dex.pools(getPoolId(tokenIn, tokenOut, fee))
+        if (pool.totalLiquidity === 0n) {
+          if (!cancelled) setQuote({ key: quoteKey, error: 'No liquidity in this pool yet' })
+          return
+        }
+
+        const zeroForOne = isToken0(pool, tokenIn)
+        const [reserveIn, reserveOut] = zeroForOne ? [pool.reserve0, pool.reserve1] : [pool.reserve1, pool.reserve0]
+        const amountOut = getAmountOut(amountIn, reserveIn, reserveOut, fee)
+
+        if (!cancelled) {
+          setQuote({
+            key: quoteKey,
+            amountOut,
+            priceImpact: priceImpactBps(amountIn, amountOut, reserveIn, reserveOut, fee),
+          })
+        }
+      } catch (error) {
+        if (!cancelled) setQuote({ key: quoteKey, error: errorMessage(error) })
+      }
+    }, QUOTE_DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [provider, quoteKey, tokenIn, tokenOut, fee, amountIn, blockNumber])
+
+  const currentQuote = quote?.key === quoteKey ? quote : null
+  const needsApproval = amountIn > 0n && currentAllowance !== null && currentAllowance < amountIn
+  const insufficientBalance = inToken && amountIn > inToken.balance
+  const minOut = currentQuote?.amountOut !== undefined && slippageBps !== null
+    ? minAmount(currentQuote.amountOut, slippageBps)
+    : null
+
+  function approve() {
+    return send(`Approve ${inToken.symbol}`, (signer) =>
+      getToken(tokenIn, signer).approve(deployment.contracts.DEX, amountIn),
+    )
+  }
+
+  function swap() {
+    return send('Swap', (signer) =>
+      getDex(signer).swap(tokenIn, tokenOut, fee, amountIn, minOut, account, deadlineIn()),
+    )
+  }
+
+  function flip() {
+    setTokenIn(tokenOut)
+    setTokenOut(tokenIn)
+    setAmount('')
+  }
+
+  let action = null
+  if (!pairSelected) action = 'Select two different tokens'
+  else if (!(amountIn > 0n)) action = 'Enter an amount'
+  else if (insufficientBalance) action = `Insufficient ${inToken.symbol} balance`
+  else if (slippageBps === null) action = 'Invalid slippage'
+  else if (currentQuote?.error) action = currentQuote.error
+  else if (!currentQuote) action = 'Fetching quote…'
+
+  return (
+    <section className="card">
+      <h2>Swap</h2>
+
+      <TokenSelect label="From" value={tokenIn} onChange={setTokenIn} tokens={tokens} />
+      <input
+        className="amount"
+        inputMode="decimal"
+        placeholder="0.0"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value.trim())}
+      />
+
+      <button type="button" className="flip" onClick={flip} aria-label="Swap direction">
+        ↓↑
+      </button>
+
+      <TokenSelect label="To" value={tokenOut} onChange={setTokenOut} tokens={tokens} />
+      <div className="amount output">
+        {currentQuote?.amountOut !== undefined && outToken
+          ? formatUnits(currentQuote.amountOut, outToken.decimals)
+          : '0.0'}
+      </div>
+
+      <div className="row">
+        <label className="field">
+          <span className="field-label">Fee tier</span>
+          <select value={fee} onChange={(e) => setFee(Number(e.target.value))}>
+            {FEE_TIERS.map((tier) => (
+              <option key={tier} value={tier}>
+                {formatBps(tier)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="field">
+          <span className="field-label">Slippage tolerance (%)</span>
+          <input inputMode="decimal" value={slippage} onChange={(e) => setSlippage(e.target.value.trim())} />
+        </label>
+      </div>
+
+      {currentQuote?.amountOut !== undefined && (
+        <dl className="details">
+          <dt>Fee ({formatBps(fee)})</dt>
+          <dd>
+            {formatUnits((amountIn * BigInt(fee)) / FEE_DENOMINATOR, inToken.decimals)} {inToken.symbol}
+          </dd>
+          <dt>Price impact</dt>
+          <dd className={currentQuote.priceImpact >= HIGH_IMPACT_BPS ? 'warning' : undefined}>
+            {formatBps(currentQuote.priceImpact)}
+          </dd>
+          {minOut !== null && (
+            <>
+              <dt>Minimum received</dt>
+              <dd>
+                {formatUnits(minOut, outToken.decimals)} {outToken.symbol}
+              </dd>
+            </>
+          )}
+        </dl>
+      )}
+
+      {action ? (
+        <button type="button" className="primary" disabled>
+          {action}
+        </button>
+      ) : needsApproval ? (
+        <button type="button" className="primary" onClick={approve} disabled={Boolean(pending)}>
+          {pending ?? `Approve ${inToken.symbol}`}
+        </button>
+      ) : (
+        <button
+          type="button"
+          className="primary"
+          onClick={swap}
+          disabled={Boolean(pending) || currentAllowance === null}
+        >
+          {pending ?? 'Swap'}
+        </button>
+      )}
+
+      {status && <p className={`status ${status.type}`}>{status.message}</p>}
+
+      <AddToken onAdd={onAddToken} />
+    </section>
+  )
+}
+
+export default Swap
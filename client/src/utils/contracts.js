@@ -0,0 +1,40 @@
+import { Contract } from 'ethers'
+import deployment from '../../../deployment-info.json'
+
+// Written by scripts/deploy.js. Restart the dev server after redeploying.
+export { deployment }
+
+export const DEX_ABI = [
+  'function pools(bytes32 poolId) view returns (address token0, address token1, uint256 reserve0, uint256 reserve1, uint256 totalLiquidity, address lpToken, uint24 fee)',
+  'function liquidity(bytes32 poolId, address provider) view returns (uint256)',
+  'function createPool(address token0, address token1, uint24 fee) returns (bytes32)',
+  'function addLiquidity(address token0, address token1, uint24 fee, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address to, uint256 deadline) returns (uint256, uint256, uint256)',
+  'function removeLiquidity(address token0, address token1, uint24 fee, uint256 liquidityAmount, uint256 amount0Min, uint256 amount1Min, address to, uint256 deadline) returns (uint256 amount0, uint256 amount1)',
+  'function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut, uint24 fee) pure returns (uint256)',
+  'function swap(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint256 minAmountOut, address to, uint256 deadline) returns (uint256)',
+]
+
+export const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 value) returns (bool)',
+]
+
+// Fee tiers the DEX enables on deployment, in basis points
+export const FEE_TIERS = [5, 30, 100]
+export const DEFAULT_FEE = 30
+
+// Tokens deployed alongside the DEX, offered in the token pickers
+export const DEFAULT_TOKENS = ['TokenA', 'TokenB', 'WCORE']
+  .map((name) => deployment.contracts[name])
+  .filter(Boolean)
+
+export function getDex(runner) {
+  return new Contract(deployment.contracts.DEX, DEX_ABI, runner)
+}
+
+export function getToken(address, runner) {
+  return new Contract(address, ERC20_ABI, runner)
+}
@@ -0,0 +1,29 @@
+// Formatting and input helpers shared by the pages
+
+/**
+ * Parse a percentage like "0.5" into basis points, or null if it isn't a sane tolerance
+ */
+export function parseSlippage(percent) {
+  const value = Number(percent)
+  if (!Number.isFinite(value) || value < 0 || value >= 50) return null
+  return Math.round(value * 100)
+}
+
+export function formatBps(bps) {
+  return `${(Number(bps) / 100).toFixed(2)}%`
+}
+
+/**
+ * `part` as a share of `total`, in basis points
+ */
+export function shareBps(part, total) {
+  return total === 0n ? 0n : (part * 10000n) / total
+}
+
+export function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`
+}
+
+export function errorMessage(error) {
+  return error?.shortMessage || error?.reason || error?.message || String(error)
+}
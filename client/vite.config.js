@@ -1,7 +1,30 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The SDK is CommonJS and linked from ../sdk rather than installed, so Vite has to be
+  // told to pre-bundle and convert it like a regular dependency
+  optimizeDeps: {
+    include: [
+      'simple-dex-sdk/liquidity',
+      'simple-dex-sdk/math',
+      'simple-dex-sdk/pool',
+      'simple-dex-sdk/quote',
+      'simple-dex-sdk/slippage',
+    ],
+  },
+  // ...and its require('ethers') to the app's ESM build, or the bundle carries ethers twice
+  resolve: {
+    alias: { ethers: fileURLToPath(new URL('./node_modules/ethers/lib.esm/index.js', import.meta.url)) },
+  },
+  build: {
+    commonjsOptions: { include: [/\/sdk\//, /node_modules/] },
+  },
+  server: {
+    // deployment-info.json lives in the Hardhat project one level up
+    fs: { allow: ['..'] },
+  },
 })
@@ -2,13 +2,36 @@
 pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/metatx/ERC2771ContextUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./LPToken.sol";
+import "./Oracle.sol";
+import "./IFlashSwapCallee.sol";
 
 /*
  * @title SimpleDEX
- * @dev Basic AMM DEX using constant product formula (x * y = k)
+ * @dev Basic AMM DEX using constant product formula (x * y = k).
+ * Deployable directly or behind a UUPS proxy (see scripts/deploy.js). Upgrades must keep
+ * the storage layout: only append new state variables, never reorder or retype existing ones.
  */
-contract DEX is ReentrancyGuard {
+contract DEX is
+    ReentrancyGuardUpgradeable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    ERC2771ContextUpgradeable,
+    UUPSUpgradeable
+{
+    using SafeERC20 for IERC20;
+    
+    // DEFAULT_ADMIN_ROLE manages roles and recovers funds with skim/sync
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
     
     // Pool structure
     struct Pool {
@@ -17,67 +40,557 @@ contract DEX is ReentrancyGuard {
         uint256 reserve0;
         uint256 reserve1;
         uint256 totalLiquidity;
+        address lpToken;
+        uint24 fee;
     }
     
     mapping(bytes32 => Pool) public pools;
-    mapping(bytes32 => mapping(address => uint256)) public liquidity;
     
-    uint256 public constant FEE_PERCENT = 3; // 0.3% fee
-    uint256 public constant FEE_DENOMINATOR = 1000;
+    // Per-pool circuit breaker, on top of the global pause
+    mapping(bytes32 => bool) public poolPaused;
+    
+    // Amount of each token the DEX owes across all pools' reserves and protocol fees.
+    // Anything held above this was sent to the contract directly.
+    mapping(address => uint256) public tokenReserves;
+    
+    // Every pool ID in creation order, so pools can be listed without scanning logs
+    bytes32[] public allPools;
+    
+    // LP token implementation cloned for every new pool. Immutable, so each DEX
+    // implementation deploys its own and pools keep the one they were created with.
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable lpTokenImplementation;
+    
+    // Liquidity locked forever on a pool's first deposit, so totalLiquidity can never be
+    // drained back to a few wei and the share price inflated against later depositors
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+    address public constant LOCKED_LIQUIDITY_HOLDER = 0x000000000000000000000000000000000000dEaD;
+    
+    // Fees are in basis points of FEE_DENOMINATOR
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint24 public constant DEFAULT_FEE = 30; // 0.3% fee
+    
+    // Owner-managed allow-list of fee tiers pools can be created with
+    mapping(uint24 => bool) public feeTiers;
+    
+    // Protocol fee accrued per pool, held outside reserve0/reserve1
+    struct ProtocolFees {
+        bool enabled;
+        uint256 amount0;
+        uint256 amount1;
+    }
+    
+    mapping(bytes32 => ProtocolFees) public protocolFees;
+    
+    // Share of every swap fee taken by the protocol, in basis points of FEE_DENOMINATOR
+    uint256 public protocolFeeShare;
+    uint256 public constant MAX_PROTOCOL_FEE_SHARE = 5000; // at most half of the swap fee
+    
+    address public treasury;
+    
+    // EIP-2612 signature letting the DEX pull tokens without a prior approve transaction
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+    
+    // TWAP oracle: ring buffer of cumulative price observations per pool
+    struct OracleState {
+        uint16 index;
+        uint16 cardinality;
+        uint16 cardinalityNext;
+    }
+    
+    mapping(bytes32 => Oracle.Observation[65535]) public observations;
+    mapping(bytes32 => OracleState) public oracles;
     
     // Events
-    event PoolCreated(address indexed token0, address indexed token1, bytes32 poolId);
-    event LiquidityAdded(bytes32 indexed poolId, address indexed provider, uint256 amount0, uint256 amount1, uint256 liquidity);
-    event LiquidityRemoved(bytes32 indexed poolId, address indexed provider, uint256 amount0, uint256 amount1, uint256 liquidity);
-    event Swap(bytes32 indexed poolId, address indexed user, address tokenIn, uint256 amountIn, uint256 amountOut);
+    event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, bytes32 poolId, address lpToken);
+    event FeeTierSet(uint24 indexed fee, bool enabled);
+    event ProtocolFeeShareSet(uint256 share);
+    event ProtocolFeeEnabled(bytes32 indexed poolId, bool enabled);
+    event TreasurySet(address indexed treasury);
+    event ProtocolFeesCollected(bytes32 indexed poolId, address indexed treasury, uint256 amount0, uint256 amount1);
+    event ObservationCardinalityIncreased(bytes32 indexed poolId, uint16 cardinalityNextOld, uint16 cardinalityNextNew);
+    event LiquidityAdded(bytes32 indexed poolId, address indexed provider, uint256 amount0, uint256 amount1, uint256 liquidity, address to);
+    event LiquidityRemoved(bytes32 indexed poolId, address indexed provider, uint256 amount0, uint256 amount1, uint256 liquidity, address to);
+    event Swap(bytes32 indexed poolId, address indexed user, address tokenIn, uint256 amountIn, uint256 amountOut, address to);
+    event PoolPauseSet(bytes32 indexed poolId, bool paused);
+    event Skim(address indexed token, address indexed to, uint256 amount);
+    event Sync(bytes32 indexed poolId, uint256 reserve0, uint256 reserve1);
+    event FlashSwap(bytes32 indexed poolId, address indexed sender, uint256 amount0Out, uint256 amount1Out, uint256 amount0In, uint256 amount1In, address to);
+    
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "Expired");
+        _;
+    }
+    
+    /**
+     * @dev trustedForwarder relays signed ERC-2771 meta-transactions, so users without
+     * native coin for gas can still trade. Pass the zero address to disable relaying.
+     * A direct deployment is initialized for the deployer right away; behind a proxy
+     * this only sets up the implementation, and the proxy calls initialize.
+     */
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address trustedForwarder) ERC2771ContextUpgradeable(trustedForwarder) initializer {
+        lpTokenImplementation = address(new LPToken());
+        __DEX_init(msg.sender);
+    }
+    
+    /**
+     * @dev Initialize a proxy, granting every role to admin and making it the treasury
+     */
+    function initialize(address admin) external initializer {
+        __DEX_init(admin);
+    }
+    
+    function __DEX_init(address admin) internal onlyInitializing {
+        require(admin != address(0), "Zero address");
+        __ReentrancyGuard_init();
+        __AccessControl_init();
+        __Pausable_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+        _grantRole(FEE_MANAGER_ROLE, admin);
+        
+        _setFeeTier(5, true);   // 0.05% for stable pairs
+        _setFeeTier(30, true);  // 0.3% default
+        _setFeeTier(100, true); // 1% for exotic pairs
+        
+        treasury = admin;
+    }
+    
+    /**
+     * @dev Stop swaps, flash swaps and deposits in every pool. Withdrawals always stay open.
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+    
+    /**
+     * @dev Pause or resume swaps, flash swaps and deposits in a single pool
+     */
+    function setPoolPaused(bytes32 poolId, bool paused_) external onlyRole(PAUSER_ROLE) {
+        require(pools[poolId].token0 != address(0), "Pool doesn't exist");
+        poolPaused[poolId] = paused_;
+        emit PoolPauseSet(poolId, paused_);
+    }
+    
+    /**
+     * @dev Enable or disable a fee tier for new pools. Existing pools keep their fee.
+     */
+    function setFeeTier(uint24 fee, bool enabled) external onlyRole(FEE_MANAGER_ROLE) {
+        _setFeeTier(fee, enabled);
+    }
+    
+    /**
+     * @dev Set the share of swap fees that goes to the protocol when a pool's switch is on
+     */
+    function setProtocolFeeShare(uint256 share) external onlyRole(FEE_MANAGER_ROLE) {
+        require(share <= MAX_PROTOCOL_FEE_SHARE, "Share too high");
+        protocolFeeShare = share;
+        emit ProtocolFeeShareSet(share);
+    }
+    
+    /**
+     * @dev Turn the protocol fee on or off for a pool
+     */
+    function setProtocolFeeEnabled(bytes32 poolId, bool enabled) external onlyRole(FEE_MANAGER_ROLE) {
+        require(pools[poolId].token0 != address(0), "Pool doesn't exist");
+        protocolFees[poolId].enabled = enabled;
+        emit ProtocolFeeEnabled(poolId, enabled);
+    }
+    
+    /**
+     * @dev Set the address protocol fees are collected to
+     */
+    function setTreasury(address _treasury) external onlyRole(FEE_MANAGER_ROLE) {
+        require(_treasury != address(0), "Zero address");
+        treasury = _treasury;
+        emit TreasurySet(_treasury);
+    }
+    
+    /**
+     * @dev Send a pool's accrued protocol fees to the treasury
+     */
+    function collectProtocolFees(bytes32 poolId) external onlyRole(FEE_MANAGER_ROLE) nonReentrant returns (uint256 amount0, uint256 amount1) {
+        Pool storage pool = pools[poolId];
+        ProtocolFees storage fees = protocolFees[poolId];
+        
+        amount0 = fees.amount0;
+        amount1 = fees.amount1;
+        fees.amount0 = 0;
+        fees.amount1 = 0;
+        tokenReserves[pool.token0] -= amount0;
+        tokenReserves[pool.token1] -= amount1;
+        
+        if (amount0 > 0) IERC20(pool.token0).safeTransfer(treasury, amount0);
+        if (amount1 > 0) IERC20(pool.token1).safeTransfer(treasury, amount1);
+        
+        emit ProtocolFeesCollected(poolId, treasury, amount0, amount1);
+    }
+    
+    /**
+     * @dev Send tokens held above what all pools account for, e.g. sent to the contract by mistake
+     */
+    function skim(address token, address to) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant returns (uint256 amount) {
+        require(to != address(0), "Zero address");
+        
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        amount = balance > tokenReserves[token] ? balance - tokenReserves[token] : 0;
+        if (amount > 0) IERC20(token).safeTransfer(to, amount);
+        
+        emit Skim(token, to, amount);
+    }
+    
+    /**
+     * @dev Reconcile a pool with the DEX's actual balances. Any excess of its tokens over what
+     * all pools account for is credited to this pool's LPs; any shortfall (e.g. a negative
+     * rebase) is written off against this pool. Other pools' reserves are never touched.
+     */
+    function sync(bytes32 poolId) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        Pool storage pool = pools[poolId];
+        require(pool.token0 != address(0), "Pool doesn't exist");
+        require(pool.totalLiquidity > 0, "Insufficient liquidity");
+        
+        _updateOracle(poolId);
+        pool.reserve0 = _syncReserve(pool.token0, pool.reserve0);
+        pool.reserve1 = _syncReserve(pool.token1, pool.reserve1);
+        
+        emit Sync(poolId, pool.reserve0, pool.reserve1);
+    }
     
     /**
-     * @dev Create a new liquidity pool
+     * @dev Create a new liquidity pool and its LP token at an enabled fee tier
      */
-    function createPool(address token0, address token1) external returns (bytes32) {
+    function createPool(address token0, address token1, uint24 fee) external returns (bytes32) {
         require(token0 != token1, "Identical tokens");
         require(token0 != address(0) && token1 != address(0), "Zero address");
+        require(feeTiers[fee], "Fee tier not enabled");
         
         // Sort tokens
         (address tokenA, address tokenB) = token0 < token1 ? (token0, token1) : (token1, token0);
-        bytes32 poolId = keccak256(abi.encodePacked(tokenA, tokenB));
+        bytes32 poolId = getPoolId(tokenA, tokenB, fee);
         
         require(pools[poolId].token0 == address(0), "Pool exists");
         
+        address lpToken = Clones.clone(lpTokenImplementation);
+        LPToken(lpToken).initialize(poolId, tokenA, tokenB, fee);
+        
         pools[poolId] = Pool({
             token0: tokenA,
             token1: tokenB,
             reserve0: 0,
             reserve1: 0,
-            totalLiquidity: 0
+            totalLiquidity: 0,
+            lpToken: lpToken,
+            fee: fee
         });
         
-        emit PoolCreated(tokenA, tokenB, poolId);
+        allPools.push(poolId);
+        
+        OracleState storage oracle = oracles[poolId];
+        (oracle.cardinality, oracle.cardinalityNext) = Oracle.initialize(observations[poolId], uint32(block.timestamp));
+        
+        emit PoolCreated(tokenA, tokenB, fee, poolId, lpToken);
         return poolId;
     }
     
     /**
-     * @dev Add liquidity to pool
+     * @dev Add liquidity to the pool at a given fee tier
      */
     function addLiquidity(
         address token0,
         address token1,
+        uint24 fee,
         uint256 amount0,
         uint256 amount1
     ) external nonReentrant returns (uint256) {
+        // Only pull what matches the pool ratio so the excess isn't donated to other LPs
+        bytes32 poolId = getPoolId(token0, token1, fee);
+        (amount0, amount1) = quoteLiquidity(poolId, amount0, amount1);
+        return _addLiquidity(poolId, amount0, amount1, _msgSender());
+    }
+    
+    /**
+     * @dev Add liquidity with slippage bounds, a deadline and an LP token recipient.
+     * Deposits the desired amounts at the current pool ratio, so only the optimal
+     * amount of one side is pulled. Amounts are in the pool's sorted token order.
+     */
+    function addLiquidity(
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 amount0Desired,
+        uint256 amount1Desired,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256, uint256, uint256) {
+        return _addLiquidityBounded(getPoolId(token0, token1, fee), amount0Desired, amount1Desired, amount0Min, amount1Min, to);
+    }
+    
+    /**
+     * @dev Remove liquidity from the pool at a given fee tier
+     */
+    function removeLiquidity(
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 liquidityAmount
+    ) external nonReentrant returns (uint256, uint256) {
+        return _removeLiquidity(getPoolId(token0, token1, fee), liquidityAmount, _msgSender());
+    }
+    
+    /**
+     * @dev Remove liquidity with slippage bounds, a deadline and a token recipient.
+     * Amounts are in the pool's sorted token order.
+     */
+    function removeLiquidity(
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 liquidityAmount,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256 amount0, uint256 amount1) {
+        (amount0, amount1) = _removeLiquidity(getPoolId(token0, token1, fee), liquidityAmount, to);
+        require(amount0 >= amount0Min && amount1 >= amount1Min, "Slippage exceeded");
+    }
+    
+    /**
+     * @dev Swap tokens through the pool at a given fee tier
+     */
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint24 fee,
+        uint256 amountIn,
+        uint256 minAmountOut
+    ) external nonReentrant returns (uint256) {
+        return _swap(getPoolId(tokenIn, tokenOut, fee), tokenIn, amountIn, minAmountOut, _msgSender());
+    }
+    
+    /**
+     * @dev Swap tokens with a deadline, sending the output to a recipient
+     */
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint24 fee,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256) {
+        return _swap(getPoolId(tokenIn, tokenOut, fee), tokenIn, amountIn, minAmountOut, to);
+    }
+    
+    /**
+     * @dev Swap for tokens that take a fee on transfer. minAmountOut is checked against
+     * what the recipient actually receives rather than what the pool sends.
+     */
+    function swapSupportingFeeOnTransferTokens(
+        address tokenIn,
+        address tokenOut,
+        uint24 fee,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256 amountReceived) {
+        uint256 balanceBefore = IERC20(tokenOut).balanceOf(to);
+        _swap(getPoolId(tokenIn, tokenOut, fee), tokenIn, amountIn, 0, to);
+        
+        amountReceived = IERC20(tokenOut).balanceOf(to) - balanceBefore;
+        require(amountReceived >= minAmountOut, "Slippage exceeded");
+    }
+    
+    /**
+     * @dev Swap for an exact amount of tokenOut, spending at most maxAmountIn of tokenIn
+     */
+    function swapTokensForExactTokens(
+        address tokenIn,
+        address tokenOut,
+        uint24 fee,
+        uint256 amountOut,
+        uint256 maxAmountIn,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256) {
+        return _swapExactOut(getPoolId(tokenIn, tokenOut, fee), tokenIn, amountOut, maxAmountIn, to);
+    }
+    
+    /**
+     * @dev swap with an EIP-2612 permit for tokenIn instead of a prior approve
+     */
+    function swapWithPermit(
+        address tokenIn,
+        address tokenOut,
+        uint24 fee,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address to,
+        uint256 deadline,
+        PermitSignature calldata permit
+    ) external nonReentrant ensure(deadline) returns (uint256) {
+        _permit(tokenIn, permit);
+        return _swap(getPoolId(tokenIn, tokenOut, fee), tokenIn, amountIn, minAmountOut, to);
+    }
+    
+    /**
+     * @dev addLiquidity with EIP-2612 permits for token0 and token1 instead of prior approves.
+     * Amounts and permits are in the pool's sorted token order.
+     */
+    function addLiquidityWithPermit(
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 amount0Desired,
+        uint256 amount1Desired,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        address to,
+        uint256 deadline,
+        PermitSignature[2] calldata permits
+    ) external nonReentrant ensure(deadline) returns (uint256, uint256, uint256) {
+        _permit(token0, permits[0]);
+        _permit(token1, permits[1]);
+        return _addLiquidityBounded(getPoolId(token0, token1, fee), amount0Desired, amount1Desired, amount0Min, amount1Min, to);
+    }
+    
+    /**
+     * @dev Send amount0Out/amount1Out to `to` up front and call its flashSwapCallback.
+     * Before returning, the callback must pay the pool back in either token so that the
+     * constant product, after the pool's fee on what was paid in, does not decrease.
+     * Borrowing and repaying the same token costs getFlashFee. Amounts are in the pool's
+     * sorted token order.
+     */
+    function flashSwap(
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 amount0Out,
+        uint256 amount1Out,
+        address to,
+        bytes calldata data
+    ) external nonReentrant {
+        require(amount0Out > 0 || amount1Out > 0, "Invalid output amount");
+        require(to != address(0), "Zero address");
+        
+        bytes32 poolId = getPoolId(token0, token1, fee);
+        Pool storage pool = pools[poolId];
+        require(pool.token0 != address(0), "Pool doesn't exist");
+        _requireNotPaused(poolId);
+        require(amount0Out < pool.reserve0 && amount1Out < pool.reserve1, "Insufficient liquidity");
+        
+        uint256 balance0Before = IERC20(pool.token0).balanceOf(address(this));
+        uint256 balance1Before = IERC20(pool.token1).balanceOf(address(this));
+        
+        // Optimistically transfer, then hand control to the borrower
+        if (amount0Out > 0) IERC20(pool.token0).safeTransfer(to, amount0Out);
+        if (amount1Out > 0) IERC20(pool.token1).safeTransfer(to, amount1Out);
+        IFlashSwapCallee(to).flashSwapCallback(_msgSender(), amount0Out, amount1Out, data);
+        
+        // Anything that came back on top of what was sent out counts as input
+        uint256 amount0In = _flashAmountIn(pool.token0, balance0Before, amount0Out);
+        uint256 amount1In = _flashAmountIn(pool.token1, balance1Before, amount1Out);
+        require(amount0In > 0 || amount1In > 0, "Invalid input amount");
+        
+        _settleFlashSwap(poolId, amount0Out, amount1Out, amount0In, amount1In);
+        
+        emit FlashSwap(poolId, _msgSender(), amount0Out, amount1Out, amount0In, amount1In, to);
+    }
+    
+    /**
+     * @dev Grow a pool's observation buffer so consult can look further back
+     */
+    function increaseObservationCardinality(bytes32 poolId, uint16 cardinalityNext) external {
+        OracleState storage oracle = oracles[poolId];
+        uint16 cardinalityNextOld = oracle.cardinalityNext;
+        uint16 cardinalityNextNew = Oracle.grow(cardinalityNextOld, cardinalityNext);
+        oracle.cardinalityNext = cardinalityNextNew;
+        
+        if (cardinalityNextOld != cardinalityNextNew) {
+            emit ObservationCardinalityIncreased(poolId, cardinalityNextOld, cardinalityNextNew);
+        }
+    }
+    
+    /**
+     * @dev Time-weighted average prices over the last secondsAgo seconds.
+     * price0Average is token1 per token0 and price1Average token0 per token1, both scaled by 1e18.
+     */
+    function consult(bytes32 poolId, uint32 secondsAgo) external view returns (uint256 price0Average, uint256 price1Average) {
+        require(secondsAgo > 0, "Invalid period");
+        
+        (uint256 price0CumulativeNow, uint256 price1CumulativeNow) = observe(poolId, 0);
+        (uint256 price0CumulativeThen, uint256 price1CumulativeThen) = observe(poolId, secondsAgo);
+        
+        unchecked {
+            price0Average = (price0CumulativeNow - price0CumulativeThen) / secondsAgo;
+            price1Average = (price1CumulativeNow - price1CumulativeThen) / secondsAgo;
+        }
+    }
+    
+    /**
+     * @dev Cumulative prices as of secondsAgo seconds before the current block
+     */
+    function observe(bytes32 poolId, uint32 secondsAgo) public view returns (uint256 price0Cumulative, uint256 price1Cumulative) {
+        Pool storage pool = pools[poolId];
+        require(pool.token0 != address(0), "Pool doesn't exist");
+        
+        OracleState memory oracle = oracles[poolId];
+        return Oracle.observe(
+            observations[poolId],
+            uint32(block.timestamp),
+            secondsAgo,
+            pool.reserve0,
+            pool.reserve1,
+            oracle.index,
+            oracle.cardinality
+        );
+    }
+    
+    /**
+     * @dev Add liquidity to pool
+     */
+    function _addLiquidity(
+        bytes32 poolId,
+        uint256 amount0,
+        uint256 amount1,
+        address to
+    ) internal returns (uint256) {
         require(amount0 > 0 && amount1 > 0, "Invalid amounts");
+        require(to != address(0), "Zero address");
         
-        bytes32 poolId = getPoolId(token0, token1);
         Pool storage pool = pools[poolId];
         require(pool.token0 != address(0), "Pool doesn't exist");
+        _requireNotPaused(poolId);
         
-        // Transfer tokens
-        IERC20(pool.token0).transferFrom(msg.sender, address(this), amount0);
-        IERC20(pool.token1).transferFrom(msg.sender, address(this), amount1);
+        // Transfer tokens, crediting what actually arrived in case of transfer fees
+        amount0 = _pull(pool.token0, amount0);
+        amount1 = _pull(pool.token1, amount1);
         
         uint256 liquidityMinted;
         if (pool.totalLiquidity == 0) {
             liquidityMinted = sqrt(amount0 * amount1);
+            require(liquidityMinted > MINIMUM_LIQUIDITY, "Insufficient liquidity minted");
+            
+            liquidityMinted -= MINIMUM_LIQUIDITY;
+            pool.totalLiquidity = MINIMUM_LIQUIDITY;
+            LPToken(pool.lpToken).mint(LOCKED_LIQUIDITY_HOLDER, MINIMUM_LIQUIDITY);
         } else {
             liquidityMinted = min(
                 (amount0 * pool.totalLiquidity) / pool.reserve0,
@@ -87,83 +600,175 @@ contract DEX is ReentrancyGuard {
         
         require(liquidityMinted > 0, "Insufficient liquidity minted");
         
+        _updateOracle(poolId);
         pool.reserve0 += amount0;
         pool.reserve1 += amount1;
+        tokenReserves[pool.token0] += amount0;
+        tokenReserves[pool.token1] += amount1;
         pool.totalLiquidity += liquidityMinted;
-        liquidity[poolId][msg.sender] += liquidityMinted;
+        LPToken(pool.lpToken).mint(to, liquidityMinted);
         
-        emit LiquidityAdded(poolId, msg.sender, amount0, amount1, liquidityMinted);
+        emit LiquidityAdded(poolId, _msgSender(), amount0, amount1, liquidityMinted, to);
         return liquidityMinted;
     }
     
+    /**
+     * @dev Deposit the desired amounts at the current pool ratio, enforcing the minimums
+     */
+    function _addLiquidityBounded(
+        bytes32 poolId,
+        uint256 amount0Desired,
+        uint256 amount1Desired,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        address to
+    ) internal returns (uint256 amount0, uint256 amount1, uint256 liquidityMinted) {
+        (amount0, amount1) = quoteLiquidity(poolId, amount0Desired, amount1Desired);
+        require(amount0 >= amount0Min && amount1 >= amount1Min, "Slippage exceeded");
+        
+        liquidityMinted = _addLiquidity(poolId, amount0, amount1, to);
+    }
+    
     /**
      * @dev Remove liquidity from pool
      */
-    function removeLiquidity(
-        address token0,
-        address token1,
-        uint256 liquidityAmount
-    ) external nonReentrant returns (uint256 amount0, uint256 amount1) {
-        bytes32 poolId = getPoolId(token0, token1);
+    function _removeLiquidity(
+        bytes32 poolId,
+        uint256 liquidityAmount,
+        address to
+    ) internal returns (uint256 amount0, uint256 amount1) {
         Pool storage pool = pools[poolId];
+        require(pool.token0 != address(0), "Pool doesn't exist");
+        require(to != address(0), "Zero address");
         
-        require(liquidity[poolId][msg.sender] >= liquidityAmount, "Insufficient liquidity");
+        require(liquidity(poolId, _msgSender()) >= liquidityAmount, "Insufficient liquidity");
         
         amount0 = (liquidityAmount * pool.reserve0) / pool.totalLiquidity;
         amount1 = (liquidityAmount * pool.reserve1) / pool.totalLiquidity;
         
         require(amount0 > 0 && amount1 > 0, "Insufficient amounts");
         
-        liquidity[poolId][msg.sender] -= liquidityAmount;
+        _updateOracle(poolId);
+        LPToken(pool.lpToken).burn(_msgSender(), liquidityAmount);
         pool.totalLiquidity -= liquidityAmount;
         pool.reserve0 -= amount0;
         pool.reserve1 -= amount1;
+        tokenReserves[pool.token0] -= amount0;
+        tokenReserves[pool.token1] -= amount1;
         
-        IERC20(pool.token0).transfer(msg.sender, amount0);
-        IERC20(pool.token1).transfer(msg.sender, amount1);
+        IERC20(pool.token0).safeTransfer(to, amount0);
+        IERC20(pool.token1).safeTransfer(to, amount1);
         
-        emit LiquidityRemoved(poolId, msg.sender, amount0, amount1, liquidityAmount);
+        emit LiquidityRemoved(poolId, _msgSender(), amount0, amount1, liquidityAmount, to);
     }
     
     /**
      * @dev Swap tokens
      */
-    function swap(
+    function _swap(
+        bytes32 poolId,
         address tokenIn,
-        address tokenOut,
         uint256 amountIn,
-        uint256 minAmountOut
-    ) external nonReentrant returns (uint256 amountOut) {
+        uint256 minAmountOut,
+        address to
+    ) internal returns (uint256 amountOut) {
         require(amountIn > 0, "Invalid input amount");
+        _requireNotPaused(poolId);
+        
+        (uint256 reserveIn, uint256 reserveOut) = _swapReserves(poolId, tokenIn);
+        
+        // Price the amount that actually arrived, so taxed input tokens can't drain the pool
+        amountIn = _pull(tokenIn, amountIn);
+        
+        // Calculate output amount with the pool's fee
+        amountOut = getAmountOut(amountIn, reserveIn, reserveOut, pools[poolId].fee);
+        require(amountOut >= minAmountOut, "Slippage exceeded");
+        require(amountOut < reserveOut, "Insufficient liquidity");
+        
+        _settleSwap(poolId, tokenIn, amountIn, amountOut, to);
+    }
+    
+    /**
+     * @dev Swap as few input tokens as possible for an exact output
+     */
+    function _swapExactOut(
+        bytes32 poolId,
+        address tokenIn,
+        uint256 amountOut,
+        uint256 maxAmountIn,
+        address to
+    ) internal returns (uint256 amountIn) {
+        require(amountOut > 0, "Invalid output amount");
+        _requireNotPaused(poolId);
         
-        bytes32 poolId = getPoolId(tokenIn, tokenOut);
+        (uint256 reserveIn, uint256 reserveOut) = _swapReserves(poolId, tokenIn);
+        
+        // Calculate input amount with the pool's fee, rounded up
+        amountIn = getAmountIn(amountOut, reserveIn, reserveOut, pools[poolId].fee);
+        require(amountIn <= maxAmountIn, "Slippage exceeded");
+        require(_pull(tokenIn, amountIn) == amountIn, "Transfer fee not supported");
+        
+        _settleSwap(poolId, tokenIn, amountIn, amountOut, to);
+    }
+    
+    /**
+     * @dev Guard for swaps and deposits. removeLiquidity never checks it, so LPs can always exit.
+     */
+    function _requireNotPaused(bytes32 poolId) internal view {
+        require(!paused() && !poolPaused[poolId], "Pool paused");
+    }
+    
+    /**
+     * @dev Reserves of a pool ordered as (in, out) for a swap of tokenIn
+     */
+    function _swapReserves(
+        bytes32 poolId,
+        address tokenIn
+    ) internal view returns (uint256 reserveIn, uint256 reserveOut) {
         Pool storage pool = pools[poolId];
         require(pool.token0 != address(0), "Pool doesn't exist");
         
-        bool isToken0 = tokenIn == pool.token0;
-        (uint256 reserveIn, uint256 reserveOut) = isToken0 
+        (reserveIn, reserveOut) = tokenIn == pool.token0 
             ? (pool.reserve0, pool.reserve1) 
             : (pool.reserve1, pool.reserve0);
+    }
+    
+    /**
+     * @dev Pay out a priced swap whose input has been received, and update reserves
+     */
+    function _settleSwap(
+        bytes32 poolId,
+        address tokenIn,
+        uint256 amountIn,
+        uint256 amountOut,
+        address to
+    ) internal {
+        require(to != address(0), "Zero address");
         
-        // Calculate output amount with fee
-        amountOut = getAmountOut(amountIn, reserveIn, reserveOut);
-        require(amountOut >= minAmountOut, "Slippage exceeded");
-        require(amountOut < reserveOut, "Insufficient liquidity");
+        Pool storage pool = pools[poolId];
+        bool isToken0 = tokenIn == pool.token0;
+        address tokenOut = isToken0 ? pool.token1 : pool.token0;
+        
+        IERC20(tokenOut).safeTransfer(to, amountOut);
         
-        // Transfer tokens
-        IERC20(tokenIn).transferFrom(msg.sender, address(this), amountIn);
-        IERC20(tokenOut).transfer(msg.sender, amountOut);
+        // Protocol's cut of the fee is set aside instead of going to LPs
+        uint256 protocolFee = getProtocolFee(poolId, amountIn);
         
         // Update reserves
+        _updateOracle(poolId);
         if (isToken0) {
-            pool.reserve0 += amountIn;
+            pool.reserve0 += amountIn - protocolFee;
             pool.reserve1 -= amountOut;
+            protocolFees[poolId].amount0 += protocolFee;
         } else {
-            pool.reserve1 += amountIn;
+            pool.reserve1 += amountIn - protocolFee;
             pool.reserve0 -= amountOut;
+            protocolFees[poolId].amount1 += protocolFee;
         }
+        tokenReserves[tokenIn] += amountIn;
+        tokenReserves[tokenOut] -= amountOut;
         
-        emit Swap(poolId, msg.sender, tokenIn, amountIn, amountOut);
+        emit Swap(poolId, _msgSender(), tokenIn, amountIn, amountOut, to);
     }
     
     /**
@@ -172,24 +777,220 @@ contract DEX is ReentrancyGuard {
     function getAmountOut(
         uint256 amountIn,
         uint256 reserveIn,
-        uint256 reserveOut
+        uint256 reserveOut,
+        uint24 fee
     ) public pure returns (uint256) {
         require(amountIn > 0, "Invalid input");
         require(reserveIn > 0 && reserveOut > 0, "Insufficient liquidity");
         
-        uint256 amountInWithFee = amountIn * (FEE_DENOMINATOR - FEE_PERCENT);
+        uint256 amountInWithFee = amountIn * (FEE_DENOMINATOR - fee);
         uint256 numerator = amountInWithFee * reserveOut;
         uint256 denominator = (reserveIn * FEE_DENOMINATOR) + amountInWithFee;
         
         return numerator / denominator;
     }
     
+    /**
+     * @dev Fee on a flash swap that borrows amountOut and repays in the same token, rounded up
+     */
+    function getFlashFee(uint256 amountOut, uint24 fee) public pure returns (uint256) {
+        return (amountOut * FEE_DENOMINATOR + (FEE_DENOMINATOR - fee) - 1) / (FEE_DENOMINATOR - fee) - amountOut;
+    }
+    
+    /**
+     * @dev Calculate the input needed for an exact output, rounded up in the pool's favour
+     */
+    function getAmountIn(
+        uint256 amountOut,
+        uint256 reserveIn,
+        uint256 reserveOut,
+        uint24 fee
+    ) public pure returns (uint256) {
+        require(amountOut > 0, "Invalid output");
+        require(reserveIn > 0 && amountOut < reserveOut, "Insufficient liquidity");
+        
+        uint256 numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+        uint256 denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - fee);
+        
+        return (numerator / denominator) + 1;
+    }
+    
+    /**
+     * @dev Amounts a deposit of up to (amount0Desired, amount1Desired) would use at the pool's current ratio
+     */
+    function quoteLiquidity(
+        bytes32 poolId,
+        uint256 amount0Desired,
+        uint256 amount1Desired
+    ) public view returns (uint256 amount0, uint256 amount1) {
+        Pool storage pool = pools[poolId];
+        if (pool.reserve0 == 0 && pool.reserve1 == 0) {
+            return (amount0Desired, amount1Desired);
+        }
+        
+        uint256 amount1Optimal = (amount0Desired * pool.reserve1) / pool.reserve0;
+        if (amount1Optimal <= amount1Desired) {
+            return (amount0Desired, amount1Optimal);
+        }
+        
+        uint256 amount0Optimal = (amount1Desired * pool.reserve0) / pool.reserve1;
+        return (amount0Optimal, amount1Desired);
+    }
+    
+    /**
+     * @dev Portion of a swap's input fee owed to the protocol
+     */
+    function getProtocolFee(bytes32 poolId, uint256 amountIn) public view returns (uint256) {
+        if (!protocolFees[poolId].enabled) return 0;
+        return (amountIn * pools[poolId].fee * protocolFeeShare) / (FEE_DENOMINATOR * FEE_DENOMINATOR);
+    }
+    
+    /**
+     * @dev Number of pools created so far
+     */
+    function allPoolsLength() external view returns (uint256) {
+        return allPools.length;
+    }
+    
+    /**
+     * @dev LP share balance of a provider, read from the pool's LP token
+     */
+    function liquidity(bytes32 poolId, address provider) public view returns (uint256) {
+        address lpToken = pools[poolId].lpToken;
+        return lpToken == address(0) ? 0 : LPToken(lpToken).balanceOf(provider);
+    }
+    
     /**
      * @dev Get pool ID
      */
-    function getPoolId(address token0, address token1) public pure returns (bytes32) {
+    function getPoolId(address token0, address token1, uint24 fee) public pure returns (bytes32) {
         (address tokenA, address tokenB) = token0 < token1 ? (token0, token1) : (token1, token0);
-        return keccak256(abi.encodePacked(tokenA, tokenB));
+        return keccak256(abi.encodePacked(tokenA, tokenB, fee));
+    }
+    
+    /**
+     * @dev Amount of token paid into the pool during a flash swap
+     */
+    function _flashAmountIn(address token, uint256 balanceBefore, uint256 amountOut) internal view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this)) + amountOut;
+        return balance > balanceBefore ? balance - balanceBefore : 0;
+    }
+    
+    /**
+     * @dev Check the fee-adjusted constant product after a flash swap and update reserves
+     */
+    function _settleFlashSwap(
+        bytes32 poolId,
+        uint256 amount0Out,
+        uint256 amount1Out,
+        uint256 amount0In,
+        uint256 amount1In
+    ) internal {
+        Pool storage pool = pools[poolId];
+        
+        // Same check as a regular swap: the fee is charged on input and left out of k
+        uint256 balance0Adjusted = (pool.reserve0 + amount0In - amount0Out) * FEE_DENOMINATOR - amount0In * pool.fee;
+        uint256 balance1Adjusted = (pool.reserve1 + amount1In - amount1Out) * FEE_DENOMINATOR - amount1In * pool.fee;
+        require(
+            balance0Adjusted * balance1Adjusted >= pool.reserve0 * pool.reserve1 * FEE_DENOMINATOR * FEE_DENOMINATOR,
+            "Invariant violated"
+        );
+        
+        // Flash fee stays in the reserves for LPs, minus the protocol's cut
+        uint256 protocolFee0 = getProtocolFee(poolId, amount0In);
+        uint256 protocolFee1 = getProtocolFee(poolId, amount1In);
+        
+        _updateOracle(poolId);
+        pool.reserve0 = pool.reserve0 + amount0In - amount0Out - protocolFee0;
+        pool.reserve1 = pool.reserve1 + amount1In - amount1Out - protocolFee1;
+        protocolFees[poolId].amount0 += protocolFee0;
+        protocolFees[poolId].amount1 += protocolFee1;
+        tokenReserves[pool.token0] = tokenReserves[pool.token0] + amount0In - amount0Out;
+        tokenReserves[pool.token1] = tokenReserves[pool.token1] + amount1In - amount1Out;
+    }
+    
+    /**
+     * @dev A pool reserve adjusted by the difference between the DEX's balance and tokenReserves
+     */
+    function _syncReserve(address token, uint256 reserve) internal returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 tracked = tokenReserves[token];
+        
+        if (balance >= tracked) {
+            reserve += balance - tracked;
+        } else {
+            require(tracked - balance < reserve, "Insufficient reserve");
+            reserve -= tracked - balance;
+        }
+        
+        tokenReserves[token] = balance;
+        return reserve;
+    }
+    
+    /**
+     * @dev Apply the caller's permit for token. If the permit was already submitted by someone
+     * else (front-run), the call still goes through as long as the allowance is in place.
+     */
+    function _permit(address token, PermitSignature calldata permit) internal {
+        try IERC20Permit(token).permit(_msgSender(), address(this), permit.value, permit.deadline, permit.v, permit.r, permit.s) {} catch {
+            require(IERC20(token).allowance(_msgSender(), address(this)) >= permit.value, "Permit failed");
+        }
+    }
+    
+    /**
+     * @dev Transfer tokens in from the caller and return the amount actually received
+     */
+    function _pull(address token, uint256 amount) internal returns (uint256) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(_msgSender(), address(this), amount);
+        return IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+    
+    /**
+     * @dev Resolve the signer of a relayed call when it comes through the trusted forwarder
+     */
+    function _msgSender() internal view override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (address) {
+        return ERC2771ContextUpgradeable._msgSender();
+    }
+    
+    function _msgData() internal view override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (bytes calldata) {
+        return ERC2771ContextUpgradeable._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (uint256) {
+        return ERC2771ContextUpgradeable._contextSuffixLength();
+    }
+    
+    /**
+     * @dev Only the admin can upgrade a proxied DEX
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+    
+    /**
+     * @dev Record an oracle observation with the reserves that held until now.
+     * Must run before a pool's reserves change.
+     */
+    function _updateOracle(bytes32 poolId) internal {
+        Pool storage pool = pools[poolId];
+        OracleState storage oracle = oracles[poolId];
+        (oracle.index, oracle.cardinality) = Oracle.write(
+            observations[poolId],
+            oracle.index,
+            uint32(block.timestamp),
+            pool.reserve0,
+            pool.reserve1,
+            oracle.cardinality,
+            oracle.cardinalityNext
+        );
+    }
+    
+    /**
+     * @dev Update the fee tier allow-list
+     */
+    function _setFeeTier(uint24 fee, bool enabled) internal {
+        require(fee < FEE_DENOMINATOR, "Invalid fee");
+        feeTiers[fee] = enabled;
+        emit FeeTierSet(fee, enabled);
     }
     
     /**
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title Forwarder
+ * @dev ERC-2771 forwarder the DEX trusts. A relayer submits users' signed requests and pays the gas,
+ * and the DEX sees the signer as the caller.
+ */
+contract Forwarder is ERC2771Forwarder {
+
+    constructor() ERC2771Forwarder("DEX Forwarder") {}
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title IFlashSwapCallee
+ * @dev Implemented by contracts that receive DEX flash swaps. The DEX sends the borrowed
+ * tokens first, then calls flashSwapCallback; by the time it returns, the pool must hold
+ * enough to keep the constant product (net of fees) from decreasing.
+ * Implementations should check that msg.sender is the DEX.
+ */
+interface IFlashSwapCallee {
+    function flashSwapCallback(
+        address sender,
+        uint256 amount0Out,
+        uint256 amount1Out,
+        bytes calldata data
+    ) external;
+}
@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title LPToken
+ * @dev ERC20 liquidity share for a single DEX pool. The DEX deploys one implementation
+ * and clones it per pool, so each clone sets its name and symbol (e.g. "DEX LP Token TKA/TKB 30bps"
+ * and "DEX-LP-TKA/TKB-30") in initialize, and its EIP-712 permit domain uses that name
+ * instead of the implementation's constructor immutables.
+ */
+contract LPToken is ERC20Permit {
+
+    string private constant NAME = "DEX LP Token";
+    string private constant SYMBOL = "DEX-LP";
+    string private constant VERSION = "1";
+    bytes32 private constant TYPE_HASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    address public dex;
+    bytes32 public poolId;
+
+    string private lpName;
+    string private lpSymbol;
+    bytes32 private hashedName;
+
+    modifier onlyDex() {
+        require(msg.sender == dex, "Only DEX");
+        _;
+    }
+
+    constructor() ERC20(NAME, SYMBOL) ERC20Permit(NAME) {
+        // Lock the implementation so only clones can be initialized
+        dex = msg.sender;
+        _setNames(NAME, SYMBOL);
+    }
+
+    /**
+     * @dev Bind a freshly cloned token to its pool and name it after the pool's tokens and fee tier
+     */
+    function initialize(bytes32 _poolId, address token0, address token1, uint24 fee) external {
+        require(dex == address(0), "Already initialized");
+        dex = msg.sender;
+        poolId = _poolId;
+
+        string memory pair = string.concat(_tokenSymbol(token0), "/", _tokenSymbol(token1));
+        string memory feeTier = Strings.toString(fee);
+        _setNames(
+            string.concat(NAME, " ", pair, " ", feeTier, "bps"),
+            string.concat(SYMBOL, "-", pair, "-", feeTier)
+        );
+    }
+
+    function name() public view override returns (string memory) {
+        return lpName;
+    }
+
+    function symbol() public view override returns (string memory) {
+        return lpSymbol;
+    }
+
+    /**
+     * @dev EIP-712 domain for permits, named after this pool's token
+     */
+    function eip712Domain()
+        public
+        view
+        override
+        returns (
+            bytes1 fields,
+            string memory name_,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        )
+    {
+        return (hex"0f", lpName, VERSION, block.chainid, address(this), bytes32(0), new uint256[](0));
+    }
+
+    function DOMAIN_SEPARATOR() external view override returns (bytes32) {
+        return _domainSeparator();
+    }
+
+    /**
+     * @dev Mint LP shares, called by the DEX on addLiquidity
+     */
+    function mint(address to, uint256 amount) external onlyDex {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Burn LP shares, called by the DEX on removeLiquidity
+     */
+    function burn(address from, uint256 amount) external onlyDex {
+        _burn(from, amount);
+    }
+
+    function _hashTypedDataV4(bytes32 structHash) internal view override returns (bytes32) {
+        return MessageHashUtils.toTypedDataHash(_domainSeparator(), structHash);
+    }
+
+    function _domainSeparator() private view returns (bytes32) {
+        return keccak256(abi.encode(TYPE_HASH, hashedName, keccak256(bytes(VERSION)), block.chainid, address(this)));
+    }
+
+    function _setNames(string memory _name, string memory _symbol) private {
+        lpName = _name;
+        lpSymbol = _symbol;
+        hashedName = keccak256(bytes(_name));
+    }
+
+    // Tokens without a string symbol() (e.g. bytes32 symbols) go by their address
+    function _tokenSymbol(address token) private view returns (string memory) {
+        (bool success, bytes memory data) = token.staticcall(abi.encodeCall(IERC20Metadata.symbol, ()));
+        if (success && data.length >= 64) return abi.decode(data, (string));
+        return Strings.toHexString(token);
+    }
+}
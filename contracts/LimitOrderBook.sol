@@ -0,0 +1,192 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./Dex.sol";
+
+/*
+ * @title LimitOrderBook
+ * @dev On-chain limit orders settled against DEX pools. Makers escrow tokenIn with a
+ * minimum output (the limit price) and an expiry. Once the pool price crosses the
+ * limit, any keeper can fill all or part of an order and earns keeperFee of the
+ * filled input. The limit price is checked on what the maker receives after the keeper fee.
+ */
+contract LimitOrderBook is ReentrancyGuard, Ownable {
+    using SafeERC20 for IERC20;
+
+    DEX public immutable dex;
+
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_KEEPER_FEE = 100; // 1% of the filled input
+
+    // Share of every fill paid to the keeper, in basis points
+    uint256 public keeperFee = 10;
+
+    struct Order {
+        address maker;
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        uint64 expiry;
+        uint256 amountIn;
+        uint256 amountOutMin;
+        uint256 filled; // tokenIn filled so far, including keeper fees
+        bool cancelled;
+    }
+
+    Order[] public orders;
+
+    event OrderPlaced(
+        uint256 indexed orderId,
+        address indexed maker,
+        address tokenIn,
+        address tokenOut,
+        uint24 fee,
+        uint256 amountIn,
+        uint256 amountOutMin,
+        uint64 expiry
+    );
+    event OrderFilled(uint256 indexed orderId, address indexed keeper, uint256 amountIn, uint256 amountOut, uint256 keeperReward);
+    event OrderCancelled(uint256 indexed orderId, uint256 amountRefunded);
+    event KeeperFeeSet(uint256 keeperFee);
+
+    constructor(address _dex) Ownable(msg.sender) {
+        require(_dex != address(0), "Zero address");
+        dex = DEX(_dex);
+    }
+
+    /**
+     * @dev Set the keeper fee in basis points of the filled input
+     */
+    function setKeeperFee(uint256 _keeperFee) external onlyOwner {
+        require(_keeperFee <= MAX_KEEPER_FEE, "Keeper fee too high");
+        keeperFee = _keeperFee;
+        emit KeeperFeeSet(_keeperFee);
+    }
+
+    /**
+     * @dev Escrow amountIn of tokenIn to be sold for at least amountOutMin of tokenOut
+     * through the pool at fee tier `fee`, any time before expiry
+     */
+    function placeOrder(
+        address tokenIn,
+        address tokenOut,
+        uint24 fee,
+        uint256 amountIn,
+        uint256 amountOutMin,
+        uint64 expiry
+    ) external nonReentrant returns (uint256 orderId) {
+        require(amountIn > 0 && amountOutMin > 0, "Invalid amount");
+        require(expiry > block.timestamp, "Expired");
+        (, , , , , address lpToken, ) = dex.pools(dex.getPoolId(tokenIn, tokenOut, fee));
+        require(lpToken != address(0), "Pool doesn't exist");
+
+        // Escrow what actually arrives, in case tokenIn takes a fee on transfer
+        uint256 balanceBefore = IERC20(tokenIn).balanceOf(address(this));
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        uint256 received = IERC20(tokenIn).balanceOf(address(this)) - balanceBefore;
+        if (received < amountIn) {
+            amountOutMin = Math.mulDiv(amountOutMin, received, amountIn, Math.Rounding.Ceil);
+            amountIn = received;
+        }
+
+        orderId = orders.length;
+        orders.push(Order({
+            maker: msg.sender,
+            tokenIn: tokenIn,
+            tokenOut: tokenOut,
+            fee: fee,
+            expiry: expiry,
+            amountIn: amountIn,
+            amountOutMin: amountOutMin,
+            filled: 0,
+            cancelled: false
+        }));
+
+        emit OrderPlaced(orderId, msg.sender, tokenIn, tokenOut, fee, amountIn, amountOutMin, expiry);
+    }
+
+    /**
+     * @dev Fill `amount` of an order's remaining input. The maker receives the swap output
+     * directly and the keeper receives keeperFee of `amount` in tokenIn. Reverts with
+     * "Price not reached" if the pool would pay less than the order's limit price.
+     */
+    function fillOrder(uint256 orderId, uint256 amount) external nonReentrant returns (uint256 amountOut) {
+        Order storage order = orders[orderId];
+        require(!order.cancelled, "Order cancelled");
+        require(block.timestamp <= order.expiry, "Order expired");
+        require(amount > 0 && amount <= order.amountIn - order.filled, "Invalid fill amount");
+
+        uint256 minAmountOut = _minAmountOut(order, amount);
+        uint256 keeperReward = (amount * keeperFee) / FEE_DENOMINATOR;
+        order.filled += amount;
+
+        IERC20(order.tokenIn).forceApprove(address(dex), amount - keeperReward);
+        amountOut = dex.swap(
+            order.tokenIn, order.tokenOut, order.fee, amount - keeperReward, 0, order.maker, block.timestamp
+        );
+        require(amountOut >= minAmountOut, "Price not reached");
+
+        if (keeperReward > 0) IERC20(order.tokenIn).safeTransfer(msg.sender, keeperReward);
+
+        emit OrderFilled(orderId, msg.sender, amount, amountOut, keeperReward);
+    }
+
+    /**
+     * @dev Cancel an order and refund its unfilled input to the maker. Expired orders
+     * are never filled, so this is also how makers get them back.
+     */
+    function cancelOrder(uint256 orderId) external nonReentrant {
+        Order storage order = orders[orderId];
+        require(order.maker == msg.sender, "Not order maker");
+        require(!order.cancelled, "Order cancelled");
+
+        uint256 refund = order.amountIn - order.filled;
+        order.cancelled = true;
+
+        if (refund > 0) IERC20(order.tokenIn).safeTransfer(order.maker, refund);
+
+        emit OrderCancelled(orderId, refund);
+    }
+
+    /**
+     * @dev What filling `amount` of an order would pay the maker at the pool's current
+     * reserves, and the least it must pay. Keepers fill when amountOut >= minAmountOut.
+     */
+    function quoteFill(uint256 orderId, uint256 amount) external view returns (uint256 amountOut, uint256 minAmountOut) {
+        Order storage order = orders[orderId];
+        minAmountOut = _minAmountOut(order, amount);
+
+        (address token0, , uint256 reserve0, uint256 reserve1, , , ) = dex.pools(
+            dex.getPoolId(order.tokenIn, order.tokenOut, order.fee)
+        );
+        (uint256 reserveIn, uint256 reserveOut) = order.tokenIn == token0 ? (reserve0, reserve1) : (reserve1, reserve0);
+
+        uint256 amountInAfterFee = amount - (amount * keeperFee) / FEE_DENOMINATOR;
+        amountOut = dex.getAmountOut(amountInAfterFee, reserveIn, reserveOut, order.fee);
+    }
+
+    /**
+     * @dev Whether an order can still be filled, and how much of its input is left
+     */
+    function remaining(uint256 orderId) external view returns (bool open, uint256 amountIn) {
+        Order storage order = orders[orderId];
+        amountIn = order.cancelled ? 0 : order.amountIn - order.filled;
+        open = amountIn > 0 && block.timestamp <= order.expiry;
+    }
+
+    function ordersLength() external view returns (uint256) {
+        return orders.length;
+    }
+
+    /**
+     * @dev The limit price applied to a partial fill, rounded in the maker's favour
+     */
+    function _minAmountOut(Order storage order, uint256 amount) internal view returns (uint256) {
+        return Math.mulDiv(order.amountOutMin, amount, order.amountIn, Math.Rounding.Ceil);
+    }
+}
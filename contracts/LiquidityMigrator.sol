@@ -0,0 +1,210 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "./Dex.sol";
+
+/**
+ * @dev The original DEX: one pool per pair at a fixed 0.3% fee, with positions kept in a
+ * mapping keyed by provider instead of LP tokens
+ */
+interface IOriginalDEX {
+    function getPoolId(address token0, address token1) external pure returns (bytes32);
+    function liquidity(bytes32 poolId, address provider) external view returns (uint256);
+    function removeLiquidity(address token0, address token1, uint256 liquidityAmount) external returns (uint256, uint256);
+}
+
+/*
+ * @title LiquidityMigrator
+ * @dev Moves an LP position from a legacy, non-upgradeable DEX deployment into the
+ * proxied DEX in one transaction: pulls the legacy LP tokens, withdraws them, deposits
+ * the tokens at the new pool's ratio for the caller and refunds whatever doesn't fit.
+ * Creates the pool on the new DEX if it doesn't exist yet, at the legacy pool's price.
+ *
+ * Positions on the original DEX can only be withdrawn by the provider itself, so
+ * migrateFromOriginal runs as the provider's own account code (EIP-7702 delegation).
+ */
+contract LiquidityMigrator {
+    using SafeERC20 for IERC20;
+
+    DEX public immutable dex;
+    address private immutable self = address(this);
+
+    event Migrated(
+        address indexed legacyDex,
+        bytes32 indexed poolId,
+        address indexed user,
+        uint256 legacyLiquidity,
+        uint256 amount0,
+        uint256 amount1,
+        uint256 liquidity
+    );
+
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "Expired");
+        _;
+    }
+
+    // An account delegating to the migrator must not expose the pull-based entry points,
+    // which would spend its token balances for whoever calls them
+    modifier notDelegated() {
+        require(address(this) == self, "Delegated call");
+        _;
+    }
+
+    constructor(address _dex) {
+        require(_dex != address(0), "Zero address");
+        dex = DEX(_dex);
+    }
+
+    /**
+     * @dev Migrate `liquidity` legacy LP tokens of the (token0, token1, fee) pool. The caller
+     * must approve the legacy pool's LP token to the migrator first, or use migrateWithPermit.
+     * Amounts are in sorted token order and bound what is deposited into the new pool.
+     */
+    function migrate(
+        address legacyDex,
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 liquidity,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        uint256 deadline
+    ) public notDelegated ensure(deadline) returns (uint256 amount0, uint256 amount1, uint256 liquidityMinted) {
+        require(legacyDex != address(dex), "Same DEX");
+
+        (uint256 removed0, uint256 removed1) = _removeLegacy(legacyDex, token0, token1, fee, liquidity, deadline);
+        (amount0, amount1, liquidityMinted) = _deposit(token0, token1, fee, removed0, removed1, amount0Min, amount1Min, deadline);
+
+        emit Migrated(legacyDex, dex.getPoolId(token0, token1, fee), msg.sender, liquidity, amount0, amount1, liquidityMinted);
+    }
+
+    /**
+     * @dev migrate with an EIP-2612 permit for the legacy LP token, so no approve is needed
+     */
+    function migrateWithPermit(
+        address legacyDex,
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 liquidity,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        uint256 deadline,
+        DEX.PermitSignature calldata permit
+    ) external notDelegated returns (uint256, uint256, uint256) {
+        address lpToken = _lpToken(legacyDex, token0, token1, fee);
+        // A front-run permit has already set the allowance, so only fail if it's missing
+        try IERC20Permit(lpToken).permit(msg.sender, address(this), permit.value, permit.deadline, permit.v, permit.r, permit.s) {} catch {
+            require(IERC20(lpToken).allowance(msg.sender, address(this)) >= permit.value, "Permit failed");
+        }
+        return migrate(legacyDex, token0, token1, fee, liquidity, amount0Min, amount1Min, deadline);
+    }
+
+    /**
+     * @dev Migrate `liquidity` of the caller's position in the (token0, token1) pool of the
+     * original DEX into the fee tier `fee`, in one transaction. Only callable by an account
+     * on itself while delegating to this contract (EIP-7702), since the original DEX pays
+     * withdrawals to msg.sender. Works with plain ERC20s: the account approves the DEX itself.
+     * Amounts are in sorted token order; whatever doesn't match the new pool's ratio stays
+     * in the account.
+     */
+    function migrateFromOriginal(
+        address legacyDex,
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 liquidity,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256 amount0, uint256 amount1, uint256 liquidityMinted) {
+        require(msg.sender == address(this) && address(this) != self, "Not delegated");
+        require(token0 < token1, "Unsorted tokens");
+
+        (uint256 removed0, uint256 removed1) = _removeOriginal(legacyDex, token0, token1, liquidity);
+        (amount0, amount1, liquidityMinted) = _deposit(token0, token1, fee, removed0, removed1, amount0Min, amount1Min, deadline);
+
+        emit Migrated(legacyDex, dex.getPoolId(token0, token1, fee), address(this), liquidity, amount0, amount1, liquidityMinted);
+    }
+
+    function _removeLegacy(
+        address legacyDex,
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 liquidity,
+        uint256 deadline
+    ) internal returns (uint256 amount0, uint256 amount1) {
+        address lpToken = _lpToken(legacyDex, token0, token1, fee);
+        require(lpToken != address(0), "Pool doesn't exist");
+
+        IERC20(lpToken).safeTransferFrom(msg.sender, address(this), liquidity);
+        (uint256 before0, uint256 before1) = _balances(token0, token1);
+        DEX(legacyDex).removeLiquidity(token0, token1, fee, liquidity, 0, 0, address(this), deadline);
+        (amount0, amount1) = _received(token0, token1, before0, before1);
+    }
+
+    function _removeOriginal(
+        address legacyDex,
+        address token0,
+        address token1,
+        uint256 liquidity
+    ) internal returns (uint256 amount0, uint256 amount1) {
+        (uint256 before0, uint256 before1) = _balances(token0, token1);
+        IOriginalDEX(legacyDex).removeLiquidity(token0, token1, liquidity);
+        (amount0, amount1) = _received(token0, token1, before0, before1);
+    }
+
+    function _balances(address token0, address token1) internal view returns (uint256, uint256) {
+        return (IERC20(token0).balanceOf(address(this)), IERC20(token1).balanceOf(address(this)));
+    }
+
+    // What a legacy withdrawal actually paid in, rather than what the legacy DEX (chosen by
+    // the caller) says it paid
+    function _received(
+        address token0,
+        address token1,
+        uint256 before0,
+        uint256 before1
+    ) internal view returns (uint256, uint256) {
+        (uint256 after0, uint256 after1) = _balances(token0, token1);
+        return (after0 - before0, after1 - before1);
+    }
+
+    function _deposit(
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 removed0,
+        uint256 removed1,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        uint256 deadline
+    ) internal returns (uint256 amount0, uint256 amount1, uint256 liquidity) {
+        if (_lpToken(address(dex), token0, token1, fee) == address(0)) dex.createPool(token0, token1, fee);
+
+        IERC20(token0).forceApprove(address(dex), removed0);
+        IERC20(token1).forceApprove(address(dex), removed1);
+        (amount0, amount1, liquidity) = dex.addLiquidity(
+            token0, token1, fee, removed0, removed1, amount0Min, amount1Min, msg.sender, deadline
+        );
+
+        // Whatever didn't match the new pool's ratio goes back to the LP. A delegating
+        // account already holds it, so only drop the allowance it no longer needs.
+        if (removed0 > amount0) _release(IERC20(token0), removed0 - amount0);
+        if (removed1 > amount1) _release(IERC20(token1), removed1 - amount1);
+    }
+
+    function _release(IERC20 token, uint256 amount) internal {
+        if (msg.sender == address(this)) token.forceApprove(address(dex), 0);
+        else token.safeTransfer(msg.sender, amount);
+    }
+
+    function _lpToken(address target, address token0, address token1, uint24 fee) internal view returns (address lpToken) {
+        (, , , , , lpToken, ) = DEX(target).pools(DEX(target).getPoolId(token0, token1, fee));
+    }
+}
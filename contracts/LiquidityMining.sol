@@ -0,0 +1,245 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Dex.sol";
+
+/*
+ * @title LiquidityMining
+ * @dev Stake a pool's LP tokens in a reward program to earn a reward token emitted at a
+ * fixed rate between startTime and endTime, shared pro rata with reward-per-share accounting.
+ * Any number of programs can run at once, including several for the same pool. The owner
+ * funds each program's full emission up front, so rewards are always covered.
+ */
+contract LiquidityMining is ReentrancyGuard, Ownable {
+    using SafeERC20 for IERC20;
+
+    DEX public immutable dex;
+
+    uint256 internal constant PRECISION = 1e18;
+
+    struct Program {
+        bytes32 poolId;
+        IERC20 lpToken;
+        IERC20 rewardToken;
+        uint256 rewardPerSecond;
+        uint64 startTime;
+        uint64 endTime;
+        uint64 lastRewardTime;
+        uint256 accRewardPerShare; // scaled by PRECISION
+        uint256 totalStaked;
+        uint256 unallocated; // funded rewards not yet credited to stakers
+    }
+
+    struct Stake {
+        uint256 amount;
+        uint256 rewardDebt;
+    }
+
+    Program[] public programs;
+    mapping(uint256 => mapping(address => Stake)) public stakes;
+
+    event ProgramCreated(
+        uint256 indexed programId,
+        bytes32 indexed poolId,
+        address rewardToken,
+        uint256 rewardPerSecond,
+        uint64 startTime,
+        uint64 endTime
+    );
+    event ScheduleUpdated(uint256 indexed programId, uint256 rewardPerSecond, uint64 endTime);
+    event Staked(uint256 indexed programId, address indexed user, uint256 amount);
+    event Withdrawn(uint256 indexed programId, address indexed user, uint256 amount);
+    event Harvested(uint256 indexed programId, address indexed user, uint256 amount);
+    event EmergencyWithdrawn(uint256 indexed programId, address indexed user, uint256 amount);
+
+    constructor(address _dex) Ownable(msg.sender) {
+        require(_dex != address(0), "Zero address");
+        dex = DEX(_dex);
+    }
+
+    /**
+     * @dev Start a reward program for a pool's LP token, pulling
+     * rewardPerSecond * (endTime - startTime) of rewardToken from the owner
+     */
+    function createProgram(
+        bytes32 poolId,
+        address rewardToken,
+        uint256 rewardPerSecond,
+        uint64 startTime,
+        uint64 endTime
+    ) external onlyOwner nonReentrant returns (uint256 programId) {
+        (, , , , , address lpToken, ) = dex.pools(poolId);
+        require(lpToken != address(0), "Pool doesn't exist");
+        require(rewardToken != address(0) && rewardToken != lpToken, "Invalid reward token");
+        require(startTime >= block.timestamp && endTime > startTime, "Invalid schedule");
+
+        uint256 funding = rewardPerSecond * (endTime - startTime);
+        IERC20(rewardToken).safeTransferFrom(msg.sender, address(this), funding);
+
+        programId = programs.length;
+        programs.push(Program({
+            poolId: poolId,
+            lpToken: IERC20(lpToken),
+            rewardToken: IERC20(rewardToken),
+            rewardPerSecond: rewardPerSecond,
+            startTime: startTime,
+            endTime: endTime,
+            lastRewardTime: startTime,
+            accRewardPerShare: 0,
+            totalStaked: 0,
+            unallocated: funding
+        }));
+
+        emit ProgramCreated(programId, poolId, rewardToken, rewardPerSecond, startTime, endTime);
+    }
+
+    /**
+     * @dev Change a program's emission rate and end time from now on. The owner pays in
+     * or is refunded the difference against what is still unallocated, so ending a
+     * program early (endTime = now) returns every reward nobody has earned yet.
+     */
+    function setSchedule(uint256 programId, uint256 rewardPerSecond, uint64 endTime) external onlyOwner nonReentrant {
+        Program storage program = programs[programId];
+        _updateProgram(program);
+
+        uint64 from = block.timestamp > program.startTime ? uint64(block.timestamp) : program.startTime;
+        require(endTime >= from, "Invalid schedule");
+
+        uint256 required = rewardPerSecond * (endTime - from);
+        if (required > program.unallocated) {
+            program.rewardToken.safeTransferFrom(msg.sender, address(this), required - program.unallocated);
+        } else if (required < program.unallocated) {
+            program.rewardToken.safeTransfer(msg.sender, program.unallocated - required);
+        }
+
+        program.unallocated = required;
+        program.rewardPerSecond = rewardPerSecond;
+        program.endTime = endTime;
+        if (program.lastRewardTime < from) program.lastRewardTime = from;
+
+        emit ScheduleUpdated(programId, rewardPerSecond, endTime);
+    }
+
+    /**
+     * @dev Stake LP tokens, harvesting anything already earned
+     */
+    function stake(uint256 programId, uint256 amount) external nonReentrant {
+        Program storage program = programs[programId];
+        Stake storage position = stakes[programId][msg.sender];
+        _updateProgram(program);
+        _harvest(programId, program, position);
+
+        if (amount > 0) {
+            program.lpToken.safeTransferFrom(msg.sender, address(this), amount);
+            position.amount += amount;
+            program.totalStaked += amount;
+        }
+        position.rewardDebt = (position.amount * program.accRewardPerShare) / PRECISION;
+
+        emit Staked(programId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Unstake LP tokens, harvesting anything already earned
+     */
+    function withdraw(uint256 programId, uint256 amount) external nonReentrant {
+        Program storage program = programs[programId];
+        Stake storage position = stakes[programId][msg.sender];
+        require(position.amount >= amount, "Insufficient stake");
+        _updateProgram(program);
+        _harvest(programId, program, position);
+
+        if (amount > 0) {
+            position.amount -= amount;
+            program.totalStaked -= amount;
+            program.lpToken.safeTransfer(msg.sender, amount);
+        }
+        position.rewardDebt = (position.amount * program.accRewardPerShare) / PRECISION;
+
+        emit Withdrawn(programId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Claim earned rewards without changing the stake
+     */
+    function harvest(uint256 programId) external nonReentrant returns (uint256 reward) {
+        Program storage program = programs[programId];
+        Stake storage position = stakes[programId][msg.sender];
+        _updateProgram(program);
+        reward = _harvest(programId, program, position);
+        position.rewardDebt = (position.amount * program.accRewardPerShare) / PRECISION;
+    }
+
+    /**
+     * @dev Take the whole stake out without touching reward accounting, forfeiting
+     * unclaimed rewards. Works even if the reward token is broken.
+     */
+    function emergencyWithdraw(uint256 programId) external nonReentrant {
+        Program storage program = programs[programId];
+        Stake storage position = stakes[programId][msg.sender];
+
+        uint256 amount = position.amount;
+        position.amount = 0;
+        position.rewardDebt = 0;
+        program.totalStaked -= amount;
+
+        program.lpToken.safeTransfer(msg.sender, amount);
+
+        emit EmergencyWithdrawn(programId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Rewards a user could harvest right now
+     */
+    function pendingReward(uint256 programId, address user) external view returns (uint256) {
+        Program storage program = programs[programId];
+        Stake storage position = stakes[programId][user];
+
+        uint256 accRewardPerShare = program.accRewardPerShare;
+        if (program.totalStaked > 0) {
+            accRewardPerShare += (_emitted(program) * PRECISION) / program.totalStaked;
+        }
+        return (position.amount * accRewardPerShare) / PRECISION - position.rewardDebt;
+    }
+
+    function programsLength() external view returns (uint256) {
+        return programs.length;
+    }
+
+    /**
+     * @dev Credit rewards emitted since the last update to current stakers. While nothing
+     * is staked the emission stays unallocated and can be reclaimed with setSchedule.
+     */
+    function _updateProgram(Program storage program) internal {
+        uint64 to = _rewardTime(program);
+        if (to <= program.lastRewardTime) return;
+
+        if (program.totalStaked > 0) {
+            uint256 reward = _emitted(program);
+            program.accRewardPerShare += (reward * PRECISION) / program.totalStaked;
+            program.unallocated -= reward;
+        }
+        program.lastRewardTime = to;
+    }
+
+    function _harvest(uint256 programId, Program storage program, Stake storage position) internal returns (uint256 reward) {
+        reward = (position.amount * program.accRewardPerShare) / PRECISION - position.rewardDebt;
+        if (reward > 0) {
+            program.rewardToken.safeTransfer(msg.sender, reward);
+            emit Harvested(programId, msg.sender, reward);
+        }
+    }
+
+    function _emitted(Program storage program) internal view returns (uint256) {
+        uint64 to = _rewardTime(program);
+        return to > program.lastRewardTime ? program.rewardPerSecond * (to - program.lastRewardTime) : 0;
+    }
+
+    function _rewardTime(Program storage program) internal view returns (uint64) {
+        return block.timestamp < program.endTime ? uint64(block.timestamp) : program.endTime;
+    }
+}
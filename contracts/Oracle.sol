@@ -0,0 +1,155 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title Oracle
+ * @dev Ring buffer of cumulative price observations for one pool.
+ * Prices are token1 per token0 (price0) and token0 per token1 (price1), scaled by PRECISION.
+ * Cumulatives are allowed to overflow; only differences between two observations matter.
+ */
+library Oracle {
+
+    uint256 internal constant PRECISION = 1e18;
+
+    struct Observation {
+        uint32 timestamp;
+        bool initialized;
+        uint256 price0Cumulative;
+        uint256 price1Cumulative;
+    }
+
+    /**
+     * @dev Write the first observation of a new pool
+     */
+    function initialize(Observation[65535] storage self, uint32 time) internal returns (uint16 cardinality, uint16 cardinalityNext) {
+        self[0] = Observation({
+            timestamp: time,
+            initialized: true,
+            price0Cumulative: 0,
+            price1Cumulative: 0
+        });
+        return (1, 1);
+    }
+
+    /**
+     * @dev Record the prices that held since the last observation. At most one write per block.
+     * The buffer grows into cardinalityNext once the current slots are full.
+     */
+    function write(
+        Observation[65535] storage self,
+        uint16 index,
+        uint32 time,
+        uint256 reserve0,
+        uint256 reserve1,
+        uint16 cardinality,
+        uint16 cardinalityNext
+    ) internal returns (uint16 indexUpdated, uint16 cardinalityUpdated) {
+        Observation memory last = self[index];
+        if (last.timestamp == time) return (index, cardinality);
+
+        cardinalityUpdated = (cardinalityNext > cardinality && index == cardinality - 1) ? cardinalityNext : cardinality;
+        indexUpdated = (index + 1) % cardinalityUpdated;
+        self[indexUpdated] = transform(last, time, reserve0, reserve1);
+    }
+
+    /**
+     * @dev Extend the number of slots that will be used once the buffer wraps
+     */
+    function grow(uint16 current, uint16 next) internal pure returns (uint16) {
+        require(current > 0, "Oracle not initialized");
+        return next > current ? next : current;
+    }
+
+    /**
+     * @dev Cumulative prices secondsAgo seconds before time, interpolating between observations
+     */
+    function observe(
+        Observation[65535] storage self,
+        uint32 time,
+        uint32 secondsAgo,
+        uint256 reserve0,
+        uint256 reserve1,
+        uint16 index,
+        uint16 cardinality
+    ) internal view returns (uint256 price0Cumulative, uint256 price1Cumulative) {
+        uint32 target = time - secondsAgo;
+
+        // Target is at or after the newest observation: extrapolate with current reserves
+        Observation memory newest = self[index];
+        if (target >= newest.timestamp) {
+            Observation memory current = transform(newest, target, reserve0, reserve1);
+            return (current.price0Cumulative, current.price1Cumulative);
+        }
+
+        (Observation memory before, Observation memory atOrAfter) = search(self, target, index, cardinality);
+        if (atOrAfter.timestamp == target) {
+            return (atOrAfter.price0Cumulative, atOrAfter.price1Cumulative);
+        }
+
+        // Linear interpolation between the two surrounding observations
+        unchecked {
+            uint256 span = atOrAfter.timestamp - before.timestamp;
+            uint256 elapsed = target - before.timestamp;
+            price0Cumulative = before.price0Cumulative
+                + ((atOrAfter.price0Cumulative - before.price0Cumulative) / span) * elapsed;
+            price1Cumulative = before.price1Cumulative
+                + ((atOrAfter.price1Cumulative - before.price1Cumulative) / span) * elapsed;
+        }
+    }
+
+    /**
+     * @dev Binary search for the observations on either side of target
+     */
+    function search(
+        Observation[65535] storage self,
+        uint32 target,
+        uint16 index,
+        uint16 cardinality
+    ) private view returns (Observation memory before, Observation memory atOrAfter) {
+        // Oldest observation is the slot after index, unless the buffer hasn't wrapped yet
+        uint256 oldestIndex = (uint256(index) + 1) % cardinality;
+        if (!self[oldestIndex].initialized) oldestIndex = 0;
+        require(self[oldestIndex].timestamp <= target, "Observation too old");
+
+        uint256 l = oldestIndex;
+        uint256 r = l + ((uint256(index) + cardinality - l) % cardinality);
+        while (true) {
+            uint256 i = (l + r) / 2;
+            before = self[i % cardinality];
+            atOrAfter = self[(i + 1) % cardinality];
+
+            if (before.timestamp <= target && target <= atOrAfter.timestamp) break;
+
+            if (before.timestamp < target) l = i + 1;
+            else r = i - 1;
+        }
+    }
+
+    /**
+     * @dev Advance an observation to time using the reserves that held since it was written
+     */
+    function transform(
+        Observation memory last,
+        uint32 time,
+        uint256 reserve0,
+        uint256 reserve1
+    ) private pure returns (Observation memory) {
+        uint256 elapsed = time - last.timestamp;
+        uint256 price0Cumulative = last.price0Cumulative;
+        uint256 price1Cumulative = last.price1Cumulative;
+
+        if (reserve0 > 0 && reserve1 > 0) {
+            unchecked {
+                price0Cumulative += ((reserve1 * PRECISION) / reserve0) * elapsed;
+                price1Cumulative += ((reserve0 * PRECISION) / reserve1) * elapsed;
+            }
+        }
+
+        return Observation({
+            timestamp: time,
+            initialized: true,
+            price0Cumulative: price0Cumulative,
+            price1Cumulative: price1Cumulative
+        });
+    }
+}
@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./Dex.sol";
+
+/*
+ * @title PoolLens
+ * @dev Batched read-only views over the DEX for front-ends and indexers.
+ * Kept out of DEX itself so the core contract stays under the size limit.
+ */
+contract PoolLens {
+
+    DEX public immutable dex;
+
+    uint256 internal constant PRECISION = 1e18;
+
+    struct PoolInfo {
+        bytes32 poolId;
+        address token0;
+        address token1;
+        uint24 fee;
+        uint256 reserve0;
+        uint256 reserve1;
+        uint256 totalLiquidity;
+        address lpToken;
+    }
+
+    struct Position {
+        bytes32 poolId;
+        uint256 liquidity;
+        uint256 share; // fraction of the pool owned, scaled by 1e18
+        uint256 amount0;
+        uint256 amount1;
+    }
+
+    constructor(address _dex) {
+        require(_dex != address(0), "Zero address");
+        dex = DEX(_dex);
+    }
+
+    /**
+     * @dev Pools in creation order, starting at offset. Returns fewer than limit at the end of the list.
+     */
+    function getPools(uint256 offset, uint256 limit) external view returns (PoolInfo[] memory result) {
+        uint256 length = dex.allPoolsLength();
+        if (offset >= length) return new PoolInfo[](0);
+
+        uint256 end = offset + limit > length ? length : offset + limit;
+        result = new PoolInfo[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            result[i - offset] = getPool(dex.allPools(i));
+        }
+    }
+
+    /**
+     * @dev Tokens, fee, reserves and total liquidity of one pool
+     */
+    function getPool(bytes32 poolId) public view returns (PoolInfo memory info) {
+        (
+            address token0,
+            address token1,
+            uint256 reserve0,
+            uint256 reserve1,
+            uint256 totalLiquidity,
+            address lpToken,
+            uint24 fee
+        ) = dex.pools(poolId);
+        require(token0 != address(0), "Pool doesn't exist");
+
+        info = PoolInfo({
+            poolId: poolId,
+            token0: token0,
+            token1: token1,
+            fee: fee,
+            reserve0: reserve0,
+            reserve1: reserve1,
+            totalLiquidity: totalLiquidity,
+            lpToken: lpToken
+        });
+    }
+
+    /**
+     * @dev A user's LP balance, pool share and the underlying amounts it could be withdrawn for
+     */
+    function getPositions(address user, bytes32[] calldata poolIds) external view returns (Position[] memory positions) {
+        positions = new Position[](poolIds.length);
+        for (uint256 i = 0; i < poolIds.length; i++) {
+            PoolInfo memory pool = getPool(poolIds[i]);
+            uint256 liquidity = dex.liquidity(poolIds[i], user);
+
+            positions[i].poolId = poolIds[i];
+            positions[i].liquidity = liquidity;
+            if (liquidity > 0) {
+                positions[i].share = (liquidity * PRECISION) / pool.totalLiquidity;
+                positions[i].amount0 = (liquidity * pool.reserve0) / pool.totalLiquidity;
+                positions[i].amount1 = (liquidity * pool.reserve1) / pool.totalLiquidity;
+            }
+        }
+    }
+}
@@ -0,0 +1,376 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./Dex.sol";
+import "./WrappedNative.sol";
+
+/*
+ * @title Router
+ * @dev Chains DEX swaps along a token path so pairs without a direct pool can still trade.
+ * Also wraps and unwraps the native coin so it can be traded and pooled directly.
+ */
+contract Router {
+    using SafeERC20 for IERC20;
+
+    DEX public immutable dex;
+    WrappedNative public immutable wrappedNative;
+
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "Expired");
+        _;
+    }
+
+    constructor(address _dex, address _wrappedNative) {
+        require(_dex != address(0) && _wrappedNative != address(0), "Zero address");
+        dex = DEX(_dex);
+        wrappedNative = WrappedNative(payable(_wrappedNative));
+    }
+
+    // Only accept native coin being unwrapped
+    receive() external payable {
+        require(msg.sender == address(wrappedNative), "Not wrapped native");
+    }
+
+    /**
+     * @dev Swap an exact amount of path[0] for as much of path[path.length - 1] as possible,
+     * where hop i goes through the pool for (path[i], path[i + 1]) at fee tier fees[i]
+     */
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address[] calldata path,
+        uint24[] calldata fees,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256[] memory amounts) {
+        amounts = _swap(msg.sender, amountIn, minAmountOut, path, fees, to, deadline);
+    }
+
+    /**
+     * @dev Swap an exact amount of path[0] along a path where any token may take a fee on transfer.
+     * Every hop trades what the router actually holds, and minAmountOut is checked against
+     * what the recipient actually receives.
+     */
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address[] calldata path,
+        uint24[] calldata fees,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256 amountOut) {
+        require(path.length >= 2 && fees.length == path.length - 1, "Invalid path");
+        require(to != address(0), "Zero address");
+
+        IERC20 tokenOut = IERC20(path[path.length - 1]);
+        uint256 balanceBefore = tokenOut.balanceOf(to);
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            address recipient = i < path.length - 2 ? address(this) : to;
+            uint256 amount = IERC20(path[i]).balanceOf(address(this));
+            IERC20(path[i]).forceApprove(address(dex), amount);
+            dex.swapSupportingFeeOnTransferTokens(path[i], path[i + 1], fees[i], amount, 0, recipient, deadline);
+        }
+
+        amountOut = tokenOut.balanceOf(to) - balanceBefore;
+        require(amountOut >= minAmountOut, "Slippage exceeded");
+    }
+
+    /**
+     * @dev Swap the attached native coin along a path starting at the wrapped native token
+     */
+    function swapExactNativeForTokens(
+        uint256 minAmountOut,
+        address[] calldata path,
+        uint24[] calldata fees,
+        address to,
+        uint256 deadline
+    ) external payable ensure(deadline) returns (uint256[] memory amounts) {
+        require(path.length > 0 && path[0] == address(wrappedNative), "Invalid path");
+
+        wrappedNative.deposit{value: msg.value}();
+        amounts = _swap(address(this), msg.value, minAmountOut, path, fees, to, deadline);
+    }
+
+    /**
+     * @dev Swap an exact amount of path[0] along a path ending at the wrapped native token,
+     * paying out the native coin
+     */
+    function swapExactTokensForNative(
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address[] calldata path,
+        uint24[] calldata fees,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256[] memory amounts) {
+        require(path.length > 0 && path[path.length - 1] == address(wrappedNative), "Invalid path");
+        require(to != address(0), "Zero address");
+
+        amounts = _swap(msg.sender, amountIn, minAmountOut, path, fees, address(this), deadline);
+        wrappedNative.withdraw(amounts[amounts.length - 1]);
+        _sendNative(to, amounts[amounts.length - 1]);
+    }
+
+    /**
+     * @dev Add liquidity to a token/wrapped-native pool with the attached native coin.
+     * Only the amounts matching the pool ratio are used; unused native coin is refunded.
+     */
+    function addLiquidityNative(
+        address token,
+        uint24 fee,
+        uint256 amountTokenDesired,
+        uint256 amountTokenMin,
+        uint256 amountNativeMin,
+        address to,
+        uint256 deadline
+    ) external payable ensure(deadline) returns (uint256 amountToken, uint256 amountNative, uint256 liquidity) {
+        (amountToken, amountNative) = _quoteLiquidityNative(token, fee, amountTokenDesired, msg.value);
+        require(amountToken >= amountTokenMin && amountNative >= amountNativeMin, "Slippage exceeded");
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amountToken);
+        wrappedNative.deposit{value: amountNative}();
+        IERC20(token).forceApprove(address(dex), amountToken);
+        wrappedNative.approve(address(dex), amountNative);
+
+        (, , liquidity) = token < address(wrappedNative)
+            ? dex.addLiquidity(token, address(wrappedNative), fee, amountToken, amountNative, 0, 0, to, deadline)
+            : dex.addLiquidity(address(wrappedNative), token, fee, amountNative, amountToken, 0, 0, to, deadline);
+
+        if (msg.value > amountNative) {
+            _sendNative(msg.sender, msg.value - amountNative);
+        }
+    }
+
+    /**
+     * @dev Remove liquidity from a token/wrapped-native pool, paying out the native coin.
+     * The caller must approve the pool's LP token to the router first.
+     */
+    function removeLiquidityNative(
+        address token,
+        uint24 fee,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountNativeMin,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256 amountToken, uint256 amountNative) {
+        require(to != address(0), "Zero address");
+
+        (amountToken, amountNative) = _removeToRouter(token, address(wrappedNative), fee, liquidity, deadline);
+        require(amountToken >= amountTokenMin && amountNative >= amountNativeMin, "Slippage exceeded");
+
+        IERC20(token).safeTransfer(to, amountToken);
+        wrappedNative.withdraw(amountNative);
+        _sendNative(to, amountNative);
+    }
+
+    /**
+     * @dev Add liquidity with a single token. Swaps the portion of amountIn that leaves both
+     * sides in the pool ratio, deposits them and refunds any leftovers to the caller.
+     */
+    function zapIn(
+        address tokenIn,
+        address tokenOther,
+        uint24 fee,
+        uint256 amountIn,
+        uint256 minLiquidity,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256 liquidity) {
+        require(amountIn > 0, "Invalid input amount");
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+
+        (uint256 reserveIn, ) = getReserves(tokenIn, tokenOther, fee);
+        uint256 swapAmount = getZapSwapAmount(amountIn, reserveIn, fee);
+        IERC20(tokenIn).forceApprove(address(dex), swapAmount);
+        uint256 amountOther = dex.swap(tokenIn, tokenOther, fee, swapAmount, 0, address(this), deadline);
+
+        liquidity = _addBothSides(tokenIn, tokenOther, fee, amountIn - swapAmount, amountOther, to, deadline);
+        require(liquidity >= minLiquidity, "Slippage exceeded");
+
+        _refund(tokenIn);
+        _refund(tokenOther);
+    }
+
+    /**
+     * @dev Remove liquidity and swap the tokenOther side into tokenOut, paying out only tokenOut.
+     * The caller must approve the pool's LP token to the router first.
+     */
+    function zapOut(
+        address tokenOut,
+        address tokenOther,
+        uint24 fee,
+        uint256 liquidity,
+        uint256 minAmountOut,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256 amountOut) {
+        require(to != address(0), "Zero address");
+
+        (uint256 amountDirect, uint256 amountOther) = _removeToRouter(tokenOut, tokenOther, fee, liquidity, deadline);
+
+        IERC20(tokenOther).forceApprove(address(dex), amountOther);
+        amountOut = amountDirect + dex.swap(tokenOther, tokenOut, fee, amountOther, 0, address(this), deadline);
+        require(amountOut >= minAmountOut, "Slippage exceeded");
+
+        IERC20(tokenOut).safeTransfer(to, amountOut);
+    }
+
+    /**
+     * @dev Portion of amountIn to swap so that what is left and what the swap returns
+     * are in the pool's ratio afterwards. Solves the constant product with the pool's fee:
+     * s = (sqrt(r^2 (2D - f)^2 + 4 D (D - f) a r) - r (2D - f)) / (2 (D - f))
+     */
+    function getZapSwapAmount(uint256 amountIn, uint256 reserveIn, uint24 fee) public view returns (uint256) {
+        uint256 denominator = dex.FEE_DENOMINATOR();
+        uint256 twoMinusFee = 2 * denominator - fee;
+        uint256 oneMinusFee = denominator - fee;
+
+        uint256 root = Math.sqrt(
+            reserveIn * reserveIn * twoMinusFee * twoMinusFee + 4 * denominator * oneMinusFee * amountIn * reserveIn
+        );
+        return (root - reserveIn * twoMinusFee) / (2 * oneMinusFee);
+    }
+
+    /**
+     * @dev Quote every hop of a path using the DEX's getAmountOut
+     */
+    function getAmountsOut(
+        uint256 amountIn,
+        address[] calldata path,
+        uint24[] calldata fees
+    ) external view returns (uint256[] memory amounts) {
+        require(path.length >= 2 && fees.length == path.length - 1, "Invalid path");
+
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            (uint256 reserveIn, uint256 reserveOut) = getReserves(path[i], path[i + 1], fees[i]);
+            amounts[i + 1] = dex.getAmountOut(amounts[i], reserveIn, reserveOut, fees[i]);
+        }
+    }
+
+    /**
+     * @dev Get pool reserves ordered as (tokenA, tokenB)
+     */
+    function getReserves(
+        address tokenA,
+        address tokenB,
+        uint24 fee
+    ) public view returns (uint256 reserveA, uint256 reserveB) {
+        (address token0, , uint256 reserve0, uint256 reserve1, , , ) = dex.pools(dex.getPoolId(tokenA, tokenB, fee));
+        require(token0 != address(0), "Pool doesn't exist");
+
+        (reserveA, reserveB) = tokenA == token0 ? (reserve0, reserve1) : (reserve1, reserve0);
+    }
+
+    /**
+     * @dev Swap along a path, pulling path[0] from payer unless the router already holds it
+     */
+    function _swap(
+        address payer,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address[] calldata path,
+        uint24[] calldata fees,
+        address to,
+        uint256 deadline
+    ) internal returns (uint256[] memory amounts) {
+        require(path.length >= 2 && fees.length == path.length - 1, "Invalid path");
+        require(to != address(0), "Zero address");
+
+        if (payer != address(this)) {
+            IERC20(path[0]).safeTransferFrom(payer, address(this), amountIn);
+        }
+
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            // Intermediate hops come back to the router, the last one goes straight to the recipient
+            address recipient = i < path.length - 2 ? address(this) : to;
+            IERC20(path[i]).forceApprove(address(dex), amounts[i]);
+            amounts[i + 1] = dex.swap(path[i], path[i + 1], fees[i], amounts[i], 0, recipient, deadline);
+        }
+
+        require(amounts[amounts.length - 1] >= minAmountOut, "Slippage exceeded");
+    }
+
+    /**
+     * @dev Deposit tokens held by the router into the tokenA/tokenB pool, whichever order it is sorted in
+     */
+    function _addBothSides(
+        address tokenA,
+        address tokenB,
+        uint24 fee,
+        uint256 amountA,
+        uint256 amountB,
+        address to,
+        uint256 deadline
+    ) internal returns (uint256 liquidity) {
+        IERC20(tokenA).forceApprove(address(dex), amountA);
+        IERC20(tokenB).forceApprove(address(dex), amountB);
+
+        (, , liquidity) = tokenA < tokenB
+            ? dex.addLiquidity(tokenA, tokenB, fee, amountA, amountB, 0, 0, to, deadline)
+            : dex.addLiquidity(tokenB, tokenA, fee, amountB, amountA, 0, 0, to, deadline);
+    }
+
+    /**
+     * @dev Pull LP tokens from the caller and remove them into the router, amounts ordered as (tokenA, tokenB)
+     */
+    function _removeToRouter(
+        address tokenA,
+        address tokenB,
+        uint24 fee,
+        uint256 liquidity,
+        uint256 deadline
+    ) internal returns (uint256 amountA, uint256 amountB) {
+        (, , , , , address lpToken, ) = dex.pools(dex.getPoolId(tokenA, tokenB, fee));
+        require(lpToken != address(0), "Pool doesn't exist");
+        IERC20(lpToken).safeTransferFrom(msg.sender, address(this), liquidity);
+
+        (uint256 amount0, uint256 amount1) = dex.removeLiquidity(
+            tokenA, tokenB, fee, liquidity, 0, 0, address(this), deadline
+        );
+        (amountA, amountB) = tokenA < tokenB ? (amount0, amount1) : (amount1, amount0);
+    }
+
+    /**
+     * @dev Return the router's whole balance of token to the caller
+     */
+    function _refund(address token) internal {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        if (balance > 0) IERC20(token).safeTransfer(msg.sender, balance);
+    }
+
+    /**
+     * @dev Token and native amounts a deposit would use at the pool's current ratio
+     */
+    function _quoteLiquidityNative(
+        address token,
+        uint24 fee,
+        uint256 amountTokenDesired,
+        uint256 amountNativeDesired
+    ) internal view returns (uint256 amountToken, uint256 amountNative) {
+        bytes32 poolId = dex.getPoolId(token, address(wrappedNative), fee);
+        if (token < address(wrappedNative)) {
+            (amountToken, amountNative) = dex.quoteLiquidity(poolId, amountTokenDesired, amountNativeDesired);
+        } else {
+            (amountNative, amountToken) = dex.quoteLiquidity(poolId, amountNativeDesired, amountTokenDesired);
+        }
+    }
+
+    /**
+     * @dev Send native coin held by the router
+     */
+    function _sendNative(address to, uint256 amount) internal {
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "Native transfer failed");
+    }
+}
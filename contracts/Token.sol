@@ -2,17 +2,18 @@
 pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /**
  * @title Token
- * @dev Simple ERC20 Token for testing DEX
+ * @dev Simple ERC20 Token for testing DEX, with EIP-2612 permit
  */
-contract Token is ERC20 {
+contract Token is ERC20Permit {
     constructor(
         string memory name,
         string memory symbol,
         uint256 initialSupply
-    ) ERC20(name, symbol) {
+    ) ERC20(name, symbol) ERC20Permit(name) {
         _mint(msg.sender, initialSupply);
     }
 }
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title WrappedNative
+ * @dev WETH-style ERC20 backed 1:1 by the chain's native coin (WCORE on Core, WETH on Ethereum)
+ */
+contract WrappedNative is ERC20 {
+
+    event Deposit(address indexed account, uint256 amount);
+    event Withdrawal(address indexed account, uint256 amount);
+
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {}
+
+    receive() external payable {
+        deposit();
+    }
+
+    /**
+     * @dev Wrap the attached native coin
+     */
+    function deposit() public payable {
+        _mint(msg.sender, msg.value);
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Burn wrapped tokens and send back the native coin
+     */
+    function withdraw(uint256 amount) external {
+        _burn(msg.sender, amount);
+        emit Withdrawal(msg.sender, amount);
+
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "Native transfer failed");
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../Dex.sol";
+
+/**
+ * @title DEXV2
+ * @dev Upgrade target for tests: the DEX with one storage variable appended after its own
+ */
+contract DEXV2 is DEX {
+    uint256 public upgradedAt;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address trustedForwarder) DEX(trustedForwarder) {}
+
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
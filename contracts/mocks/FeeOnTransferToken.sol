@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title FeeOnTransferToken
+ * @dev Test token that burns a fixed share of every transfer, like taxed community tokens
+ */
+contract FeeOnTransferToken is ERC20 {
+    uint256 public immutable feeBps;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 initialSupply,
+        uint256 _feeBps
+    ) ERC20(name, symbol) {
+        feeBps = _feeBps;
+        _mint(msg.sender, initialSupply);
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        // Mints and burns are untaxed
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+
+        uint256 fee = (value * feeBps) / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
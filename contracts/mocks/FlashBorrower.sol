@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../Dex.sol";
+import "../IFlashSwapCallee.sol";
+
+/**
+ * @title FlashBorrower
+ * @dev Test flash swap receiver that pays back configurable amounts and can try to reenter the DEX
+ */
+contract FlashBorrower is IFlashSwapCallee {
+    DEX public immutable dex;
+
+    constructor(address _dex) {
+        dex = DEX(_dex);
+    }
+
+    /**
+     * @dev data is abi.encode(token0, token1, fee, repay0, repay1, reenter)
+     */
+    function flash(
+        address token0,
+        address token1,
+        uint24 fee,
+        uint256 amount0Out,
+        uint256 amount1Out,
+        bytes calldata data
+    ) external {
+        dex.flashSwap(token0, token1, fee, amount0Out, amount1Out, address(this), data);
+    }
+
+    function flashSwapCallback(
+        address sender,
+        uint256,
+        uint256,
+        bytes calldata data
+    ) external override {
+        require(msg.sender == address(dex), "Only DEX");
+        require(sender == address(this), "Unknown initiator");
+
+        (address token0, address token1, uint24 fee, uint256 repay0, uint256 repay1, bool reenter) =
+            abi.decode(data, (address, address, uint24, uint256, uint256, bool));
+
+        if (reenter) {
+            dex.swap(token0, token1, fee, 1, 0);
+        }
+
+        if (repay0 > 0) IERC20(token0).transfer(address(dex), repay0);
+        if (repay1 > 0) IERC20(token1).transfer(address(dex), repay1);
+    }
+}
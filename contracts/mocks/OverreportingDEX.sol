@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title OverreportingDEX
+ * @dev Test stand-in for the original DEX whose removeLiquidity pays out half of the
+ * amounts it returns
+ */
+contract OverreportingDEX {
+    function removeLiquidity(address token0, address token1, uint256 liquidityAmount) external returns (uint256, uint256) {
+        IERC20(token0).transfer(msg.sender, liquidityAmount / 2);
+        IERC20(token1).transfer(msg.sender, liquidityAmount / 2);
+        return (liquidityAmount, liquidityAmount);
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/**
+ * @title StorageClash
+ * @dev Upgrade target for tests whose first slot overlaps the DEX's pool mapping,
+ * which upgrade validation must reject
+ */
+contract StorageClash is Initializable, UUPSUpgradeable {
+    uint256 public counter;
+
+    function _authorizeUpgrade(address) internal override {}
+}
@@ -0,0 +1,37 @@
+// Sliding-window rate limiter keyed by user address.
+
+/**
+ * Allow at most `max` hits per key within any `windowMs` window.
+ * `now` is injectable so tests can move time without waiting.
+ */
+function createRateLimiter({ max, windowMs, now = Date.now }) {
+  const hits = new Map();
+
+  function recent(key) {
+    const cutoff = now() - windowMs;
+    const kept = (hits.get(key) || []).filter((timestamp) => timestamp > cutoff);
+    if (kept.length === 0) hits.delete(key);
+    else hits.set(key, kept);
+    return kept;
+  }
+
+  return {
+    /**
+     * Record a hit for key. Returns false, without recording, once the key is over the limit.
+     */
+    consume(key) {
+      const kept = recent(key);
+      if (kept.length >= max) return false;
+
+      kept.push(now());
+      hits.set(key, kept);
+      return true;
+    },
+
+    remaining(key) {
+      return Math.max(0, max - recent(key).length);
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
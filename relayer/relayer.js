@@ -0,0 +1,139 @@
+// Validates signed ERC-2771 forward requests and submits them through the Forwarder.
+
+const { getAddress, isAddress, isHexString } = require("ethers");
+const { createRateLimiter } = require("./rateLimiter");
+
+const DEFAULT_MAX_GAS = 1000000n;
+// A relayed transaction not mined by then counts as dropped
+const DEFAULT_PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Parse a JSON forward request, turning numeric fields into BigInt
+ */
+function parseRequest(body) {
+  if (!body || typeof body !== "object") throw new RelayError(400, "Invalid request");
+
+  const { from, to, value, gas, deadline, data, signature } = body;
+  if (!isAddress(from) || !isAddress(to)) throw new RelayError(400, "Invalid address");
+  if (!isHexString(data) || !isHexString(signature)) throw new RelayError(400, "Invalid data");
+
+  try {
+    return {
+      from: getAddress(from),
+      to: getAddress(to),
+      value: BigInt(value ?? 0),
+      gas: BigInt(gas),
+      deadline: BigInt(deadline),
+      data,
+      signature,
+    };
+  } catch {
+    throw new RelayError(400, "Invalid number");
+  }
+}
+
+/**
+ * Relayer around a Forwarder contract connected to the signer that pays the gas.
+ * Only calls to `targets` are relayed, each user gets `rateLimit.max` requests per
+ * `rateLimit.windowMs`, and no request may ask for more than `maxGas`.
+ *
+ * A request stays in flight from the moment it is accepted until its transaction is
+ * mined or dropped (not mined within `pendingTimeoutMs`), and the same (from, forwarder
+ * nonce) is refused meanwhile: it would pass every check again and revert on-chain at
+ * the relayer's expense.
+ */
+function createRelayer({
+  forwarder,
+  targets,
+  rateLimit,
+  maxGas = DEFAULT_MAX_GAS,
+  pendingTimeoutMs = DEFAULT_PENDING_TIMEOUT_MS,
+  now = Date.now,
+}) {
+  const allowed = new Set(targets.map((target) => getAddress(target)));
+  const limiter = createRateLimiter({ ...rateLimit, now });
+  const inFlight = new Set();
+
+  // Sends go out one at a time with nonces counted locally, so parallel relays never
+  // pick up the same pending nonce. The count is re-read from the node after a failure.
+  let nextNonce = null;
+  let sending = Promise.resolve();
+
+  function execute(request) {
+    const sent = sending.then(async () => {
+      if (nextNonce === null) nextNonce = await forwarder.runner.getNonce("pending");
+      try {
+        const tx = await forwarder.execute(request, { nonce: nextNonce });
+        nextNonce += 1;
+        return tx;
+      } catch (error) {
+        nextNonce = null;
+        throw error;
+      }
+    });
+    sending = sent.catch(() => {});
+    return sent;
+  }
+
+  async function relay(body) {
+    const request = parseRequest(body);
+
+    if (!allowed.has(request.to)) throw new RelayError(403, "Target not allowed");
+    if (request.value !== 0n) throw new RelayError(400, "Value not supported");
+    if (request.gas > maxGas) throw new RelayError(400, "Gas limit too high");
+    if (request.deadline * 1000n < BigInt(now())) throw new RelayError(400, "Expired");
+
+    // Checked and claimed without awaiting in between, so concurrent copies can't both pass
+    const key = `${request.from}:${await forwarder.nonces(request.from)}`;
+    if (inFlight.has(key)) throw new RelayError(409, "Request already pending");
+    inFlight.add(key);
+
+    let tx;
+    try {
+      tx = await submit(request);
+    } catch (error) {
+      inFlight.delete(key);
+      throw error;
+    }
+    tx.wait(1, pendingTimeoutMs).then(
+      () => inFlight.delete(key),
+      () => inFlight.delete(key)
+    );
+    return { hash: tx.hash, from: request.from, remaining: limiter.remaining(request.from) };
+  }
+
+  async function submit(request) {
+    // Checks signer, nonce, deadline and that the target trusts this forwarder
+    if (!(await forwarder.verify(request))) throw new RelayError(400, "Invalid signature");
+
+    // Count only verified requests, so nobody can burn another user's quota
+    if (!limiter.consume(request.from)) throw new RelayError(429, "Rate limit exceeded");
+
+    // The forwarder reverts when the inner call fails, so gas estimation
+    // catches failing requests before the relayer pays for them
+    try {
+      await forwarder.execute.estimateGas(request);
+    } catch {
+      throw new RelayError(400, "Request would revert");
+    }
+
+    return execute(request);
+  }
+
+  return { relay };
+}
+
+module.exports = {
+  DEFAULT_MAX_GAS,
+  DEFAULT_PENDING_TIMEOUT_MS,
+  RelayError,
+  parseRequest,
+  createRelayer,
+};
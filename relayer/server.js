@@ -0,0 +1,137 @@
+// HTTP front end for the relayer.
+//
+//   POST /relay   body: a signed ForwardRequestData as JSON (numbers as strings)
+//   GET  /health  relayer address and balance
+//
+// Configuration comes from the environment:
+//   RPC_URL              node to submit through (default http://127.0.0.1:8545)
+//   RELAYER_PRIVATE_KEY  account that pays the gas
+//   FORWARDER_ADDRESS    defaults to contracts.Forwarder in deployment-info.json
+//   DEX_ADDRESS          defaults to contracts.DEX in deployment-info.json
+//   RATE_LIMIT_MAX       requests per user per window (default 10)
+//   RATE_LIMIT_WINDOW_MS window length (default one hour)
+//   PORT                 default 3001
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createRelayer, RelayError } = require("./relayer");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    function onData(chunk) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading instead of buffering the rest; the connection is closed after the 413
+        req.off("data", onData);
+        req.pause();
+        reject(new RelayError(413, "Request too large"));
+        return;
+      }
+      chunks.push(chunk);
+    }
+
+    req.on("data", onData);
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new RelayError(400, "Invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * HTTP server around a relayer. `signer` is only used for the health check.
+ */
+function createServer(relayer, signer) {
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === "GET" && req.url === "/health") {
+        const address = await signer.getAddress();
+        const balance = await signer.provider.getBalance(address);
+        return send(res, 200, { relayer: address, balance: balance.toString() });
+      }
+
+      if (req.method === "POST" && req.url === "/relay") {
+        const result = await relayer.relay(await readBody(req));
+        return send(res, 200, result);
+      }
+
+      send(res, 404, { error: "Not found" });
+    } catch (error) {
+      if (error instanceof RelayError && error.status === 413) {
+        // The rest of the body was never read, so the connection can't be reused
+        res.on("finish", () => req.destroy());
+        return send(res, 413, { error: error.message }, { Connection: "close" });
+      }
+      if (error instanceof RelayError) return send(res, error.status, { error: error.message });
+
+      console.error("Relay failed:", error);
+      send(res, 500, { error: "Internal error" });
+    }
+  });
+}
+
+function loadDeployment() {
+  const deploymentPath = path.join(__dirname, "../deployment-info.json");
+  if (!fs.existsSync(deploymentPath)) return {};
+  return JSON.parse(fs.readFileSync(deploymentPath, "utf8")).contracts || {};
+}
+
+function loadAbi(name) {
+  const artifactPath = path.join(__dirname, `../artifacts/contracts/${name}.sol/${name}.json`);
+  if (!fs.existsSync(artifactPath)) throw new Error(`Artifact for ${name} not found. Run npm run compile first.`);
+  return JSON.parse(fs.readFileSync(artifactPath, "utf8")).abi;
+}
+
+async function main() {
+  if (!process.env.RELAYER_PRIVATE_KEY) throw new Error("RELAYER_PRIVATE_KEY is not set");
+
+  const deployment = loadDeployment();
+  const forwarderAddress = process.env.FORWARDER_ADDRESS || deployment.Forwarder;
+  const dexAddress = process.env.DEX_ADDRESS || deployment.DEX;
+  if (!forwarderAddress || !dexAddress) throw new Error("Forwarder or DEX address missing");
+
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const signer = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+  const forwarder = new ethers.Contract(forwarderAddress, loadAbi("Forwarder"), signer);
+
+  const relayer = createRelayer({
+    forwarder,
+    targets: [dexAddress],
+    rateLimit: {
+      max: Number(process.env.RATE_LIMIT_MAX || 10),
+      windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 60 * 60 * 1000),
+    },
+  });
+
+  const port = Number(process.env.PORT || 3001);
+  createServer(relayer, signer).listen(port, () => {
+    console.log(`Relayer ${signer.address} listening on port ${port}`);
+    console.log("Forwarder:", forwarderAddress);
+    console.log("DEX:", dexAddress);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createServer };
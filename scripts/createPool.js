@@ -1,133 +1,290 @@
-const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { parseArgs } = require("util");
+
+// Creates pools on the DEX recorded in deployment-info.json and seeds them with
+// liquidity. Safe to run again: existing pools are reused and pools that already hold
+// liquidity are left alone (unless --top-up), so environments can be re-seeded daily.
+//
+//   node scripts/createPool.js --network localhost                      # scripts/pools.json
+//   node scripts/createPool.js --network localhost --manifest my-pools.json
+//   node scripts/createPool.js --network localhost \
+//     --tokenA TokenA --tokenB TokenB --fee 30 --amountA 1000 --price 2
+//
+// Tokens are addresses or names from deployment-info.json (TokenA, TokenB, WCORE, ...).
+// Amounts are in whole tokens. --price is tokenB per tokenA and replaces either amount.
+// A manifest is { "pools": [{ "tokenA", "tokenB", "fee", "amountA", "amountB", "price" }] }
+// with the same fields as the flags.
+//
+// Other flags:
+//   --top-up         deposit into pools that already hold liquidity, at their current ratio
+//   --slippage <bps> tolerance on the deposit minimums (default 50)
+//   --dry-run        print what would happen without sending transactions
+
+const DEFAULT_MANIFEST = path.join(__dirname, "pools.json");
+const DEFAULT_FEE = 30;
+const PRICE_DECIMALS = 18;
+
+const TOKEN_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "function deposit() payable",
+];
+
+const OPTIONS = {
+  network: { type: "string" },
+  manifest: { type: "string" },
+  tokenA: { type: "string" },
+  tokenB: { type: "string" },
+  fee: { type: "string" },
+  amountA: { type: "string" },
+  amountB: { type: "string" },
+  price: { type: "string" },
+  "top-up": { type: "boolean", default: false },
+  slippage: { type: "string", default: "50" },
+  "dry-run": { type: "boolean", default: false },
+};
+
+/**
+ * Parsed command line flags
+ */
+function parseOptions(argv) {
+  return parseArgs({ args: argv, options: OPTIONS }).values;
+}
 
-async function main() {
-  console.log("\n💧 Initializing Liquidity Pool....\n");
+// Must be set before Hardhat loads; `npx hardhat run` sets it instead
+const cliOptions = require.main === module ? parseOptions(process.argv.slice(2)) : null;
+if (cliOptions?.network) process.env.HARDHAT_NETWORK = cliOptions.network;
+const hre = require("hardhat");
+const { createDexClient, isToken0, DexError } = require("../sdk");
 
-  // Load deployment addresses
-  const deploymentPath = path.join(__dirname, "../deployment-addresses.json");
-  
-  if (!fs.existsSync(deploymentPath)) {
-    console.error("❌ Deployment file not found. Please run deploy.js first.");
-    process.exit(1);
+/**
+ * Pools to seed: the one described by the flags, or the manifest's
+ */
+function loadPoolSpecs(options) {
+  if (options.tokenA || options.tokenB) {
+    if (options.manifest) throw new Error("Pass either a manifest or --tokenA/--tokenB, not both");
+    return [{ tokenA: options.tokenA, tokenB: options.tokenB, fee: options.fee, amountA: options.amountA, amountB: options.amountB, price: options.price }];
   }
 
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const manifestPath = options.manifest || DEFAULT_MANIFEST;
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const pools = Array.isArray(manifest) ? manifest : manifest.pools;
+  if (!Array.isArray(pools) || pools.length === 0) throw new Error(`${manifestPath} lists no pools`);
+  return pools;
+}
 
-  const [signer] = await hre.ethers.getSigners();
-  console.log("Using account:", signer.address);
+function resolveAddress(deployment, token) {
+  if (!token) throw new Error("Every pool needs tokenA and tokenB");
+  if (hre.ethers.isAddress(token)) return hre.ethers.getAddress(token);
 
-  const balance = await hre.ethers.provider.getBalance(signer.address);
-  console.log("Account balance:", hre.ethers.formatEther(balance), "ETH\n");
+  const address = deployment.contracts[token];
+  if (!address) throw new Error(`Unknown token ${token}: not an address or a contract in deployment-info.json`);
+  return address;
+}
 
-  // Get contract instances
-  const tokenA = await hre.ethers.getContractAt(
-    "MockToken",
-    deployment.contracts.tokenA.address
-  );
+async function loadToken(address, signer) {
+  const contract = new hre.ethers.Contract(address, TOKEN_ABI, signer);
+  return { address, contract, symbol: await contract.symbol(), decimals: await contract.decimals() };
+}
 
-  const tokenB = await hre.ethers.getContractAt(
-    "MockToken",
-    deployment.contracts.tokenB.address
-  );
+/**
+ * Raw (amountA, amountB) from any two of amountA, amountB and price
+ */
+function resolveAmounts(spec, tokenA, tokenB) {
+  const given = ["amountA", "amountB", "price"].filter((key) => spec[key] !== undefined);
+  if (given.length !== 2) {
+    throw new Error(`${tokenA.symbol}/${tokenB.symbol}: give exactly two of amountA, amountB and price`);
+  }
 
-  const dex = await hre.ethers.getContractAt(
-    "SimpleDEX",
-    deployment.contracts.dex.address
-  );
+  const scaleA = 10n ** tokenA.decimals;
+  const scaleB = 10n ** tokenB.decimals;
+  const priceScale = 10n ** BigInt(PRICE_DECIMALS);
+  const price = spec.price !== undefined ? hre.ethers.parseUnits(String(spec.price), PRICE_DECIMALS) : undefined;
+  if (price === 0n) throw new Error(`${tokenA.symbol}/${tokenB.symbol}: price must be positive`);
+
+  let amountA = spec.amountA !== undefined ? hre.ethers.parseUnits(String(spec.amountA), tokenA.decimals) : undefined;
+  let amountB = spec.amountB !== undefined ? hre.ethers.parseUnits(String(spec.amountB), tokenB.decimals) : undefined;
+  if (amountB === undefined) amountB = (amountA * price * scaleB) / (scaleA * priceScale);
+  if (amountA === undefined) amountA = (amountB * scaleA * priceScale) / (price * scaleB);
+
+  if (amountA === 0n || amountB === 0n) throw new Error(`${tokenA.symbol}/${tokenB.symbol}: amounts round to zero`);
+  return [amountA, amountB];
+}
+
+/**
+ * tokenB per whole tokenA at the given reserves, as a decimal string
+ */
+function formatPrice(reserveA, reserveB, tokenA, tokenB) {
+  const price = (reserveB * 10n ** tokenA.decimals * 10n ** BigInt(PRICE_DECIMALS)) / (reserveA * 10n ** tokenB.decimals);
+  return hre.ethers.formatUnits(price, PRICE_DECIMALS);
+}
 
-  console.log("📊 Current Token Balances:");
-  const balanceA = await tokenA.balanceOf(signer.address);
-  const balanceB = await tokenB.balanceOf(signer.address);
-  console.log("  TokenA:", hre.ethers.formatEther(balanceA), "TKA");
-  console.log("  TokenB:", hre.ethers.formatEther(balanceB), "TKB\n");
-
-  // Define liquidity amounts
-  const liquidityA = hre.ethers.parseEther("1000"); // 1000 TKA
-  const liquidityB = hre.ethers.parseEther("2000"); // 2000 TKB (1:2 ratio)
-
-  console.log("💧 Adding Initial Liquidity:");
-  console.log("  TokenA:", hre.ethers.formatEther(liquidityA), "TKA");
-  console.log("  TokenB:", hre.ethers.formatEther(liquidityB), "TKB");
-  console.log("  Initial Price: 1 TKA = 2 TKB\n");
-
-  // Check if we have enough tokens
-  if (balanceA < liquidityA || balanceB < liquidityB) {
-    console.log("⚠️  Insufficient token balance. Minting more tokens...");
-    
-    if (balanceA < liquidityA) {
-      const mintAmount = liquidityA - balanceA + hre.ethers.parseEther("100");
-      await tokenA.mint(signer.address, mintAmount);
-      console.log("✅ Minted", hre.ethers.formatEther(mintAmount), "TKA");
+/**
+ * What seeding does with a pool, given its current state (null if it doesn't exist yet):
+ * "seed" a missing or empty pool at the target amounts, "top-up" a seeded one at its
+ * current ratio when asked to, or "skip" it so re-runs leave it alone
+ */
+function seedAction(pool, topUp) {
+  if (!pool || pool.totalLiquidity === 0n) return "seed";
+  return topUp ? "top-up" : "skip";
+}
+
+/**
+ * Make sure the signer holds and has approved `amount` of token, wrapping native coin for WCORE
+ */
+async function prepareToken(token, amount, signer, dexAddress, wrappedNative) {
+  const balance = await token.contract.balanceOf(signer.address);
+  if (balance < amount) {
+    const shortfall = amount - balance;
+    if (token.address !== wrappedNative) {
+      throw new Error(`Need ${hre.ethers.formatUnits(shortfall, token.decimals)} more ${token.symbol}`);
     }
+    console.log(`  Wrapping ${hre.ethers.formatUnits(shortfall, token.decimals)} ${token.symbol}`);
+    await (await token.contract.deposit({ value: shortfall })).wait();
+  }
+
+  if ((await token.contract.allowance(signer.address, dexAddress)) < amount) {
+    console.log(`  Approving ${token.symbol}`);
+    await (await token.contract.approve(dexAddress, amount)).wait();
+  }
+}
 
-    if (balanceB < liquidityB) {
-      const mintAmount = liquidityB - balanceB + hre.ethers.parseEther("100");
-      await tokenB.mint(signer.address, mintAmount);
-      console.log("✅ Minted", hre.ethers.formatEther(mintAmount), "TKB\n");
+async function seedPool(spec, { deployment, dex, client, signer, options }) {
+  const addressA = resolveAddress(deployment, spec.tokenA);
+  const addressB = resolveAddress(deployment, spec.tokenB);
+  const fee = Number(spec.fee ?? DEFAULT_FEE);
+  if (!Number.isInteger(fee) || fee < 0) throw new Error(`Invalid fee ${spec.fee}`);
+  const tokenA = await loadToken(addressA, signer);
+  const tokenB = await loadToken(addressB, signer);
+  const label = `${tokenA.symbol}/${tokenB.symbol} ${fee / 100}%`;
+  const [amountA, amountB] = resolveAmounts(spec, tokenA, tokenB);
+
+  console.log(`\n${label} (${client.getPoolId(addressA, addressB, fee)})`);
+  if (!(await dex.feeTiers(fee))) throw new Error(`${label}: fee tier ${fee} is not enabled`);
+
+  let pool = await client.getPool(addressA, addressB, fee);
+  if (pool) {
+    console.log("  Pool exists");
+  } else if (options["dry-run"]) {
+    console.log("  Would create the pool");
+  } else {
+    await (await dex.createPool(addressA, addressB, fee)).wait();
+    pool = await client.getPool(addressA, addressB, fee);
+    console.log("  Created pool, LP token", pool.lpToken);
+  }
+
+  if (seedAction(pool, options["top-up"]) === "skip") {
+    const [reserveA, reserveB] = isToken0(pool, addressA) ? [pool.reserve0, pool.reserve1] : [pool.reserve1, pool.reserve0];
+    console.log(`  Already seeded, skipping deposit (target 1 ${tokenA.symbol} = ${formatPrice(amountA, amountB, tokenA, tokenB)} ${tokenB.symbol})`);
+    return { label, tokenA, tokenB, fee, reserveA, reserveB };
+  }
+
+  // An empty pool takes the amounts as given and so starts at the target price;
+  // a top-up only takes what matches the current ratio
+  const deposit = pool
+    ? await client.previewAddLiquidity(addressA, addressB, fee, amountA, amountB)
+    : { amountA, amountB };
+  console.log(
+    `  ${options["dry-run"] ? "Would deposit" : "Depositing"} ${hre.ethers.formatUnits(deposit.amountA, tokenA.decimals)} ${tokenA.symbol}` +
+      ` + ${hre.ethers.formatUnits(deposit.amountB, tokenB.decimals)} ${tokenB.symbol}`
+  );
+  if (options["dry-run"]) {
+    return { label, dryRun: true };
+  }
+
+  const dexAddress = await dex.getAddress();
+  await prepareToken(tokenA, deposit.amountA, signer, dexAddress, deployment.contracts.WCORE);
+  await prepareToken(tokenB, deposit.amountB, signer, dexAddress, deployment.contracts.WCORE);
+
+  const receipt = await (
+    await client.addLiquidity({
+      tokenA: addressA,
+      tokenB: addressB,
+      fee,
+      amountADesired: amountA,
+      amountBDesired: amountB,
+      slippageBps: BigInt(options.slippage),
+    })
+  ).wait();
+  console.log("  ✅ Seeded in", receipt.hash);
+
+  pool = await client.getPool(addressA, addressB, fee);
+  const [reserveA, reserveB] = isToken0(pool, addressA) ? [pool.reserve0, pool.reserve1] : [pool.reserve1, pool.reserve0];
+  return { label, tokenA, tokenB, fee, reserveA, reserveB };
+}
+
+async function report({ label, tokenA, tokenB, fee, reserveA, reserveB, dryRun }, client) {
+  if (dryRun) return;
+
+  console.log(`\n📊 ${label}`);
+  console.log(`  Reserves: ${hre.ethers.formatUnits(reserveA, tokenA.decimals)} ${tokenA.symbol}, ${hre.ethers.formatUnits(reserveB, tokenB.decimals)} ${tokenB.symbol}`);
+  console.log(`  Price: 1 ${tokenA.symbol} = ${formatPrice(reserveA, reserveB, tokenA, tokenB)} ${tokenB.symbol}`);
+  console.log(`         1 ${tokenB.symbol} = ${formatPrice(reserveB, reserveA, tokenB, tokenA)} ${tokenA.symbol}`);
+
+  // One whole token and 1% of the reserve, in each direction
+  for (const [tokenIn, tokenOut, reserveIn] of [[tokenA, tokenB, reserveA], [tokenB, tokenA, reserveB]]) {
+    for (const amountIn of new Set([10n ** tokenIn.decimals, reserveIn / 100n])) {
+      try {
+        const quote = await client.quoteExactInput(tokenIn.address, tokenOut.address, fee, amountIn);
+        console.log(
+          `  Swap ${hre.ethers.formatUnits(amountIn, tokenIn.decimals)} ${tokenIn.symbol}` +
+            ` -> ${hre.ethers.formatUnits(quote.amountOut, tokenOut.decimals)} ${tokenOut.symbol}` +
+            ` (impact ${Number(quote.priceImpactBps) / 100}%)`
+        );
+      } catch (error) {
+        if (!(error instanceof DexError)) throw error;
+        console.log(`  Swap ${hre.ethers.formatUnits(amountIn, tokenIn.decimals)} ${tokenIn.symbol}: ${error.reason}`);
+      }
     }
   }
+}
+
+async function main(options) {
+  const deployment = JSON.parse(fs.readFileSync("deployment-info.json", "utf8"));
+  if (!deployment.contracts?.DEX) throw new Error("deployment-info.json has no DEX, run deploy.js first");
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (BigInt(deployment.chainId) !== chainId) {
+    throw new Error(`deployment-info.json is for chain ${deployment.chainId}, but ${hre.network.name} is chain ${chainId}`);
+  }
+
+  const specs = loadPoolSpecs(options);
+  const [signer] = await hre.ethers.getSigners();
+  const dex = await hre.ethers.getContractAt("DEX", deployment.contracts.DEX, signer);
+  const client = createDexClient(dex);
+
+  console.log("Seeding pools on", hre.network.name, "as", signer.address);
+  console.log("DEX:", deployment.contracts.DEX);
+  if (options["dry-run"]) console.log("Dry run, no transactions will be sent");
+
+  const results = [];
+  for (const spec of specs) {
+    results.push(await seedPool(spec, { deployment, dex, client, signer, options }));
+  }
+  for (const result of results) {
+    await report(result, client);
+  }
+  console.log("\n✅ Done");
+}
 
-  // Approve tokens
-  console.log("🔐 Approving tokens...");
-  
-  const approveTxA = await tokenA.approve(deployment.contracts.dex.address, liquidityA);
-  await approveTxA.wait();
-  console.log("✅ TokenA approved");
-
-  const approveTxB = await tokenB.approve(deployment.contracts.dex.address, liquidityB);
-  await approveTxB.wait();
-  console.log("✅ TokenB approved\n");
-
-  // Add liquidity
-  console.log("💧 Adding liquidity to pool...");
-  
-  const addLiquidityTx = await dex.addLiquidity(liquidityA, liquidityB);
-  const receipt = await addLiquidityTx.wait();
-  
-  console.log("✅ Liquidity added!");
-  console.log("   Transaction hash:", receipt.hash);
-
-  // Get LP token balance
-  const lpBalance = await dex.balanceOf(signer.address);
-  console.log("   LP tokens received:", hre.ethers.formatEther(lpBalance), "SDEX-LP\n");
-
-  // Get pool reserves
-  const [reserveA, reserveB] = await dex.getReserves();
-  console.log("📊 Pool Reserves:");
-  console.log("   TokenA:", hre.ethers.formatEther(reserveA), "TKA");
-  console.log("   TokenB:", hre.ethers.formatEther(reserveB), "TKB");
-
-  // Get prices
-  const priceAInB = await dex.getPriceAInB();
-  const priceBInA = await dex.getPriceBInA();
-  console.log("\n💰 Current Prices:");
-  console.log("   1 TKA =", hre.ethers.formatEther(priceAInB), "TKB");
-  console.log("   1 TKB =", hre.ethers.formatEther(priceBInA), "TKA");
-
-  // Calculate pool value
-  const totalValueInA = reserveA + (reserveB * priceAInB / hre.ethers.parseEther("1"));
-  console.log("\n📈 Pool Statistics:");
-  console.log("   Total Value (in TKA):", hre.ethers.formatEther(totalValueInA), "TKA");
-  console.log("   LP Token Supply:", hre.ethers.formatEther(lpBalance), "SDEX-LP");
-
-  // Test swap calculation
-  const testSwapAmount = hre.ethers.parseEther("10");
-  const expectedOut = await dex.getAmountOut(testSwapAmount, reserveA, reserveB);
-  
-  console.log("\n🔄 Example Swap:");
-  console.log("   Swapping", hre.ethers.formatEther(testSwapAmount), "TKA");
-  console.log("   Would receive ≈", hre.ethers.formatEther(expectedOut), "TKB");
-  console.log("   (with 0.3% trading fee)");
-
-  console.log("\n✅ Pool initialization complete!\n");
+if (require.main === module) {
+  main(cliOptions)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Pool seeding failed:");
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("\n❌ Pool creation failed:");
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = {
+  parseOptions,
+  loadPoolSpecs,
+  resolveAmounts,
+  seedAction,
+  seedPool,
+};
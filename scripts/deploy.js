@@ -1,10 +1,12 @@
 const hre = require("hardhat");
+const fs = require("fs");
 
 async function main() {
-  console.log("Deploying to Core Testnet2...");
+  console.log(`Deploying to ${hre.network.name}...`);
 
   // Get deployer account
   const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
   console.log("Deploying with account:", deployer.address);
   
   // Check balance
@@ -23,22 +25,93 @@ async function main() {
   await tokenB.waitForDeployment();
   console.log("Token B deployed to:", await tokenB.getAddress());
 
-  // Deploy DEX contract
-  console.log("\n2. Deploying DEX contract...");
+  // Deploy the ERC-2771 forwarder the DEX trusts for relayed, gasless calls
+  console.log("\n2. Deploying Forwarder contract...");
+  const Forwarder = await hre.ethers.getContractFactory("Forwarder");
+  const forwarder = await Forwarder.deploy();
+  await forwarder.waitForDeployment();
+  console.log("Forwarder deployed to:", await forwarder.getAddress());
+
+  // Deploy DEX behind a UUPS proxy. The plugin validates the implementation's
+  // storage layout and records it in .openzeppelin/ for later upgrades.
+  console.log("\n3. Deploying DEX contract...");
   const DEX = await hre.ethers.getContractFactory("DEX");
-  const dex = await DEX.deploy();
+  const dex = await hre.upgrades.deployProxy(DEX, [deployer.address], {
+    kind: "uups",
+    constructorArgs: [await forwarder.getAddress()],
+  });
   await dex.waitForDeployment();
   
   const dexAddress = await dex.getAddress();
-  console.log("DEX deployed to:", dexAddress);
+  const dexImplementation = await hre.upgrades.erc1967.getImplementationAddress(dexAddress);
+  console.log("DEX proxy deployed to:", dexAddress);
+  console.log("DEX implementation deployed to:", dexImplementation);
+
+  // Deploy wrapped native coin so tCORE can be traded directly
+  console.log("\n4. Deploying WCORE contract...");
+  const WrappedNative = await hre.ethers.getContractFactory("WrappedNative");
+  const wcore = await WrappedNative.deploy("Wrapped CORE", "WCORE");
+  await wcore.waitForDeployment();
+  console.log("WCORE deployed to:", await wcore.getAddress());
+
+  // Deploy Router for multi-hop swaps and native coin support
+  console.log("\n5. Deploying Router contract...");
+  const Router = await hre.ethers.getContractFactory("Router");
+  const router = await Router.deploy(dexAddress, await wcore.getAddress());
+  await router.waitForDeployment();
+  console.log("Router deployed to:", await router.getAddress());
+
+  // Deploy PoolLens for batched pool and position reads
+  console.log("\n6. Deploying PoolLens contract...");
+  const PoolLens = await hre.ethers.getContractFactory("PoolLens");
+  const lens = await PoolLens.deploy(dexAddress);
+  await lens.waitForDeployment();
+  console.log("PoolLens deployed to:", await lens.getAddress());
+
+  // Deploy the limit order book that keepers fill against DEX pools
+  console.log("\n7. Deploying LimitOrderBook contract...");
+  const LimitOrderBook = await hre.ethers.getContractFactory("LimitOrderBook");
+  const orderBook = await LimitOrderBook.deploy(dexAddress);
+  await orderBook.waitForDeployment();
+  console.log("LimitOrderBook deployed to:", await orderBook.getAddress());
+
+  // Deploy the LP staking contract for liquidity mining programs
+  console.log("\n8. Deploying LiquidityMining contract...");
+  const LiquidityMining = await hre.ethers.getContractFactory("LiquidityMining");
+  const mining = await LiquidityMining.deploy(dexAddress);
+  await mining.waitForDeployment();
+  console.log("LiquidityMining deployed to:", await mining.getAddress());
+
+  // Deploy the migrator that moves LP positions off the previous, non-upgradeable DEX
+  console.log("\n9. Deploying LiquidityMigrator contract...");
+  const LiquidityMigrator = await hre.ethers.getContractFactory("LiquidityMigrator");
+  const migrator = await LiquidityMigrator.deploy(dexAddress);
+  await migrator.waitForDeployment();
+  console.log("LiquidityMigrator deployed to:", await migrator.getAddress());
+
+  // Keep the previous DEX address around so its LPs can still be migrated
+  const previous = fs.existsSync("deployment-info.json")
+    ? JSON.parse(fs.readFileSync("deployment-info.json", "utf8"))
+    : null;
+  const sameChain = previous && BigInt(previous.chainId) === chainId;
+  const legacyDex = sameChain ? previous.contracts.LegacyDEX || previous.contracts.DEX : undefined;
 
   // Save deployment info
   const deploymentInfo = {
-    network: "Core Testnet2",
-    chainId: 1114,
+    network: chainId === 1114n ? "Core Testnet2" : hre.network.name,
+    chainId: Number(chainId),
     deployer: deployer.address,
     contracts: {
       DEX: dexAddress,
+      DEXImplementation: dexImplementation,
+      ...(legacyDex && { LegacyDEX: legacyDex }),
+      Forwarder: await forwarder.getAddress(),
+      Router: await router.getAddress(),
+      WCORE: await wcore.getAddress(),
+      PoolLens: await lens.getAddress(),
+      LimitOrderBook: await orderBook.getAddress(),
+      LiquidityMining: await mining.getAddress(),
+      LiquidityMigrator: await migrator.getAddress(),
       TokenA: await tokenA.getAddress(),
       TokenB: await tokenB.getAddress()
     },
@@ -50,7 +123,6 @@ async function main() {
   console.log(JSON.stringify(deploymentInfo, null, 2));
   
   // Save to file
-  const fs = require("fs");
   fs.writeFileSync(
     "deployment-info.json",
     JSON.stringify(deploymentInfo, null, 2)
@@ -0,0 +1,229 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const { signPermit } = require("../sdk/permit");
+const { getPool, sortTokens } = require("../sdk/pool");
+const { previewRemoveLiquidity, quoteLiquidity } = require("../sdk/liquidity");
+const { minAmount } = require("../sdk/slippage");
+
+// Moves the signer's LP position in one pool from the legacy DEX recorded in
+// deployment-info.json (contracts.LegacyDEX) into the DEX proxy.
+//
+//   TOKEN0=0x.. TOKEN1=0x.. [FEE=30] [LIQUIDITY=<wei>] [SLIPPAGE_BPS=50] \
+//     npx hardhat run scripts/migrateLiquidity.js --network core_testnet2
+//
+// Legacy deployments with LP tokens go through LiquidityMigrator.migrateWithPermit in a
+// single transaction. The very first DEX kept liquidity in a mapping keyed by provider,
+// which only the provider can withdraw, so those positions migrate in one EIP-7702
+// transaction that runs LiquidityMigrator.migrateFromOriginal as the signer's own code;
+// the delegation is cleared right after. Chains without EIP-7702 reject that transaction
+// type, and then the position takes two transactions: removeLiquidity on the legacy DEX,
+// then a deposit that uses permits where the tokens support them and plain approvals
+// where they don't. Core Testnet2 runs Shanghai, so there it is always two transactions.
+
+// Pre-LP-token DEX: one pool per pair, fixed 0.3% fee
+const ORIGINAL_DEX_ABI = [
+  "function getPoolId(address token0, address token1) view returns (bytes32)",
+  "function pools(bytes32 poolId) view returns (address token0, address token1, uint256 reserve0, uint256 reserve1, uint256 totalLiquidity)",
+  "function liquidity(bytes32 poolId, address provider) view returns (uint256)",
+  "function removeLiquidity(address token0, address token1, uint256 liquidityAmount) returns (uint256, uint256)",
+];
+
+// How nodes without EIP-7702 reject type-4 transactions, e.g. Hardhat's "EIP-7702 parameters,
+// but they are not supported by the current hardfork" and geth's "transaction type not supported"
+const DELEGATION_UNSUPPORTED = /(7702|authorization|transaction type|type[- ]?4).*(not supported|unsupported|not activated|not enabled)|(unsupported|invalid) (tx|transaction) type/i;
+
+async function main() {
+  const deployment = JSON.parse(fs.readFileSync("deployment-info.json", "utf8"));
+  const { DEX: dexAddress, LegacyDEX: legacyAddress, LiquidityMigrator: migratorAddress } = deployment.contracts;
+
+  if (!legacyAddress || !migratorAddress) {
+    throw new Error("deployment-info.json has no LegacyDEX or LiquidityMigrator, run deploy.js first");
+  }
+  if (!process.env.TOKEN0 || !process.env.TOKEN1) {
+    throw new Error("Set TOKEN0 and TOKEN1 to the pool's token addresses");
+  }
+
+  // The DEX takes amounts in sorted token order
+  const [token0, token1] = sortTokens(process.env.TOKEN0, process.env.TOKEN1);
+  const fee = Number(process.env.FEE || 30);
+  const slippageBps = BigInt(process.env.SLIPPAGE_BPS || 50);
+
+  const [signer] = await hre.ethers.getSigners();
+  console.log("Migrating liquidity for:", signer.address);
+  console.log("Legacy DEX:", legacyAddress);
+  console.log("DEX proxy:", dexAddress);
+
+  const dex = await hre.ethers.getContractAt("DEX", dexAddress);
+  const deadline = Math.floor(Date.now() / 1000) + 1200;
+
+  if (await hasLpTokens(legacyAddress)) {
+    await migrateWithPermit(signer, dex, legacyAddress, migratorAddress, token0, token1, fee, slippageBps, deadline);
+  } else {
+    await migrateOriginal(signer, dex, legacyAddress, migratorAddress, token0, token1, fee, slippageBps, deadline);
+  }
+}
+
+async function hasLpTokens(legacyAddress) {
+  const legacy = await hre.ethers.getContractAt("DEX", legacyAddress);
+  try {
+    await legacy.lpTokenImplementation();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function migrateWithPermit(signer, dex, legacyAddress, migratorAddress, token0, token1, fee, slippageBps, deadline) {
+  const legacy = await hre.ethers.getContractAt("DEX", legacyAddress);
+  const migrator = await hre.ethers.getContractAt("LiquidityMigrator", migratorAddress);
+
+  const legacyPool = await legacy.pools(await legacy.getPoolId(token0, token1, fee));
+  if (legacyPool.lpToken === hre.ethers.ZeroAddress) throw new Error("No such pool on the legacy DEX");
+
+  const lpToken = await hre.ethers.getContractAt("LPToken", legacyPool.lpToken);
+  const liquidity = BigInt(process.env.LIQUIDITY || (await lpToken.balanceOf(signer.address)));
+  if (liquidity === 0n) throw new Error("Nothing to migrate");
+
+  // What the legacy pool pays out, priced into the new pool at its current ratio
+  const { amount0, amount1 } = previewRemoveLiquidity(legacyPool, liquidity);
+  const [amount0Min, amount1Min] = await depositMins(dex, token0, token1, fee, amount0, amount1, slippageBps);
+
+  console.log(`\nMigrating ${hre.ethers.formatEther(liquidity)} LP in one transaction...`);
+  const permit = await signPermit(signer, lpToken, migratorAddress, liquidity, deadline);
+  const tx = await migrator.migrateWithPermit(
+    legacyAddress, token0, token1, fee, liquidity, amount0Min, amount1Min, deadline, permit
+  );
+  const receipt = await tx.wait();
+  console.log("✅ Migrated in", receipt.hash);
+}
+
+async function migrateOriginal(signer, dex, legacyAddress, migratorAddress, token0, token1, fee, slippageBps, deadline) {
+  const legacy = new hre.ethers.Contract(legacyAddress, ORIGINAL_DEX_ABI, signer);
+
+  const poolId = await legacy.getPoolId(token0, token1);
+  const liquidity = BigInt(process.env.LIQUIDITY || (await legacy.liquidity(poolId, signer.address)));
+  if (liquidity === 0n) throw new Error("Nothing to migrate");
+
+  // What the legacy pool pays out, priced into the new pool at its current ratio
+  const { amount0, amount1 } = previewRemoveLiquidity(await legacy.pools(poolId), liquidity);
+  const [amount0Min, amount1Min] = await depositMins(dex, token0, token1, fee, amount0, amount1, slippageBps);
+
+  const migrator = await hre.ethers.getContractAt("LiquidityMigrator", migratorAddress);
+  const data = migrator.interface.encodeFunctionData("migrateFromOriginal", [
+    legacyAddress, token0, token1, fee, liquidity, amount0Min, amount1Min, deadline,
+  ]);
+
+  // The sender's nonce is bumped before the authorization is checked, so a self-sponsored
+  // delegation signs the nonce after the transaction's
+  const delegation = {
+    to: signer.address,
+    data,
+    authorizationList: [await signer.authorize({ address: migratorAddress, nonce: (await signer.getNonce()) + 1 })],
+  };
+  try {
+    await signer.estimateGas(delegation);
+  } catch (error) {
+    if (!isDelegationUnsupported(error)) throw error;
+    console.log(`\nThis chain doesn't support EIP-7702 (${error.shortMessage || error.message})`);
+    return migrateOriginalInTwoSteps(signer, dex, legacy, token0, token1, fee, liquidity, slippageBps, deadline);
+  }
+
+  console.log(`\nMigrating ${hre.ethers.formatEther(liquidity)} liquidity in one transaction...`);
+  const receipt = await (await signer.sendTransaction(delegation)).wait();
+  console.log("✅ Migrated in", receipt.hash);
+
+  // Leave the account a plain EOA again
+  try {
+    const revocation = await signer.authorize({ address: hre.ethers.ZeroAddress, nonce: (await signer.getNonce()) + 1 });
+    await (await signer.sendTransaction({ to: signer.address, authorizationList: [revocation] })).wait();
+  } catch (error) {
+    throw new Error(
+      `Migrated in ${receipt.hash}, but clearing the delegation failed (${error.shortMessage || error.message}). ` +
+        `${signer.address} still runs LiquidityMigrator code: send it a type-4 transaction authorizing the zero address`
+    );
+  }
+  if ((await signer.provider.getCode(signer.address)) !== "0x") {
+    throw new Error(
+      `Migrated in ${receipt.hash}, but ${signer.address} still has code after the revocation: ` +
+        "send it a type-4 transaction authorizing the zero address"
+    );
+  }
+  console.log("Delegation cleared");
+  return receipt;
+}
+
+function isDelegationUnsupported(error) {
+  return [error.shortMessage, error.message, error.info?.error?.message].some(
+    (message) => message && DELEGATION_UNSUPPORTED.test(message)
+  );
+}
+
+async function migrateOriginalInTwoSteps(signer, dex, legacy, token0, token1, fee, liquidity, slippageBps, deadline) {
+  console.log("Migrating in two transactions");
+  const token0Contract = await hre.ethers.getContractAt("Token", token0, signer);
+  const token1Contract = await hre.ethers.getContractAt("Token", token1, signer);
+  const before0 = await token0Contract.balanceOf(signer.address);
+  const before1 = await token1Contract.balanceOf(signer.address);
+
+  console.log(`1. Removing ${hre.ethers.formatEther(liquidity)} liquidity from the legacy DEX...`);
+  await (await legacy.connect(signer).removeLiquidity(token0, token1, liquidity)).wait();
+  const amount0 = (await token0Contract.balanceOf(signer.address)) - before0;
+  const amount1 = (await token1Contract.balanceOf(signer.address)) - before1;
+
+  if ((await dex.pools(await dex.getPoolId(token0, token1, fee))).lpToken === hre.ethers.ZeroAddress) {
+    await (await dex.createPool(token0, token1, fee)).wait();
+  }
+  const [amount0Min, amount1Min] = await depositMins(dex, token0, token1, fee, amount0, amount1, slippageBps);
+
+  console.log("2. Depositing into the DEX proxy...");
+  let tx;
+  if ((await supportsPermit(token0Contract)) && (await supportsPermit(token1Contract))) {
+    const permits = [
+      await signPermit(signer, token0Contract, await dex.getAddress(), amount0, deadline),
+      await signPermit(signer, token1Contract, await dex.getAddress(), amount1, deadline),
+    ];
+    tx = await dex.addLiquidityWithPermit(
+      token0, token1, fee, amount0, amount1, amount0Min, amount1Min, signer.address, deadline, permits
+    );
+  } else {
+    // Tokens from before ERC20Permit only take approvals
+    await (await token0Contract.approve(await dex.getAddress(), amount0)).wait();
+    await (await token1Contract.approve(await dex.getAddress(), amount1)).wait();
+    tx = await dex.addLiquidity(token0, token1, fee, amount0, amount1, amount0Min, amount1Min, signer.address, deadline);
+  }
+  const receipt = await tx.wait();
+  console.log("✅ Migrated in", receipt.hash);
+  return receipt;
+}
+
+async function supportsPermit(token) {
+  try {
+    await token.eip712Domain();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Minimum deposits for the amounts the new pool will actually take, less slippage
+async function depositMins(dex, token0, token1, fee, amount0, amount1, slippageBps) {
+  // A missing or empty pool takes both amounts as they are
+  const pool = await getPool(dex, token0, token1, fee);
+  const [deposit0, deposit1] = pool ? quoteLiquidity(pool, amount0, amount1) : [amount0, amount1];
+  return [minAmount(deposit0, slippageBps), minAmount(deposit1, slippageBps)];
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrateOriginal,
+  migrateOriginalInTwoSteps,
+  isDelegationUnsupported,
+};
@@ -0,0 +1,50 @@
+const hre = require("hardhat");
+const fs = require("fs");
+
+// Upgrades the DEX proxy recorded in deployment-info.json to the DEX contract as
+// currently compiled. The storage layout is checked against the one recorded when the
+// proxy was deployed (.openzeppelin/) before anything is sent, so a layout that would
+// corrupt pools, reserves or roles never reaches the chain.
+//
+// VALIDATE_ONLY=true runs the layout check without deploying or upgrading.
+
+async function main() {
+  const deployment = JSON.parse(fs.readFileSync("deployment-info.json", "utf8"));
+  const proxyAddress = deployment.contracts.DEX;
+  const forwarder = deployment.contracts.Forwarder;
+
+  if (!proxyAddress || !forwarder) {
+    throw new Error("deployment-info.json has no DEX proxy or Forwarder, run deploy.js first");
+  }
+
+  const [deployer] = await hre.ethers.getSigners();
+  console.log("Upgrading DEX proxy", proxyAddress, "with account:", deployer.address);
+
+  const DEX = await hre.ethers.getContractFactory("DEX");
+  const options = { kind: "uups", constructorArgs: [forwarder] };
+
+  console.log("\n1. Validating storage layout...");
+  await hre.upgrades.validateUpgrade(proxyAddress, DEX, options);
+  console.log("Storage layout is compatible");
+
+  if (process.env.VALIDATE_ONLY === "true") return;
+
+  console.log("\n2. Upgrading implementation...");
+  const dex = await hre.upgrades.upgradeProxy(proxyAddress, DEX, options);
+  await dex.waitForDeployment();
+
+  const implementation = await hre.upgrades.erc1967.getImplementationAddress(proxyAddress);
+  console.log("DEX implementation upgraded to:", implementation);
+
+  deployment.contracts.DEXImplementation = implementation;
+  deployment.timestamp = new Date().toISOString();
+  fs.writeFileSync("deployment-info.json", JSON.stringify(deployment, null, 2));
+  console.log("\n📄 Deployment info saved to deployment-info.json");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
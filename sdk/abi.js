@@ -0,0 +1,35 @@
+// Human-readable ABI fragments for the parts of the DEX the SDK drives, so apps can
+// connect without the Hardhat artifacts.
+
+const { Contract } = require("ethers");
+
+const DEX_ABI = [
+  "function pools(bytes32 poolId) view returns (address token0, address token1, uint256 reserve0, uint256 reserve1, uint256 totalLiquidity, address lpToken, uint24 fee)",
+  "function getPoolId(address token0, address token1, uint24 fee) pure returns (bytes32)",
+  "function feeTiers(uint24 fee) view returns (bool)",
+  "function liquidity(bytes32 poolId, address provider) view returns (uint256)",
+  "function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut, uint24 fee) pure returns (uint256)",
+  "function getAmountIn(uint256 amountOut, uint256 reserveIn, uint256 reserveOut, uint24 fee) pure returns (uint256)",
+  "function quoteLiquidity(bytes32 poolId, uint256 amount0Desired, uint256 amount1Desired) view returns (uint256 amount0, uint256 amount1)",
+  "function createPool(address token0, address token1, uint24 fee) returns (bytes32)",
+  "function addLiquidity(address token0, address token1, uint24 fee, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address to, uint256 deadline) returns (uint256, uint256, uint256)",
+  "function removeLiquidity(address token0, address token1, uint24 fee, uint256 liquidityAmount, uint256 amount0Min, uint256 amount1Min, address to, uint256 deadline) returns (uint256 amount0, uint256 amount1)",
+  "function swap(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint256 minAmountOut, address to, uint256 deadline) returns (uint256)",
+  "function swapTokensForExactTokens(address tokenIn, address tokenOut, uint24 fee, uint256 amountOut, uint256 maxAmountIn, address to, uint256 deadline) returns (uint256)",
+  "event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, bytes32 poolId, address lpToken)",
+  "event LiquidityAdded(bytes32 indexed poolId, address indexed provider, uint256 amount0, uint256 amount1, uint256 liquidity, address to)",
+  "event LiquidityRemoved(bytes32 indexed poolId, address indexed provider, uint256 amount0, uint256 amount1, uint256 liquidity, address to)",
+  "event Swap(bytes32 indexed poolId, address indexed user, address tokenIn, uint256 amountIn, uint256 amountOut, address to)",
+];
+
+/**
+ * DEX contract at `address` connected to an ethers v6 signer or provider
+ */
+function connectDex(address, runner) {
+  return new Contract(address, DEX_ABI, runner);
+}
+
+module.exports = {
+  DEX_ABI,
+  connectDex,
+};
@@ -0,0 +1,204 @@
+// High-level DEX client: pool lookup by pair, quotes and liquidity previews computed
+// off-chain from one reserves read, and transactions with slippage bounds derived from
+// those previews. Token pairs can be passed in either order; amounts follow the order
+// the tokens were passed in, and the client sorts them for the contract.
+
+const { getAmountOut, getAmountIn, FEE_DENOMINATOR } = require("./math");
+const { priceImpactBps } = require("./quote");
+const { getPoolId, getPool, isToken0 } = require("./pool");
+const { previewAddLiquidity, previewRemoveLiquidity } = require("./liquidity");
+const { DEFAULT_SLIPPAGE_BPS, DEFAULT_DEADLINE_SECONDS, minAmount, maxAmount, deadlineIn } = require("./slippage");
+const { DexError, decodeDexError } = require("./errors");
+
+const SWAP = "swap(address,address,uint24,uint256,uint256,address,uint256)";
+const SWAP_EXACT_OUT = "swapTokensForExactTokens(address,address,uint24,uint256,uint256,address,uint256)";
+const ADD_LIQUIDITY = "addLiquidity(address,address,uint24,uint256,uint256,uint256,uint256,address,uint256)";
+const REMOVE_LIQUIDITY = "removeLiquidity(address,address,uint24,uint256,uint256,uint256,address,uint256)";
+
+/**
+ * Client for `dex`, an ethers v6 Contract with the DEX ABI (see connectDex).
+ * Connect it to a signer to send transactions. Every method throws DexError for
+ * anything the contract would revert on.
+ */
+function createDexClient(dex) {
+  // Rethrow reverts and off-chain mirror failures as DexError
+  async function attempt(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw decodeDexError(error) ?? error;
+    }
+  }
+
+  async function requirePool(tokenA, tokenB, fee) {
+    const pool = await getPool(dex, tokenA, tokenB, fee);
+    if (!pool) throw new DexError("POOL_NOT_FOUND", "Pool doesn't exist");
+    return pool;
+  }
+
+  async function recipient(to) {
+    return to ?? dex.runner.getAddress();
+  }
+
+  // Relative to chain time rather than the local clock, which a dev node may be far ahead of
+  async function defaultDeadline(deadline) {
+    if (deadline !== undefined) return BigInt(deadline);
+    const block = await dex.runner.provider.getBlock("latest");
+    return deadlineIn(DEFAULT_DEADLINE_SECONDS, block.timestamp);
+  }
+
+  function inPoolOrder(pool, tokenA, amountA, amountB) {
+    return isToken0(pool, tokenA) ? [amountA, amountB] : [amountB, amountA];
+  }
+
+  function reserves(pool, tokenIn) {
+    return isToken0(pool, tokenIn) ? [pool.reserve0, pool.reserve1] : [pool.reserve1, pool.reserve0];
+  }
+
+  /**
+   * Output of DEX.swap for an exact amountIn, with the fee and price impact
+   */
+  function quoteExactInput(tokenIn, tokenOut, fee, amountIn) {
+    return attempt(async () => {
+      const pool = await requirePool(tokenIn, tokenOut, fee);
+      const [reserveIn, reserveOut] = reserves(pool, tokenIn);
+      const amountOut = getAmountOut(amountIn, reserveIn, reserveOut, pool.fee);
+      if (amountOut >= reserveOut) throw new Error("Insufficient liquidity");
+
+      return {
+        poolId: pool.poolId,
+        amountIn,
+        amountOut,
+        feeAmount: (amountIn * pool.fee) / FEE_DENOMINATOR,
+        priceImpactBps: priceImpactBps(amountIn, amountOut, reserveIn, reserveOut, pool.fee),
+      };
+    });
+  }
+
+  /**
+   * Input DEX.swapTokensForExactTokens charges for an exact amountOut
+   */
+  function quoteExactOutput(tokenIn, tokenOut, fee, amountOut) {
+    return attempt(async () => {
+      const pool = await requirePool(tokenIn, tokenOut, fee);
+      const [reserveIn, reserveOut] = reserves(pool, tokenIn);
+      const amountIn = getAmountIn(amountOut, reserveIn, reserveOut, pool.fee);
+
+      return {
+        poolId: pool.poolId,
+        amountIn,
+        amountOut,
+        feeAmount: (amountIn * pool.fee) / FEE_DENOMINATOR,
+        priceImpactBps: priceImpactBps(amountIn, amountOut, reserveIn, reserveOut, pool.fee),
+      };
+    });
+  }
+
+  /**
+   * What DEX.addLiquidity pulls and mints for up to (amountADesired, amountBDesired)
+   */
+  function previewAddLiquidityFor(tokenA, tokenB, fee, amountADesired, amountBDesired) {
+    return attempt(async () => {
+      const pool = await requirePool(tokenA, tokenB, fee);
+      const [amount0Desired, amount1Desired] = inPoolOrder(pool, tokenA, amountADesired, amountBDesired);
+      const preview = previewAddLiquidity(pool, amount0Desired, amount1Desired);
+      const [amountA, amountB] = inPoolOrder(pool, tokenA, preview.amount0, preview.amount1);
+
+      return { poolId: pool.poolId, amountA, amountB, liquidity: preview.liquidity, totalLiquidity: preview.totalLiquidity };
+    });
+  }
+
+  /**
+   * What DEX.removeLiquidity pays out for `liquidity` shares
+   */
+  function previewRemoveLiquidityFor(tokenA, tokenB, fee, liquidity) {
+    return attempt(async () => {
+      const pool = await requirePool(tokenA, tokenB, fee);
+      const preview = previewRemoveLiquidity(pool, liquidity);
+      const [amountA, amountB] = inPoolOrder(pool, tokenA, preview.amount0, preview.amount1);
+
+      return { poolId: pool.poolId, amountA, amountB, totalLiquidity: preview.totalLiquidity };
+    });
+  }
+
+  /**
+   * Swap an exact amountIn, reverting if the output falls more than slippageBps below the quote
+   */
+  function swapExactInput({ tokenIn, tokenOut, fee, amountIn, slippageBps = DEFAULT_SLIPPAGE_BPS, to, deadline }) {
+    return attempt(async () => {
+      const { amountOut } = await quoteExactInput(tokenIn, tokenOut, fee, amountIn);
+      return dex[SWAP](tokenIn, tokenOut, fee, amountIn, minAmount(amountOut, slippageBps), await recipient(to), await defaultDeadline(deadline));
+    });
+  }
+
+  /**
+   * Swap for an exact amountOut, reverting if the input rises more than slippageBps above the quote
+   */
+  function swapExactOutput({ tokenIn, tokenOut, fee, amountOut, slippageBps = DEFAULT_SLIPPAGE_BPS, to, deadline }) {
+    return attempt(async () => {
+      const { amountIn } = await quoteExactOutput(tokenIn, tokenOut, fee, amountOut);
+      return dex[SWAP_EXACT_OUT](tokenIn, tokenOut, fee, amountOut, maxAmount(amountIn, slippageBps), await recipient(to), await defaultDeadline(deadline));
+    });
+  }
+
+  /**
+   * Deposit up to the desired amounts at the pool's ratio. The minimums are the
+   * previewed amounts less slippageBps, so the deposit reverts if the ratio moves.
+   */
+  function addLiquidity({ tokenA, tokenB, fee, amountADesired, amountBDesired, slippageBps = DEFAULT_SLIPPAGE_BPS, to, deadline }) {
+    return attempt(async () => {
+      const pool = await requirePool(tokenA, tokenB, fee);
+      const [amount0Desired, amount1Desired] = inPoolOrder(pool, tokenA, amountADesired, amountBDesired);
+      const { amount0, amount1 } = previewAddLiquidity(pool, amount0Desired, amount1Desired);
+
+      return dex[ADD_LIQUIDITY](
+        pool.token0,
+        pool.token1,
+        pool.fee,
+        amount0Desired,
+        amount1Desired,
+        minAmount(amount0, slippageBps),
+        minAmount(amount1, slippageBps),
+        await recipient(to),
+        await defaultDeadline(deadline)
+      );
+    });
+  }
+
+  /**
+   * Burn `liquidity` shares, reverting if either payout falls more than slippageBps below the preview
+   */
+  function removeLiquidity({ tokenA, tokenB, fee, liquidity, slippageBps = DEFAULT_SLIPPAGE_BPS, to, deadline }) {
+    return attempt(async () => {
+      const pool = await requirePool(tokenA, tokenB, fee);
+      const { amount0, amount1 } = previewRemoveLiquidity(pool, liquidity);
+
+      return dex[REMOVE_LIQUIDITY](
+        pool.token0,
+        pool.token1,
+        pool.fee,
+        liquidity,
+        minAmount(amount0, slippageBps),
+        minAmount(amount1, slippageBps),
+        await recipient(to),
+        await defaultDeadline(deadline)
+      );
+    });
+  }
+
+  return {
+    dex,
+    getPoolId,
+    getPool: (tokenA, tokenB, fee) => getPool(dex, tokenA, tokenB, fee),
+    quoteExactInput,
+    quoteExactOutput,
+    previewAddLiquidity: previewAddLiquidityFor,
+    previewRemoveLiquidity: previewRemoveLiquidityFor,
+    swapExactInput,
+    swapExactOutput,
+    addLiquidity,
+    removeLiquidity,
+  };
+}
+
+module.exports = { createDexClient };
@@ -0,0 +1,123 @@
+// Decoding of DEX reverts into errors with a stable `code`, so callers can branch on
+// what went wrong instead of matching revert strings.
+
+const { AbiCoder, Interface, isHexString } = require("ethers");
+
+// require() reasons in DEX.sol
+const REVERT_CODES = {
+  Expired: "EXPIRED",
+  "Slippage exceeded": "SLIPPAGE_EXCEEDED",
+  "Insufficient liquidity": "INSUFFICIENT_LIQUIDITY",
+  "Insufficient liquidity minted": "INSUFFICIENT_LIQUIDITY_MINTED",
+  "Insufficient amounts": "INSUFFICIENT_AMOUNTS",
+  "Insufficient reserve": "INSUFFICIENT_RESERVE",
+  "Invalid amounts": "INVALID_AMOUNTS",
+  "Invalid input": "INVALID_INPUT",
+  "Invalid input amount": "INVALID_INPUT",
+  "Invalid output": "INVALID_OUTPUT",
+  "Invalid output amount": "INVALID_OUTPUT",
+  "Invalid period": "INVALID_PERIOD",
+  "Invalid fee": "INVALID_FEE",
+  "Invariant violated": "INVARIANT_VIOLATED",
+  "Pool doesn't exist": "POOL_NOT_FOUND",
+  "Pool exists": "POOL_EXISTS",
+  "Pool paused": "POOL_PAUSED",
+  "Fee tier not enabled": "FEE_TIER_NOT_ENABLED",
+  "Identical tokens": "IDENTICAL_TOKENS",
+  "Zero address": "ZERO_ADDRESS",
+  "Share too high": "SHARE_TOO_HIGH",
+  "Transfer fee not supported": "TRANSFER_FEE_NOT_SUPPORTED",
+  "Permit failed": "PERMIT_FAILED",
+};
+
+// OpenZeppelin custom errors the DEX can revert with, directly or bubbled up from a token
+const CUSTOM_ERRORS = new Interface([
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error EnforcedPause()",
+  "error ReentrancyGuardReentrantCall()",
+  "error SafeERC20FailedOperation(address token)",
+  "error FailedDeployment()",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+]);
+
+const CUSTOM_ERROR_CODES = {
+  AccessControlUnauthorizedAccount: "UNAUTHORIZED",
+  EnforcedPause: "POOL_PAUSED",
+  ReentrancyGuardReentrantCall: "REENTRANT_CALL",
+  SafeERC20FailedOperation: "TRANSFER_FAILED",
+  FailedDeployment: "CLONE_FAILED",
+  ERC20InsufficientAllowance: "INSUFFICIENT_ALLOWANCE",
+  ERC20InsufficientBalance: "INSUFFICIENT_BALANCE",
+};
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+class DexError extends Error {
+  /**
+   * `reason` is the revert string or custom error name, `args` the custom error's
+   * arguments (empty for revert strings) and `cause` the error it was decoded from
+   */
+  constructor(code, reason, args = [], cause = undefined) {
+    super(`${reason} (${code})`);
+    this.name = "DexError";
+    this.code = code;
+    this.reason = reason;
+    this.args = args;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Revert data carried by an ethers or provider error, wherever the wrapping put it
+ */
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 5) return null;
+  if (isHexString(error.data) && error.data.length >= 10) return error.data;
+  if (isHexString(error.data?.data) && error.data.data.length >= 10) return error.data.data;
+
+  return findRevertData(error.error, depth + 1) ?? findRevertData(error.info?.error, depth + 1) ?? findRevertData(error.cause, depth + 1);
+}
+
+/**
+ * Decode raw revert data. Returns null for data that isn't a known DEX revert.
+ */
+function decodeRevertData(data, cause) {
+  if (data.startsWith(ERROR_STRING_SELECTOR)) {
+    const [reason] = AbiCoder.defaultAbiCoder().decode(["string"], `0x${data.slice(10)}`);
+    return new DexError(REVERT_CODES[reason] ?? "UNKNOWN", reason, [], cause);
+  }
+
+  const parsed = CUSTOM_ERRORS.parseError(data);
+  if (!parsed) return null;
+  return new DexError(CUSTOM_ERROR_CODES[parsed.name], parsed.name, [...parsed.args], cause);
+}
+
+/**
+ * DexError for an error thrown by a DEX call or transaction, or by one of the SDK's
+ * off-chain mirrors (which throw the contract's revert strings). Returns null for
+ * anything else, e.g. a rejected signature or an unreachable node.
+ */
+function decodeDexError(error) {
+  if (error instanceof DexError) return error;
+
+  const data = findRevertData(error);
+  if (data) return decodeRevertData(data, error);
+
+  // Some providers only surface the reason string
+  if (typeof error?.reason === "string" && REVERT_CODES[error.reason]) {
+    return new DexError(REVERT_CODES[error.reason], error.reason, [], error);
+  }
+  if (error instanceof Error && REVERT_CODES[error.message]) {
+    return new DexError(REVERT_CODES[error.message], error.message, [], error);
+  }
+  return null;
+}
+
+module.exports = {
+  REVERT_CODES,
+  CUSTOM_ERROR_CODES,
+  DexError,
+  decodeRevertData,
+  decodeDexError,
+};
@@ -0,0 +1,252 @@
+// Type declarations for the DEX SDK. Amounts are BigInt in token units; fees and
+// slippage are in basis points.
+
+import type { BigNumberish, Contract, ContractRunner, ContractTransactionResponse, Signer } from "ethers";
+
+type Address = string;
+type Bytes32 = string;
+type Fee = BigNumberish;
+
+// abi
+
+export declare const DEX_ABI: string[];
+export declare function connectDex(address: Address, runner?: ContractRunner | null): Contract;
+
+// math
+
+export declare const FEE_DENOMINATOR: bigint;
+export declare const DEFAULT_FEE: bigint;
+export declare function getAmountOut(amountIn: bigint, reserveIn: bigint, reserveOut: bigint, fee?: Fee): bigint;
+export declare function getAmountIn(amountOut: bigint, reserveIn: bigint, reserveOut: bigint, fee?: Fee): bigint;
+export declare function getFlashFee(amountOut: bigint, fee?: Fee): bigint;
+
+// pool
+
+export interface Pool {
+  poolId: Bytes32;
+  token0: Address;
+  token1: Address;
+  fee: bigint;
+  lpToken: Address;
+  reserve0: bigint;
+  reserve1: bigint;
+  totalLiquidity: bigint;
+}
+
+/** The reserve and share fields the liquidity math reads */
+export type PoolReserves = Pick<Pool, "reserve0" | "reserve1" | "totalLiquidity">;
+
+export declare function sortTokens(tokenA: Address, tokenB: Address): [Address, Address];
+export declare function getPoolId(tokenA: Address, tokenB: Address, fee: Fee): Bytes32;
+export declare function getPool(dex: Contract, tokenA: Address, tokenB: Address, fee: Fee): Promise<Pool | null>;
+export declare function isToken0(pool: Pick<Pool, "token0">, token: Address): boolean;
+
+// liquidity
+
+export declare const MINIMUM_LIQUIDITY: bigint;
+export declare function sqrt(x: bigint): bigint;
+export declare function quoteLiquidity(pool: PoolReserves, amount0Desired: bigint, amount1Desired: bigint): [bigint, bigint];
+export declare function getLiquidityMinted(pool: PoolReserves, amount0: bigint, amount1: bigint): bigint;
+export declare function previewAddLiquidity(
+  pool: PoolReserves,
+  amount0Desired: bigint,
+  amount1Desired: bigint
+): { amount0: bigint; amount1: bigint; liquidity: bigint; totalLiquidity: bigint };
+export declare function previewRemoveLiquidity(
+  pool: PoolReserves,
+  liquidity: bigint
+): { amount0: bigint; amount1: bigint; totalLiquidity: bigint };
+
+// slippage
+
+export declare const BPS: bigint;
+export declare const DEFAULT_SLIPPAGE_BPS: bigint;
+export declare const DEFAULT_DEADLINE_SECONDS: number;
+export declare function minAmount(amount: bigint, slippageBps?: BigNumberish): bigint;
+export declare function maxAmount(amount: bigint, slippageBps?: BigNumberish): bigint;
+export declare function deadlineIn(seconds?: BigNumberish, now?: BigNumberish): bigint;
+
+// quote
+
+export declare function getSwapReserves(
+  dex: Contract,
+  tokenIn: Address,
+  tokenOut: Address,
+  fee: Fee
+): Promise<{ reserveIn: bigint; reserveOut: bigint }>;
+export declare function priceImpactBps(amountIn: bigint, amountOut: bigint, reserveIn: bigint, reserveOut: bigint, fee: Fee): bigint;
+export declare function quoteExactInput(dex: Contract, tokenIn: Address, tokenOut: Address, fee: Fee, amountIn: bigint): Promise<bigint>;
+export declare function quoteExactOutput(dex: Contract, tokenIn: Address, tokenOut: Address, fee: Fee, amountOut: bigint): Promise<bigint>;
+
+// errors
+
+export type DexErrorCode =
+  | "EXPIRED"
+  | "SLIPPAGE_EXCEEDED"
+  | "INSUFFICIENT_LIQUIDITY"
+  | "INSUFFICIENT_LIQUIDITY_MINTED"
+  | "INSUFFICIENT_AMOUNTS"
+  | "INSUFFICIENT_RESERVE"
+  | "INVALID_AMOUNTS"
+  | "INVALID_INPUT"
+  | "INVALID_OUTPUT"
+  | "INVALID_PERIOD"
+  | "INVALID_FEE"
+  | "INVARIANT_VIOLATED"
+  | "POOL_NOT_FOUND"
+  | "POOL_EXISTS"
+  | "POOL_PAUSED"
+  | "FEE_TIER_NOT_ENABLED"
+  | "IDENTICAL_TOKENS"
+  | "ZERO_ADDRESS"
+  | "SHARE_TOO_HIGH"
+  | "TRANSFER_FEE_NOT_SUPPORTED"
+  | "PERMIT_FAILED"
+  | "CLONE_FAILED"
+  | "UNAUTHORIZED"
+  | "REENTRANT_CALL"
+  | "TRANSFER_FAILED"
+  | "INSUFFICIENT_ALLOWANCE"
+  | "INSUFFICIENT_BALANCE"
+  | "UNKNOWN";
+
+export declare const REVERT_CODES: Readonly<Record<string, DexErrorCode>>;
+export declare const CUSTOM_ERROR_CODES: Readonly<Record<string, DexErrorCode>>;
+
+export declare class DexError extends Error {
+  constructor(code: DexErrorCode, reason: string, args?: unknown[], cause?: unknown);
+  readonly code: DexErrorCode;
+  /** Revert string, or the custom error's name */
+  readonly reason: string;
+  /** Custom error arguments; empty for revert strings */
+  readonly args: unknown[];
+  readonly cause: unknown;
+}
+
+export declare function decodeRevertData(data: string, cause?: unknown): DexError | null;
+export declare function decodeDexError(error: unknown): DexError | null;
+
+// dex
+
+export interface SwapQuote {
+  poolId: Bytes32;
+  amountIn: bigint;
+  amountOut: bigint;
+  feeAmount: bigint;
+  priceImpactBps: bigint;
+}
+
+export interface TransactionOptions {
+  slippageBps?: BigNumberish;
+  /** Defaults to the signer's address */
+  to?: Address;
+  /** Defaults to 20 minutes after the latest block */
+  deadline?: BigNumberish;
+}
+
+export interface DexClient {
+  readonly dex: Contract;
+  getPoolId(tokenA: Address, tokenB: Address, fee: Fee): Bytes32;
+  getPool(tokenA: Address, tokenB: Address, fee: Fee): Promise<Pool | null>;
+  quoteExactInput(tokenIn: Address, tokenOut: Address, fee: Fee, amountIn: bigint): Promise<SwapQuote>;
+  quoteExactOutput(tokenIn: Address, tokenOut: Address, fee: Fee, amountOut: bigint): Promise<SwapQuote>;
+  previewAddLiquidity(
+    tokenA: Address,
+    tokenB: Address,
+    fee: Fee,
+    amountADesired: bigint,
+    amountBDesired: bigint
+  ): Promise<{ poolId: Bytes32; amountA: bigint; amountB: bigint; liquidity: bigint; totalLiquidity: bigint }>;
+  previewRemoveLiquidity(
+    tokenA: Address,
+    tokenB: Address,
+    fee: Fee,
+    liquidity: bigint
+  ): Promise<{ poolId: Bytes32; amountA: bigint; amountB: bigint; totalLiquidity: bigint }>;
+  swapExactInput(
+    params: { tokenIn: Address; tokenOut: Address; fee: Fee; amountIn: bigint } & TransactionOptions
+  ): Promise<ContractTransactionResponse>;
+  swapExactOutput(
+    params: { tokenIn: Address; tokenOut: Address; fee: Fee; amountOut: bigint } & TransactionOptions
+  ): Promise<ContractTransactionResponse>;
+  addLiquidity(
+    params: { tokenA: Address; tokenB: Address; fee: Fee; amountADesired: bigint; amountBDesired: bigint } & TransactionOptions
+  ): Promise<ContractTransactionResponse>;
+  removeLiquidity(
+    params: { tokenA: Address; tokenB: Address; fee: Fee; liquidity: bigint } & TransactionOptions
+  ): Promise<ContractTransactionResponse>;
+}
+
+export declare function createDexClient(dex: Contract): DexClient;
+
+// router
+
+export interface PoolSummary {
+  poolId: Bytes32;
+  token0: Address;
+  token1: Address;
+  fee: bigint;
+  reserve0: bigint;
+  reserve1: bigint;
+}
+
+export declare function loadPools(dex: Contract, fromBlock?: number): Promise<PoolSummary[]>;
+export declare function loadPoolsFromLens(lens: Contract, pageSize?: number): Promise<PoolSummary[]>;
+export declare function findBestPath(
+  pools: PoolSummary[],
+  tokenIn: Address,
+  tokenOut: Address,
+  amountIn: bigint,
+  maxHops?: number
+): { path: Address[]; fees: bigint[]; amountOut: bigint } | null;
+
+// oracle
+
+export declare const PRECISION: bigint;
+export declare function consult(dex: Contract, poolId: Bytes32, secondsAgo: number): Promise<{ price0: bigint; price1: bigint }>;
+export declare function spotPrice(dex: Contract, poolId: Bytes32): Promise<{ price0: bigint; price1: bigint }>;
+export declare function ensureCardinality(dex: Contract, poolId: Bytes32, cardinality: number): Promise<unknown>;
+export declare function deviationBps(spot: bigint, twap: bigint): bigint;
+
+// permit
+
+export interface PermitSignature {
+  value: bigint;
+  deadline: bigint;
+  v: number;
+  r: string;
+  s: string;
+}
+
+export declare const PERMIT_TYPES: Record<string, { name: string; type: string }[]>;
+export declare function buildPermitTypedData(
+  token: Contract,
+  owner: Address,
+  spender: Address,
+  value: bigint,
+  deadline: bigint
+): Promise<{ domain: Record<string, unknown>; types: typeof PERMIT_TYPES; message: Record<string, unknown> }>;
+export declare function signPermit(signer: Signer, token: Contract, spender: Address, value: bigint, deadline: bigint): Promise<PermitSignature>;
+
+// metatx
+
+export interface ForwardRequestData {
+  from: Address;
+  to: Address;
+  value: bigint;
+  gas: bigint;
+  deadline: bigint;
+  data: string;
+  signature: string;
+}
+
+export declare const FORWARD_REQUEST_TYPES: Record<string, { name: string; type: string }[]>;
+export declare const DEFAULT_GAS: bigint;
+export declare function signForwardRequest(
+  signer: Signer,
+  forwarder: Contract,
+  to: Address,
+  data: string,
+  options: { deadline: BigNumberish; gas?: BigNumberish }
+): Promise<ForwardRequestData>;
+export declare function relay(url: string, request: ForwardRequestData): Promise<string>;
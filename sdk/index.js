@@ -0,0 +1,16 @@
+// Entry point of the DEX SDK. Every module can also be required on its own.
+
+module.exports = {
+  ...require("./abi"),
+  ...require("./dex"),
+  ...require("./errors"),
+  ...require("./liquidity"),
+  ...require("./math"),
+  ...require("./metatx"),
+  ...require("./oracle"),
+  ...require("./permit"),
+  ...require("./pool"),
+  ...require("./quote"),
+  ...require("./router"),
+  ...require("./slippage"),
+};
@@ -0,0 +1,91 @@
+// Off-chain mirrors of the DEX's liquidity math. Every function works on BigInt in the
+// pool's sorted token order and rounds exactly like the contract, so previews match
+// what is minted and paid out.
+
+const MINIMUM_LIQUIDITY = 1000n;
+
+/**
+ * Mirror of DEX.sqrt (Babylonian method, rounds down)
+ */
+function sqrt(x) {
+  if (x === 0n) return 0n;
+  let z = (x + 1n) / 2n;
+  let y = x;
+  while (z < y) {
+    y = z;
+    z = (x / z + z) / 2n;
+  }
+  return y;
+}
+
+/**
+ * Mirror of DEX.quoteLiquidity: the amounts a deposit of up to
+ * (amount0Desired, amount1Desired) actually uses at the pool's current ratio
+ */
+function quoteLiquidity(pool, amount0Desired, amount1Desired) {
+  if (pool.reserve0 === 0n && pool.reserve1 === 0n) return [amount0Desired, amount1Desired];
+
+  const amount1Optimal = (amount0Desired * pool.reserve1) / pool.reserve0;
+  if (amount1Optimal <= amount1Desired) return [amount0Desired, amount1Optimal];
+
+  const amount0Optimal = (amount1Desired * pool.reserve0) / pool.reserve1;
+  return [amount0Optimal, amount1Desired];
+}
+
+/**
+ * LP shares DEX._addLiquidity mints for a deposit of exactly (amount0, amount1).
+ * Throws the contract's revert reason where the deposit would revert.
+ */
+function getLiquidityMinted(pool, amount0, amount1) {
+  if (amount0 <= 0n || amount1 <= 0n) throw new Error("Invalid amounts");
+
+  let liquidity;
+  if (pool.totalLiquidity === 0n) {
+    liquidity = sqrt(amount0 * amount1);
+    if (liquidity <= MINIMUM_LIQUIDITY) throw new Error("Insufficient liquidity minted");
+    liquidity -= MINIMUM_LIQUIDITY;
+  } else {
+    const liquidity0 = (amount0 * pool.totalLiquidity) / pool.reserve0;
+    const liquidity1 = (amount1 * pool.totalLiquidity) / pool.reserve1;
+    liquidity = liquidity0 < liquidity1 ? liquidity0 : liquidity1;
+  }
+
+  if (liquidity === 0n) throw new Error("Insufficient liquidity minted");
+  return liquidity;
+}
+
+/**
+ * Preview of DEX.addLiquidity for up to the desired amounts: what is pulled,
+ * what is minted, and the pool's total shares afterwards
+ */
+function previewAddLiquidity(pool, amount0Desired, amount1Desired) {
+  const [amount0, amount1] = quoteLiquidity(pool, amount0Desired, amount1Desired);
+  const liquidity = getLiquidityMinted(pool, amount0, amount1);
+
+  // The first deposit also locks MINIMUM_LIQUIDITY at the dead address
+  const locked = pool.totalLiquidity === 0n ? MINIMUM_LIQUIDITY : 0n;
+  return { amount0, amount1, liquidity, totalLiquidity: pool.totalLiquidity + liquidity + locked };
+}
+
+/**
+ * Preview of DEX.removeLiquidity: the token amounts paid out for `liquidity` shares.
+ * Throws the contract's revert reason where the withdrawal would revert.
+ */
+function previewRemoveLiquidity(pool, liquidity) {
+  if (liquidity > pool.totalLiquidity) throw new Error("Insufficient liquidity");
+
+  const amount0 = (liquidity * pool.reserve0) / pool.totalLiquidity;
+  const amount1 = (liquidity * pool.reserve1) / pool.totalLiquidity;
+  if (amount0 === 0n || amount1 === 0n) throw new Error("Insufficient amounts");
+
+  return { amount0, amount1, totalLiquidity: pool.totalLiquidity - liquidity };
+}
+
+module.exports = {
+  MINIMUM_LIQUIDITY,
+  sqrt,
+  quoteLiquidity,
+  getLiquidityMinted,
+  previewAddLiquidity,
+  previewRemoveLiquidity,
+};
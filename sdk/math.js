@@ -0,0 +1,48 @@
+// Off-chain mirrors of the DEX pricing math. Every function works on BigInt
+// and rounds exactly like the Solidity version so quotes match on-chain.
+
+const FEE_DENOMINATOR = 10000n;
+const DEFAULT_FEE = 30n; // 0.3%
+
+/**
+ * Mirror of DEX.getAmountOut (constant product, fee in basis points)
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, fee = DEFAULT_FEE) {
+  if (amountIn <= 0n) throw new Error("Invalid input");
+  if (reserveIn <= 0n || reserveOut <= 0n) throw new Error("Insufficient liquidity");
+
+  const amountInWithFee = amountIn * (FEE_DENOMINATOR - BigInt(fee));
+  const numerator = amountInWithFee * reserveOut;
+  const denominator = reserveIn * FEE_DENOMINATOR + amountInWithFee;
+
+  return numerator / denominator;
+}
+
+/**
+ * Mirror of DEX.getAmountIn (input for an exact output, rounded up)
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut, fee = DEFAULT_FEE) {
+  if (amountOut <= 0n) throw new Error("Invalid output");
+  if (reserveIn <= 0n || amountOut >= reserveOut) throw new Error("Insufficient liquidity");
+
+  const numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+  const denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - BigInt(fee));
+
+  return numerator / denominator + 1n;
+}
+
+/**
+ * Mirror of DEX.getFlashFee (borrow and repay the same token, rounded up)
+ */
+function getFlashFee(amountOut, fee = DEFAULT_FEE) {
+  const denominator = FEE_DENOMINATOR - BigInt(fee);
+  return (amountOut * FEE_DENOMINATOR + denominator - 1n) / denominator - amountOut;
+}
+
+module.exports = {
+  FEE_DENOMINATOR,
+  DEFAULT_FEE,
+  getAmountOut,
+  getAmountIn,
+  getFlashFee,
+};
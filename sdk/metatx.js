@@ -0,0 +1,74 @@
+// ERC-2771 meta-transactions: sign a DEX call off-chain and let the relayer pay the gas.
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+const DEFAULT_GAS = 500000n;
+
+/**
+ * Sign a call to `to` with calldata `data` for the Forwarder and return it in the
+ * ForwardRequestData layout that Forwarder.execute and the relayer expect.
+ * The nonce is read from the forwarder, so sign one request at a time per account.
+ */
+async function signForwardRequest(signer, forwarder, to, data, { deadline, gas = DEFAULT_GAS } = {}) {
+  if (deadline === undefined) throw new Error("Missing deadline");
+
+  const [, name, version, chainId, verifyingContract] = await forwarder.eip712Domain();
+  const from = await signer.getAddress();
+  const message = {
+    from,
+    to,
+    value: 0n,
+    gas: BigInt(gas),
+    nonce: await forwarder.nonces(from),
+    deadline: BigInt(deadline),
+    data,
+  };
+
+  const signature = await signer.signTypedData(
+    { name, version, chainId, verifyingContract },
+    FORWARD_REQUEST_TYPES,
+    message
+  );
+
+  return {
+    from,
+    to,
+    value: message.value,
+    gas: message.gas,
+    deadline: message.deadline,
+    data,
+    signature,
+  };
+}
+
+/**
+ * Submit a signed request to a relayer service and return the transaction hash
+ */
+async function relay(url, request) {
+  const response = await fetch(`${url}/relay`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request, (key, value) => (typeof value === "bigint" ? value.toString() : value)),
+  });
+
+  const body = await response.json();
+  if (!response.ok) throw new Error(body.error || `Relayer responded with ${response.status}`);
+  return body.hash;
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  DEFAULT_GAS,
+  signForwardRequest,
+  relay,
+};
@@ -0,0 +1,56 @@
+// Helpers for the DEX's per-pool TWAP oracle.
+
+const PRECISION = 10n ** 18n;
+
+/**
+ * Time-weighted average prices of a pool over the last secondsAgo seconds.
+ * price0 is token1 per token0 and price1 is token0 per token1, both scaled by 1e18.
+ */
+async function consult(dex, poolId, secondsAgo) {
+  const [price0, price1] = await dex.consult(poolId, secondsAgo);
+  return { price0, price1 };
+}
+
+/**
+ * Spot prices from current reserves, on the same 1e18 scale as consult
+ */
+async function spotPrice(dex, poolId) {
+  const pool = await dex.pools(poolId);
+  if (pool.reserve0 === 0n || pool.reserve1 === 0n) throw new Error("Insufficient liquidity");
+
+  return {
+    price0: (pool.reserve1 * PRECISION) / pool.reserve0,
+    price1: (pool.reserve0 * PRECISION) / pool.reserve1,
+  };
+}
+
+/**
+ * Make sure a pool keeps at least `cardinality` observations.
+ * Roughly one observation is written per block that touches the pool,
+ * so size it for the busiest stretch of the window you want to consult.
+ */
+async function ensureCardinality(dex, poolId, cardinality) {
+  const oracle = await dex.oracles(poolId);
+  if (oracle.cardinalityNext >= BigInt(cardinality)) return null;
+
+  const tx = await dex.increaseObservationCardinality(poolId, cardinality);
+  return tx.wait();
+}
+
+/**
+ * Relative difference between spot and TWAP in basis points.
+ * A large deviation means the spot price was moved recently.
+ */
+function deviationBps(spot, twap) {
+  if (twap === 0n) throw new Error("Invalid TWAP");
+  const diff = spot > twap ? spot - twap : twap - spot;
+  return (diff * 10000n) / twap;
+}
+
+module.exports = {
+  PRECISION,
+  consult,
+  spotPrice,
+  ensureCardinality,
+  deviationBps,
+};
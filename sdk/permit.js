@@ -0,0 +1,46 @@
+// EIP-2612 permit signing for the DEX's swapWithPermit and addLiquidityWithPermit.
+
+const { Signature } = require("ethers");
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Typed data for a permit of `value` tokens from owner to spender.
+ * The domain comes from the token's ERC-5267 eip712Domain(), so the name and version
+ * always match what the token verifies against.
+ */
+async function buildPermitTypedData(token, owner, spender, value, deadline) {
+  const [, name, version, chainId, verifyingContract] = await token.eip712Domain();
+  const nonce = await token.nonces(owner);
+
+  return {
+    domain: { name, version, chainId, verifyingContract },
+    types: PERMIT_TYPES,
+    message: { owner, spender, value, nonce, deadline },
+  };
+}
+
+/**
+ * Sign a permit with an ethers v6 signer and return it in the DEX's PermitSignature layout
+ */
+async function signPermit(signer, token, spender, value, deadline) {
+  const owner = await signer.getAddress();
+  const { domain, types, message } = await buildPermitTypedData(token, owner, spender, value, deadline);
+  const { v, r, s } = Signature.from(await signer.signTypedData(domain, types, message));
+
+  return { value, deadline, v, r, s };
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  buildPermitTypedData,
+  signPermit,
+};
@@ -0,0 +1,54 @@
+// Pool lookup by token pair. Pools are keyed by their sorted tokens and fee tier,
+// so ids can be derived off-chain without asking the DEX.
+
+const { ZeroAddress, solidityPackedKeccak256 } = require("ethers");
+
+/**
+ * The pair in the DEX's token0/token1 order (by address, like the contract)
+ */
+function sortTokens(tokenA, tokenB) {
+  if (tokenA.toLowerCase() === tokenB.toLowerCase()) throw new Error("Identical tokens");
+  return BigInt(tokenA) < BigInt(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+}
+
+/**
+ * Mirror of DEX.getPoolId: keccak256 of the sorted tokens and the fee, tightly packed
+ */
+function getPoolId(tokenA, tokenB, fee) {
+  const [token0, token1] = BigInt(tokenA) < BigInt(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+  return solidityPackedKeccak256(["address", "address", "uint24"], [token0, token1, fee]);
+}
+
+/**
+ * The tokenA/tokenB pool at a fee tier with its reserves, or null if it doesn't exist
+ */
+async function getPool(dex, tokenA, tokenB, fee) {
+  const poolId = getPoolId(tokenA, tokenB, fee);
+  const pool = await dex.pools(poolId);
+  if (pool.token0 === ZeroAddress) return null;
+
+  return {
+    poolId,
+    token0: pool.token0,
+    token1: pool.token1,
+    fee: pool.fee,
+    lpToken: pool.lpToken,
+    reserve0: pool.reserve0,
+    reserve1: pool.reserve1,
+    totalLiquidity: pool.totalLiquidity,
+  };
+}
+
+/**
+ * Whether `token` is the pool's token0
+ */
+function isToken0(pool, token) {
+  return pool.token0.toLowerCase() === token.toLowerCase();
+}
+
+module.exports = {
+  sortTokens,
+  getPoolId,
+  getPool,
+  isToken0,
+};
@@ -0,0 +1,49 @@
+// Single-pool swap quotes read from the DEX's current reserves.
+
+const { FEE_DENOMINATOR, getAmountOut, getAmountIn } = require("./math");
+
+/**
+ * Reserves of the tokenIn/tokenOut pool at a fee tier, ordered as (in, out)
+ */
+async function getSwapReserves(dex, tokenIn, tokenOut, fee) {
+  const poolId = await dex.getPoolId(tokenIn, tokenOut, fee);
+  const pool = await dex.pools(poolId);
+  if (pool.token0 === "0x0000000000000000000000000000000000000000") throw new Error("Pool doesn't exist");
+
+  return pool.token0.toLowerCase() === tokenIn.toLowerCase()
+    ? { reserveIn: pool.reserve0, reserveOut: pool.reserve1 }
+    : { reserveIn: pool.reserve1, reserveOut: pool.reserve0 };
+}
+
+/**
+ * Output of DEX.swap for an exact amountIn
+ */
+async function quoteExactInput(dex, tokenIn, tokenOut, fee, amountIn) {
+  const { reserveIn, reserveOut } = await getSwapReserves(dex, tokenIn, tokenOut, fee);
+  return getAmountOut(amountIn, reserveIn, reserveOut, fee);
+}
+
+/**
+ * Input DEX.swapTokensForExactTokens will charge for an exact amountOut.
+ * Add a tolerance on top before passing it as maxAmountIn.
+ */
+async function quoteExactOutput(dex, tokenIn, tokenOut, fee, amountOut) {
+  const { reserveIn, reserveOut } = await getSwapReserves(dex, tokenIn, tokenOut, fee);
+  return getAmountIn(amountOut, reserveIn, reserveOut, fee);
+}
+
+/**
+ * How far a quote falls short of the pool's spot price after the fee, in basis points
+ */
+function priceImpactBps(amountIn, amountOut, reserveIn, reserveOut, fee) {
+  const spotOut = (amountIn * (FEE_DENOMINATOR - BigInt(fee)) * reserveOut) / (reserveIn * FEE_DENOMINATOR);
+  if (spotOut === 0n) return 0n;
+  return ((spotOut - amountOut) * FEE_DENOMINATOR) / spotOut;
+}
+
+module.exports = {
+  getSwapReserves,
+  priceImpactBps,
+  quoteExactInput,
+  quoteExactOutput,
+};
@@ -0,0 +1,105 @@
+// Path finding across DEX pools for the multi-hop Router.
+
+const { getAmountOut } = require("./math");
+
+/**
+ * Load every pool from the DEX's PoolCreated logs together with current reserves
+ */
+async function loadPools(dex, fromBlock = 0) {
+  const events = await dex.queryFilter(dex.filters.PoolCreated(), fromBlock);
+
+  return Promise.all(
+    events.map(async (event) => {
+      const { poolId } = event.args;
+      const pool = await dex.pools(poolId);
+      return {
+        poolId,
+        token0: pool.token0,
+        token1: pool.token1,
+        fee: pool.fee,
+        reserve0: pool.reserve0,
+        reserve1: pool.reserve1,
+      };
+    })
+  );
+}
+
+/**
+ * Load every pool through PoolLens.getPools, pageSize pools per call.
+ * Returns the same shape as loadPools without scanning logs.
+ */
+async function loadPoolsFromLens(lens, pageSize = 100) {
+  const pools = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await lens.getPools(offset, pageSize);
+    for (const pool of page) {
+      pools.push({
+        poolId: pool.poolId,
+        token0: pool.token0,
+        token1: pool.token1,
+        fee: pool.fee,
+        reserve0: pool.reserve0,
+        reserve1: pool.reserve1,
+      });
+    }
+    if (page.length < pageSize) return pools;
+  }
+}
+
+/**
+ * Find the path that returns the most tokenOut for amountIn.
+ * Searches every simple path of at most maxHops pools and quotes
+ * each one off-chain, so the result can be fed straight to
+ * Router.swapExactTokensForTokens together with the fee tier of
+ * every hop. Returns null if no path exists.
+ */
+function findBestPath(pools, tokenIn, tokenOut, amountIn, maxHops = 3) {
+  const key = (address) => address.toLowerCase();
+
+  // Adjacency list: token -> [{ token, fee, reserveIn, reserveOut }]
+  // Pools for the same pair at different fee tiers become parallel edges
+  const graph = new Map();
+  const addEdge = (from, to, fee, reserveIn, reserveOut) => {
+    if (reserveIn === 0n || reserveOut === 0n) return;
+    if (!graph.has(key(from))) graph.set(key(from), []);
+    graph.get(key(from)).push({ token: to, fee, reserveIn, reserveOut });
+  };
+  for (const pool of pools) {
+    addEdge(pool.token0, pool.token1, pool.fee, pool.reserve0, pool.reserve1);
+    addEdge(pool.token1, pool.token0, pool.fee, pool.reserve1, pool.reserve0);
+  }
+
+  let best = null;
+  const fees = [];
+  const visit = (token, amount, path) => {
+    if (key(token) === key(tokenOut)) {
+      if (best === null || amount > best.amountOut) {
+        best = { path: [...path], fees: [...fees], amountOut: amount };
+      }
+      return;
+    }
+    if (path.length > maxHops) return;
+
+    for (const edge of graph.get(key(token)) || []) {
+      if (path.some((visited) => key(visited) === key(edge.token))) continue;
+
+      const out = getAmountOut(amount, edge.reserveIn, edge.reserveOut, edge.fee);
+      if (out === 0n) continue;
+
+      path.push(edge.token);
+      fees.push(edge.fee);
+      visit(edge.token, out, path);
+      fees.pop();
+      path.pop();
+    }
+  };
+
+  visit(tokenIn, amountIn, [tokenIn]);
+  return best;
+}
+
+module.exports = {
+  loadPools,
+  loadPoolsFromLens,
+  findBestPath,
+};
@@ -0,0 +1,43 @@
+// Slippage bounds and deadlines for the DEX's bounded entry points.
+// Tolerances are in basis points like the DEX's fees.
+
+const BPS = 10000n;
+const DEFAULT_SLIPPAGE_BPS = 50n; // 0.5%
+const DEFAULT_DEADLINE_SECONDS = 1200; // 20 minutes
+
+function checkSlippage(slippageBps) {
+  const bps = BigInt(slippageBps);
+  if (bps < 0n || bps > BPS) throw new Error("Invalid slippage");
+  return bps;
+}
+
+/**
+ * Lowest acceptable amount for a quote, rounded down (minAmountOut, amount0Min, ...)
+ */
+function minAmount(amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  return (amount * (BPS - checkSlippage(slippageBps))) / BPS;
+}
+
+/**
+ * Highest acceptable amount for a quote, rounded up (maxAmountIn)
+ */
+function maxAmount(amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  return (amount * (BPS + checkSlippage(slippageBps)) + BPS - 1n) / BPS;
+}
+
+/**
+ * Unix deadline `seconds` after `now`. Pass the latest block's timestamp as `now`
+ * on chains whose clock drifts from the local one (e.g. a Hardhat node after time travel).
+ */
+function deadlineIn(seconds = DEFAULT_DEADLINE_SECONDS, now = Math.floor(Date.now() / 1000)) {
+  return BigInt(now) + BigInt(seconds);
+}
+
+module.exports = {
+  BPS,
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_DEADLINE_SECONDS,
+  minAmount,
+  maxAmount,
+  deadlineIn,
+};
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createDexClient } = require("../sdk");
+const { parseOptions, loadPoolSpecs, resolveAmounts, seedAction, seedPool } = require("../scripts/createPool");
+
+describe("createPool script", function () {
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const TOKEN = { symbol: "TKA", decimals: 18n };
+    const USDC = { symbol: "USDC", decimals: 6n };
+
+    describe("Options", function () {
+        it("Should describe one pool from the flags", function () {
+            const options = parseOptions(["--tokenA", "TokenA", "--tokenB", "TokenB", "--amountA", "10", "--price", "2", "--top-up"]);
+
+            expect(options["top-up"]).to.equal(true);
+            expect(options["dry-run"]).to.equal(false);
+            expect(options.slippage).to.equal("50");
+            expect(loadPoolSpecs(options)).to.deep.equal([
+                { tokenA: "TokenA", tokenB: "TokenB", fee: undefined, amountA: "10", amountB: undefined, price: "2" },
+            ]);
+        });
+
+        it("Should read the default or a given manifest", function () {
+            expect(loadPoolSpecs(parseOptions([]))).to.have.length(3);
+
+            const file = path.join(os.tmpdir(), `pools-${Date.now()}.json`);
+            try {
+                fs.writeFileSync(file, JSON.stringify([{ tokenA: "TokenA", tokenB: "WCORE", amountA: "1", amountB: "1" }]));
+                expect(loadPoolSpecs(parseOptions(["--manifest", file]))[0].tokenB).to.equal("WCORE");
+
+                fs.writeFileSync(file, JSON.stringify({ pools: [] }));
+                expect(() => loadPoolSpecs(parseOptions(["--manifest", file]))).to.throw("lists no pools");
+            } finally {
+                fs.rmSync(file, { force: true });
+            }
+        });
+
+        it("Should reject a manifest combined with token flags", function () {
+            expect(() => loadPoolSpecs(parseOptions(["--manifest", "x.json", "--tokenA", "TokenA"]))).to.throw("not both");
+            expect(() => parseOptions(["--nope"])).to.throw();
+        });
+    });
+
+    describe("resolveAmounts", function () {
+        it("Should derive the missing amount from the price across decimals", function () {
+            expect(resolveAmounts({ amountA: "1000", price: "2" }, TOKEN, TOKEN))
+                .to.deep.equal([ethers.parseEther("1000"), ethers.parseEther("2000")]);
+            expect(resolveAmounts({ amountB: "1", price: "0.01" }, TOKEN, TOKEN))
+                .to.deep.equal([ethers.parseEther("100"), ethers.parseEther("1")]);
+            expect(resolveAmounts({ amountA: "3", price: "1500.5" }, TOKEN, USDC))
+                .to.deep.equal([ethers.parseEther("3"), 4501500000n]);
+            expect(resolveAmounts({ amountA: "1", amountB: "7" }, USDC, TOKEN))
+                .to.deep.equal([1000000n, ethers.parseEther("7")]);
+        });
+
+        it("Should need exactly two of amountA, amountB and price", function () {
+            expect(() => resolveAmounts({ amountA: "1" }, TOKEN, TOKEN)).to.throw("exactly two");
+            expect(() => resolveAmounts({ amountA: "1", amountB: "1", price: "1" }, TOKEN, TOKEN)).to.throw("exactly two");
+            expect(() => resolveAmounts({ amountA: "1", price: "0" }, TOKEN, TOKEN)).to.throw("price must be positive");
+            expect(() => resolveAmounts({ amountA: "0.000001", price: "0.000000000001" }, TOKEN, USDC)).to.throw("round to zero");
+        });
+    });
+
+    describe("seedAction", function () {
+        it("Should seed missing and empty pools and only top up seeded ones on request", function () {
+            expect(seedAction(null, false)).to.equal("seed");
+            expect(seedAction({ totalLiquidity: 0n }, false)).to.equal("seed");
+            expect(seedAction({ totalLiquidity: 0n }, true)).to.equal("seed");
+            expect(seedAction({ totalLiquidity: 1000n }, false)).to.equal("skip");
+            expect(seedAction({ totalLiquidity: 1000n }, true)).to.equal("top-up");
+        });
+    });
+
+    describe("seedPool", function () {
+        let dex, client, owner, deployment, context;
+
+        beforeEach(async function () {
+            [owner] = await ethers.getSigners();
+
+            const Token = await ethers.getContractFactory("Token");
+            const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+            const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+            const WrappedNative = await ethers.getContractFactory("WrappedNative");
+            const wcore = await WrappedNative.deploy("Wrapped Core", "WCORE");
+
+            const DEX = await ethers.getContractFactory("DEX");
+            dex = await DEX.deploy(ethers.ZeroAddress);
+            await dex.waitForDeployment();
+            client = createDexClient(dex);
+
+            deployment = {
+                contracts: {
+                    DEX: await dex.getAddress(),
+                    TokenA: await tokenA.getAddress(),
+                    TokenB: await tokenB.getAddress(),
+                    WCORE: await wcore.getAddress(),
+                },
+            };
+            context = (options = []) => ({ deployment, dex, client, signer: owner, options: parseOptions(options) });
+        });
+
+        async function quietly(fn) {
+            const log = console.log;
+            console.log = () => {};
+            try {
+                return await fn();
+            } finally {
+                console.log = log;
+            }
+        }
+
+        async function seedAll(options) {
+            for (const spec of loadPoolSpecs(parseOptions([]))) {
+                await quietly(() => seedPool(spec, context(options)));
+            }
+        }
+
+        async function reserves(tokenA, tokenB, fee) {
+            const pool = await client.getPool(deployment.contracts[tokenA], deployment.contracts[tokenB], fee);
+            return pool && (pool.token0 === deployment.contracts[tokenA] ? [pool.reserve0, pool.reserve1] : [pool.reserve1, pool.reserve0]);
+        }
+
+        it("Should seed the manifest's pools at its prices, wrapping native coin", async function () {
+            await seedAll();
+
+            expect(await reserves("TokenA", "TokenB", 30)).to.deep.equal([ethers.parseEther("1000"), ethers.parseEther("2000")]);
+            expect(await reserves("TokenA", "TokenB", 5)).to.deep.equal([ethers.parseEther("500"), ethers.parseEther("1000")]);
+            expect(await reserves("TokenA", "WCORE", 30)).to.deep.equal([ethers.parseEther("100"), ethers.parseEther("1")]);
+        });
+
+        it("Should leave seeded pools alone on a re-run", async function () {
+            await seedAll();
+            const block = await ethers.provider.getBlockNumber();
+
+            await seedAll();
+            expect(await ethers.provider.getBlockNumber()).to.equal(block);
+            expect(await reserves("TokenA", "TokenB", 30)).to.deep.equal([ethers.parseEther("1000"), ethers.parseEther("2000")]);
+        });
+
+        it("Should top up at the pool's current ratio with --top-up", async function () {
+            await seedAll();
+            // Move the price away from the manifest's 2 TokenB per TokenA
+            const tokenA = await ethers.getContractAt("Token", deployment.contracts.TokenA);
+            await tokenA.approve(await dex.getAddress(), ethers.parseEther("100"));
+            await client.swapExactInput({
+                tokenIn: deployment.contracts.TokenA,
+                tokenOut: deployment.contracts.TokenB,
+                fee: 30,
+                amountIn: ethers.parseEther("100"),
+            });
+            const [reserveA, reserveB] = await reserves("TokenA", "TokenB", 30);
+            const spec = { tokenA: "TokenA", tokenB: "TokenB", fee: 30, amountA: "1000", price: "2" };
+            const preview = await client.previewAddLiquidity(
+                deployment.contracts.TokenA,
+                deployment.contracts.TokenB,
+                30,
+                ethers.parseEther("1000"),
+                ethers.parseEther("2000")
+            );
+
+            await quietly(() => seedPool(spec, context(["--top-up"])));
+
+            expect(await reserves("TokenA", "TokenB", 30)).to.deep.equal([reserveA + preview.amountA, reserveB + preview.amountB]);
+            expect(preview.amountB).to.be.lessThan(ethers.parseEther("2000"));
+        });
+
+        it("Should send no transactions on a dry run", async function () {
+            const block = await ethers.provider.getBlockNumber();
+
+            await seedAll(["--dry-run"]);
+            expect(await ethers.provider.getBlockNumber()).to.equal(block);
+            expect(await reserves("TokenA", "TokenB", 30)).to.equal(null);
+
+            // Nor for a top-up of a seeded pool
+            await seedAll();
+            const seeded = await ethers.provider.getBlockNumber();
+            await seedAll(["--dry-run", "--top-up"]);
+            expect(await ethers.provider.getBlockNumber()).to.equal(seeded);
+        });
+
+        it("Should fail on a fee tier that isn't enabled", async function () {
+            const spec = { tokenA: "TokenA", tokenB: "TokenB", fee: 1, amountA: "1", amountB: "1" };
+            await expect(quietly(() => seedPool(spec, context()))).to.be.rejectedWith("fee tier 1 is not enabled");
+        });
+    });
+});
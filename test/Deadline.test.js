@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Deadline and Recipient", function () {
+    let dex, token0, token1, poolId, owner, user1, recipient;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const MINIMUM_LIQUIDITY = 1000n;
+
+    beforeEach(async function () {
+        [owner, user1, recipient] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+        await token0.transfer(user1.address, ethers.parseEther("10000"));
+        await token1.transfer(user1.address, ethers.parseEther("10000"));
+        await token0.connect(user1).approve(await dex.getAddress(), ethers.MaxUint256);
+        await token1.connect(user1).approve(await dex.getAddress(), ethers.MaxUint256);
+    });
+
+    async function deadline() {
+        return (await time.latest()) + 600;
+    }
+
+    async function addLiquidity(signer, amount0Desired, amount1Desired, amount0Min, amount1Min, to, txDeadline) {
+        return dex.connect(signer).addLiquidity(
+            await token0.getAddress(),
+            await token1.getAddress(),
+            FEE,
+            amount0Desired,
+            amount1Desired,
+            amount0Min,
+            amount1Min,
+            to,
+            txDeadline
+        );
+    }
+
+    describe("addLiquidity", function () {
+        it("Should mint LP tokens to the recipient", async function () {
+            const amount = ethers.parseEther("100");
+            const liquidity = amount - MINIMUM_LIQUIDITY;
+
+            await expect(addLiquidity(user1, amount, amount, 0, 0, recipient.address, await deadline()))
+                .to.emit(dex, "LiquidityAdded")
+                .withArgs(poolId, user1.address, amount, amount, liquidity, recipient.address);
+
+            expect(await dex.liquidity(poolId, recipient.address)).to.equal(liquidity);
+            expect(await dex.liquidity(poolId, user1.address)).to.equal(0);
+        });
+
+        it("Should only pull the amounts matching the pool ratio", async function () {
+            // 1:2 pool
+            await addLiquidity(user1, ethers.parseEther("100"), ethers.parseEther("200"), 0, 0, user1.address, await deadline());
+
+            const balance0Before = await token0.balanceOf(user1.address);
+            const balance1Before = await token1.balanceOf(user1.address);
+
+            // Offer too much token1
+            await addLiquidity(user1, ethers.parseEther("10"), ethers.parseEther("50"), 0, 0, user1.address, await deadline());
+
+            expect(balance0Before - await token0.balanceOf(user1.address)).to.equal(ethers.parseEther("10"));
+            expect(balance1Before - await token1.balanceOf(user1.address)).to.equal(ethers.parseEther("20"));
+        });
+
+        it("Should fail when the ratio moved past the minimums", async function () {
+            await addLiquidity(user1, ethers.parseEther("100"), ethers.parseEther("200"), 0, 0, user1.address, await deadline());
+
+            // Expected a 1:1 pool, so require at least 45 token1 for 50 token0
+            await expect(
+                addLiquidity(
+                    user1,
+                    ethers.parseEther("50"),
+                    ethers.parseEther("50"),
+                    ethers.parseEther("45"),
+                    ethers.parseEther("45"),
+                    user1.address,
+                    await deadline()
+                )
+            ).to.be.revertedWith("Slippage exceeded");
+        });
+
+        it("Should fail after the deadline", async function () {
+            const amount = ethers.parseEther("100");
+
+            await expect(
+                addLiquidity(user1, amount, amount, 0, 0, user1.address, (await time.latest()) - 1)
+            ).to.be.revertedWith("Expired");
+        });
+
+        it("Should fail with a zero recipient", async function () {
+            const amount = ethers.parseEther("100");
+
+            await expect(
+                addLiquidity(user1, amount, amount, 0, 0, ethers.ZeroAddress, await deadline())
+            ).to.be.revertedWith("Zero address");
+        });
+    });
+
+    describe("removeLiquidity", function () {
+        const amount = ethers.parseEther("100");
+        const liquidity = amount - MINIMUM_LIQUIDITY;
+
+        beforeEach(async function () {
+            await addLiquidity(user1, amount, amount, 0, 0, user1.address, await deadline());
+        });
+
+        it("Should send the tokens to the recipient", async function () {
+            await expect(
+                dex.connect(user1).removeLiquidity(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    liquidity,
+                    liquidity,
+                    liquidity,
+                    recipient.address,
+                    await deadline()
+                )
+            )
+                .to.emit(dex, "LiquidityRemoved")
+                .withArgs(poolId, user1.address, liquidity, liquidity, liquidity, recipient.address);
+
+            expect(await token0.balanceOf(recipient.address)).to.equal(liquidity);
+            expect(await token1.balanceOf(recipient.address)).to.equal(liquidity);
+        });
+
+        it("Should fail below the minimum amounts", async function () {
+            await expect(
+                dex.connect(user1).removeLiquidity(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    liquidity,
+                    liquidity + 1n,
+                    0,
+                    user1.address,
+                    await deadline()
+                )
+            ).to.be.revertedWith("Slippage exceeded");
+        });
+
+        it("Should fail after the deadline", async function () {
+            const expired = await deadline();
+            await time.increase(601);
+
+            await expect(
+                dex.connect(user1).removeLiquidity(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    liquidity,
+                    0,
+                    0,
+                    user1.address,
+                    expired
+                )
+            ).to.be.revertedWith("Expired");
+        });
+    });
+
+    describe("swap", function () {
+        const amountIn = ethers.parseEther("10");
+
+        beforeEach(async function () {
+            const amount = ethers.parseEther("1000");
+            await addLiquidity(user1, amount, amount, 0, 0, user1.address, await deadline());
+        });
+
+        it("Should send the output to the recipient", async function () {
+            const expectedOut = await dex.getAmountOut(amountIn, ethers.parseEther("1000"), ethers.parseEther("1000"), FEE);
+
+            await expect(
+                dex.connect(user1).swap(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    amountIn,
+                    expectedOut,
+                    recipient.address,
+                    await deadline()
+                )
+            )
+                .to.emit(dex, "Swap")
+                .withArgs(poolId, user1.address, await token0.getAddress(), amountIn, expectedOut, recipient.address);
+
+            expect(await token1.balanceOf(recipient.address)).to.equal(expectedOut);
+        });
+
+        it("Should fail once a pending swap is past its deadline", async function () {
+            const expired = await deadline();
+            await time.increase(3600);
+
+            await expect(
+                dex.connect(user1).swap(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    amountIn,
+                    0,
+                    user1.address,
+                    expired
+                )
+            ).to.be.revertedWith("Expired");
+        });
+    });
+});
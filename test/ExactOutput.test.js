@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getAmountIn } = require("../sdk/math");
+const { quoteExactOutput } = require("../sdk/quote");
+
+describe("Exact Output Swaps", function () {
+    let dex, token0, token1, poolId, owner, user1, merchant;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE0 = ethers.parseEther("1000");
+    const RESERVE1 = ethers.parseEther("2000");
+
+    beforeEach(async function () {
+        [owner, user1, merchant] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+        await token0.approve(await dex.getAddress(), RESERVE0);
+        await token1.approve(await dex.getAddress(), RESERVE1);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE0, RESERVE1);
+
+        await token0.transfer(user1.address, ethers.parseEther("1000"));
+        await token0.connect(user1).approve(await dex.getAddress(), ethers.MaxUint256);
+    });
+
+    async function deadline() {
+        return (await time.latest()) + 600;
+    }
+
+    describe("getAmountIn", function () {
+        it("Should round up in the pool's favour", async function () {
+            const amountOut = ethers.parseEther("10");
+            const amountIn = await dex.getAmountIn(amountOut, RESERVE0, RESERVE1, FEE);
+
+            // Enough for amountOut, and a couple of wei less is not
+            expect(await dex.getAmountOut(amountIn, RESERVE0, RESERVE1, FEE)).to.be.gte(amountOut);
+            expect(await dex.getAmountOut(amountIn - 2n, RESERVE0, RESERVE1, FEE)).to.be.lt(amountOut);
+        });
+
+        it("Should match the SDK quote", async function () {
+            const amountOut = ethers.parseEther("123.456");
+
+            for (const fee of [5, 30, 100]) {
+                expect(getAmountIn(amountOut, RESERVE0, RESERVE1, fee))
+                    .to.equal(await dex.getAmountIn(amountOut, RESERVE0, RESERVE1, fee));
+            }
+        });
+
+        it("Should fail when the output drains the pool", async function () {
+            await expect(
+                dex.getAmountIn(RESERVE1, RESERVE0, RESERVE1, FEE)
+            ).to.be.revertedWith("Insufficient liquidity");
+            await expect(
+                dex.getAmountIn(0, RESERVE0, RESERVE1, FEE)
+            ).to.be.revertedWith("Invalid output");
+        });
+    });
+
+    describe("swapTokensForExactTokens", function () {
+        const amountOut = ethers.parseEther("50");
+
+        it("Should deliver exactly amountOut to the recipient", async function () {
+            const quoted = await quoteExactOutput(dex, await token0.getAddress(), await token1.getAddress(), FEE, amountOut);
+            const balanceBefore = await token0.balanceOf(user1.address);
+
+            await expect(
+                dex.connect(user1).swapTokensForExactTokens(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    amountOut,
+                    quoted,
+                    merchant.address,
+                    await deadline()
+                )
+            )
+                .to.emit(dex, "Swap")
+                .withArgs(poolId, user1.address, await token0.getAddress(), quoted, amountOut, merchant.address);
+
+            expect(await token1.balanceOf(merchant.address)).to.equal(amountOut);
+            expect(balanceBefore - await token0.balanceOf(user1.address)).to.equal(quoted);
+
+            const pool = await dex.pools(poolId);
+            expect(pool.reserve0).to.equal(RESERVE0 + quoted);
+            expect(pool.reserve1).to.equal(RESERVE1 - amountOut);
+
+            console.log("Paid", ethers.formatEther(quoted), "token0 for 50 token1");
+        });
+
+        it("Should work in the token1 to token0 direction", async function () {
+            await token1.transfer(user1.address, ethers.parseEther("1000"));
+            await token1.connect(user1).approve(await dex.getAddress(), ethers.MaxUint256);
+
+            const out = ethers.parseEther("5");
+            const quoted = await quoteExactOutput(dex, await token1.getAddress(), await token0.getAddress(), FEE, out);
+            expect(quoted).to.equal(getAmountIn(out, RESERVE1, RESERVE0, FEE));
+
+            await dex.connect(user1).swapTokensForExactTokens(
+                await token1.getAddress(),
+                await token0.getAddress(),
+                FEE,
+                out,
+                quoted,
+                merchant.address,
+                await deadline()
+            );
+
+            expect(await token0.balanceOf(merchant.address)).to.equal(out);
+        });
+
+        it("Should never decrease the constant product", async function () {
+            await dex.connect(user1).swapTokensForExactTokens(
+                await token0.getAddress(),
+                await token1.getAddress(),
+                FEE,
+                amountOut,
+                ethers.MaxUint256,
+                user1.address,
+                await deadline()
+            );
+
+            const pool = await dex.pools(poolId);
+            expect(pool.reserve0 * pool.reserve1).to.be.gte(RESERVE0 * RESERVE1);
+        });
+
+        it("Should fail if the input exceeds maxAmountIn", async function () {
+            const quoted = await quoteExactOutput(dex, await token0.getAddress(), await token1.getAddress(), FEE, amountOut);
+
+            await expect(
+                dex.connect(user1).swapTokensForExactTokens(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    amountOut,
+                    quoted - 1n,
+                    user1.address,
+                    await deadline()
+                )
+            ).to.be.revertedWith("Slippage exceeded");
+        });
+
+        it("Should fail after the deadline", async function () {
+            await expect(
+                dex.connect(user1).swapTokensForExactTokens(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    amountOut,
+                    ethers.MaxUint256,
+                    user1.address,
+                    (await time.latest()) - 1
+                )
+            ).to.be.revertedWith("Expired");
+        });
+
+        it("Should fail with a zero output", async function () {
+            await expect(
+                dex.connect(user1).swapTokensForExactTokens(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    0,
+                    ethers.MaxUint256,
+                    user1.address,
+                    await deadline()
+                )
+            ).to.be.revertedWith("Invalid output amount");
+        });
+    });
+});
@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Non-standard Tokens", function () {
+    let dex, router, taxed, usdt, token, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const TAX_BPS = 500n; // 5% burned on every transfer
+
+    async function sortTokens(tokenX, tokenY, amountX, amountY) {
+        if ((await tokenX.getAddress()).toLowerCase() > (await tokenY.getAddress()).toLowerCase()) {
+            return [tokenY, tokenX, amountY, amountX];
+        }
+        return [tokenX, tokenY, amountX, amountY];
+    }
+
+    async function seedPool(tokenX, tokenY, amountX, amountY) {
+        [tokenX, tokenY, amountX, amountY] = await sortTokens(tokenX, tokenY, amountX, amountY);
+        await dex.createPool(await tokenX.getAddress(), await tokenY.getAddress(), FEE);
+        await tokenX.approve(await dex.getAddress(), amountX);
+        await tokenY.approve(await dex.getAddress(), amountY);
+        await dex.addLiquidity(await tokenX.getAddress(), await tokenY.getAddress(), FEE, amountX, amountY);
+    }
+
+    async function reserveOf(tokenX, tokenY, reserveToken) {
+        const pool = await dex.pools(await dex.getPoolId(await tokenX.getAddress(), await tokenY.getAddress(), FEE));
+        return pool.token0 === await reserveToken.getAddress() ? pool.reserve0 : pool.reserve1;
+    }
+
+    async function deadline() {
+        return (await time.latest()) + 600;
+    }
+
+    function afterTax(amount) {
+        return amount - (amount * TAX_BPS) / 10000n;
+    }
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const FeeOnTransferToken = await ethers.getContractFactory("FeeOnTransferToken");
+        taxed = await FeeOnTransferToken.deploy("Taxed Token", "TAX", INITIAL_SUPPLY, TAX_BPS);
+
+        const NoReturnToken = await ethers.getContractFactory("NoReturnToken");
+        usdt = await NoReturnToken.deploy("Tether USD", "USDT", INITIAL_SUPPLY);
+
+        const Token = await ethers.getContractFactory("Token");
+        token = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        const WrappedNative = await ethers.getContractFactory("WrappedNative");
+        const wcore = await WrappedNative.deploy("Wrapped CORE", "WCORE");
+
+        const Router = await ethers.getContractFactory("Router");
+        router = await Router.deploy(await dex.getAddress(), await wcore.getAddress());
+        await router.waitForDeployment();
+    });
+
+    describe("Fee-on-transfer tokens", function () {
+        const amount = ethers.parseEther("1000");
+
+        beforeEach(async function () {
+            await seedPool(taxed, token, amount, amount);
+            await taxed.transfer(user1.address, ethers.parseEther("1000"));
+            await token.transfer(user1.address, ethers.parseEther("1000"));
+        });
+
+        it("Should credit the amount received when adding liquidity", async function () {
+            const reserve = await reserveOf(taxed, token, taxed);
+
+            expect(reserve).to.equal(afterTax(amount));
+            expect(await taxed.balanceOf(await dex.getAddress())).to.equal(reserve);
+        });
+
+        it("Should price swaps on the amount received", async function () {
+            const amountIn = ethers.parseEther("100");
+            const reserveIn = await reserveOf(taxed, token, taxed);
+            const reserveOut = await reserveOf(taxed, token, token);
+            const expectedOut = await dex.getAmountOut(afterTax(amountIn), reserveIn, reserveOut, FEE);
+
+            await taxed.connect(user1).approve(await dex.getAddress(), amountIn);
+            await dex.connect(user1).swap(await taxed.getAddress(), await token.getAddress(), FEE, amountIn, 0);
+
+            expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("1000") + expectedOut);
+            expect(await reserveOf(taxed, token, taxed)).to.equal(await taxed.balanceOf(await dex.getAddress()));
+        });
+
+        it("Should check minAmountOut against what the recipient receives", async function () {
+            const amountIn = ethers.parseEther("100");
+            const reserveIn = await reserveOf(taxed, token, token);
+            const reserveOut = await reserveOf(taxed, token, taxed);
+            const poolOut = await dex.getAmountOut(amountIn, reserveIn, reserveOut, FEE);
+
+            await token.connect(user1).approve(await dex.getAddress(), ethers.MaxUint256);
+
+            // The pool sends poolOut but the recipient only gets it after tax
+            await expect(
+                dex.connect(user1).swapSupportingFeeOnTransferTokens(
+                    await token.getAddress(),
+                    await taxed.getAddress(),
+                    FEE,
+                    amountIn,
+                    poolOut,
+                    user1.address,
+                    await deadline()
+                )
+            ).to.be.revertedWith("Slippage exceeded");
+
+            const balanceBefore = await taxed.balanceOf(user1.address);
+            await dex.connect(user1).swapSupportingFeeOnTransferTokens(
+                await token.getAddress(),
+                await taxed.getAddress(),
+                FEE,
+                amountIn,
+                afterTax(poolOut),
+                user1.address,
+                await deadline()
+            );
+
+            expect(await taxed.balanceOf(user1.address) - balanceBefore).to.equal(afterTax(poolOut));
+        });
+
+        it("Should reject taxed input for exact-output swaps", async function () {
+            await taxed.connect(user1).approve(await dex.getAddress(), ethers.MaxUint256);
+
+            await expect(
+                dex.connect(user1).swapTokensForExactTokens(
+                    await taxed.getAddress(),
+                    await token.getAddress(),
+                    FEE,
+                    ethers.parseEther("10"),
+                    ethers.MaxUint256,
+                    user1.address,
+                    await deadline()
+                )
+            ).to.be.revertedWith("Transfer fee not supported");
+        });
+
+        it("Should route taxed tokens through several hops", async function () {
+            const Token = await ethers.getContractFactory("Token");
+            const tokenC = await Token.deploy("Token C", "TKC", INITIAL_SUPPLY);
+            await seedPool(token, tokenC, amount, amount);
+
+            const path = [await taxed.getAddress(), await token.getAddress(), await tokenC.getAddress()];
+            await taxed.connect(user1).approve(await router.getAddress(), ethers.parseEther("100"));
+
+            await router.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                ethers.parseEther("100"),
+                1,
+                path,
+                [FEE, FEE],
+                user1.address,
+                await deadline()
+            );
+
+            expect(await tokenC.balanceOf(user1.address)).to.be.gt(0);
+            expect(await taxed.balanceOf(await router.getAddress())).to.equal(0);
+            expect(await token.balanceOf(await router.getAddress())).to.equal(0);
+        });
+    });
+
+    describe("Tokens without return values", function () {
+        const amount = ethers.parseEther("1000");
+
+        beforeEach(async function () {
+            await seedPool(usdt, token, amount, amount);
+            await usdt.transfer(user1.address, ethers.parseEther("1000"));
+        });
+
+        it("Should add liquidity, swap and remove liquidity", async function () {
+            const amountIn = ethers.parseEther("10");
+            await usdt.connect(user1).approve(await dex.getAddress(), amountIn);
+            await dex.connect(user1).swap(await usdt.getAddress(), await token.getAddress(), FEE, amountIn, 0);
+
+            expect(await usdt.balanceOf(await dex.getAddress())).to.equal(amount + amountIn);
+
+            const [token0, token1] = await sortTokens(usdt, token);
+            const lpBalance = await dex.liquidity(
+                await dex.getPoolId(await usdt.getAddress(), await token.getAddress(), FEE),
+                owner.address
+            );
+            await dex.removeLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, lpBalance);
+
+            // Only the locked minimum liquidity's share stays behind
+            expect(await usdt.balanceOf(await dex.getAddress())).to.equal(await reserveOf(usdt, token, usdt));
+            expect(await usdt.balanceOf(await dex.getAddress())).to.be.lt(ethers.parseEther("0.000001"));
+        });
+
+        it("Should swap repeatedly through the router", async function () {
+            const path = [await usdt.getAddress(), await token.getAddress()];
+            await usdt.connect(user1).approve(await router.getAddress(), ethers.parseEther("20"));
+
+            for (let i = 0; i < 2; i++) {
+                await router.connect(user1).swapExactTokensForTokens(
+                    ethers.parseEther("10"),
+                    0,
+                    path,
+                    [FEE],
+                    user1.address,
+                    await deadline()
+                );
+            }
+
+            expect(await token.balanceOf(user1.address)).to.be.gt(0);
+        });
+
+        it("Should fail on a failed transfer instead of continuing", async function () {
+            await expect(
+                dex.connect(user1).swap(await usdt.getAddress(), await token.getAddress(), FEE, ethers.parseEther("10"), 0)
+            ).to.be.revertedWith("Insufficient allowance");
+        });
+    });
+});
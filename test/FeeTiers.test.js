@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Fee Tiers", function () {
+    let dex, token0, token1, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+    });
+
+    async function seedPool(fee, amount0, amount1) {
+        await token0.approve(await dex.getAddress(), amount0);
+        await token1.approve(await dex.getAddress(), amount1);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), fee, amount0, amount1);
+    }
+
+    describe("Allow-list", function () {
+        it("Should enable the 0.05%, 0.3% and 1% tiers on deployment", async function () {
+            expect(await dex.feeTiers(5)).to.equal(true);
+            expect(await dex.feeTiers(30)).to.equal(true);
+            expect(await dex.feeTiers(100)).to.equal(true);
+            expect(await dex.feeTiers(50)).to.equal(false);
+            expect(await dex.DEFAULT_FEE()).to.equal(30);
+        });
+
+        it("Should allow the owner to add and remove tiers", async function () {
+            await expect(dex.setFeeTier(50, true))
+                .to.emit(dex, "FeeTierSet")
+                .withArgs(50, true);
+            expect(await dex.feeTiers(50)).to.equal(true);
+
+            await dex.setFeeTier(50, false);
+            expect(await dex.feeTiers(50)).to.equal(false);
+        });
+
+        it("Should fail if non-owner tries to set a tier", async function () {
+            await expect(
+                dex.connect(user1).setFeeTier(50, true)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should fail with a fee of 100% or more", async function () {
+            await expect(
+                dex.setFeeTier(10000, true)
+            ).to.be.revertedWith("Invalid fee");
+        });
+    });
+
+    describe("Pool creation", function () {
+        it("Should create pools for the same pair at different tiers", async function () {
+            await dex.createPool(await token0.getAddress(), await token1.getAddress(), 5);
+            await dex.createPool(await token0.getAddress(), await token1.getAddress(), 100);
+
+            const stable = await dex.pools(await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), 5));
+            const exotic = await dex.pools(await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), 100));
+
+            expect(stable.fee).to.equal(5);
+            expect(exotic.fee).to.equal(100);
+            expect(stable.lpToken).to.not.equal(exotic.lpToken);
+        });
+
+        it("Should emit the fee in PoolCreated", async function () {
+            const poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), 5);
+
+            await expect(dex.createPool(await token0.getAddress(), await token1.getAddress(), 5))
+                .to.emit(dex, "PoolCreated")
+                .withArgs(await token0.getAddress(), await token1.getAddress(), 5, poolId, (addr) => addr !== ethers.ZeroAddress);
+        });
+
+        it("Should fail with a tier that is not enabled", async function () {
+            await expect(
+                dex.createPool(await token0.getAddress(), await token1.getAddress(), 50)
+            ).to.be.revertedWith("Fee tier not enabled");
+        });
+
+        it("Should fail creating the same tier twice", async function () {
+            await dex.createPool(await token0.getAddress(), await token1.getAddress(), 5);
+
+            await expect(
+                dex.createPool(await token1.getAddress(), await token0.getAddress(), 5)
+            ).to.be.revertedWith("Pool exists");
+        });
+
+        it("Should keep existing pools working after their tier is disabled", async function () {
+            await dex.createPool(await token0.getAddress(), await token1.getAddress(), 100);
+            await dex.setFeeTier(100, false);
+
+            await seedPool(100, ethers.parseEther("100"), ethers.parseEther("100"));
+            const pool = await dex.pools(await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), 100));
+            expect(pool.reserve0).to.equal(ethers.parseEther("100"));
+        });
+    });
+
+    describe("Swaps", function () {
+        const reserve = ethers.parseEther("1000");
+        const amountIn = ethers.parseEther("10");
+
+        beforeEach(async function () {
+            await dex.createPool(await token0.getAddress(), await token1.getAddress(), 5);
+            await dex.createPool(await token0.getAddress(), await token1.getAddress(), 100);
+            await seedPool(5, reserve, reserve);
+            await seedPool(100, reserve, reserve);
+
+            await token0.transfer(user1.address, ethers.parseEther("100"));
+        });
+
+        it("Should quote with the given fee", async function () {
+            const stableOut = await dex.getAmountOut(amountIn, reserve, reserve, 5);
+            const defaultOut = await dex.getAmountOut(amountIn, reserve, reserve, 30);
+            const exoticOut = await dex.getAmountOut(amountIn, reserve, reserve, 100);
+
+            expect(stableOut).to.be.gt(defaultOut);
+            expect(defaultOut).to.be.gt(exoticOut);
+
+            // 0.05% fee: 9.995 * 1000 / (1000 + 9.995)
+            const expected = (amountIn * 9995n * reserve) / (reserve * 10000n + amountIn * 9995n);
+            expect(stableOut).to.equal(expected);
+        });
+
+        it("Should charge each pool its own fee", async function () {
+            const stableOut = await dex.getAmountOut(amountIn, reserve, reserve, 5);
+
+            await token0.connect(user1).approve(await dex.getAddress(), amountIn);
+            await dex.connect(user1).swap(
+                await token0.getAddress(),
+                await token1.getAddress(),
+                5,
+                amountIn,
+                stableOut
+            );
+
+            expect(await token1.balanceOf(user1.address)).to.equal(stableOut);
+
+            // The 1% pool is untouched
+            const exotic = await dex.pools(await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), 100));
+            expect(exotic.reserve0).to.equal(reserve);
+
+            console.log("0.05% pool output:", ethers.formatEther(stableOut));
+        });
+
+        it("Should fail swapping through a tier with no pool", async function () {
+            await token0.connect(user1).approve(await dex.getAddress(), amountIn);
+
+            await expect(
+                dex.connect(user1).swap(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    30,
+                    amountIn,
+                    0
+                )
+            ).to.be.revertedWith("Pool doesn't exist");
+        });
+    });
+});
@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getFlashFee } = require("../sdk/math");
+
+describe("Flash Swaps", function () {
+    let dex, borrower, token0, token1, poolId, owner;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+        await token0.approve(await dex.getAddress(), RESERVE);
+        await token1.approve(await dex.getAddress(), RESERVE);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE, RESERVE);
+
+        const FlashBorrower = await ethers.getContractFactory("FlashBorrower");
+        borrower = await FlashBorrower.deploy(await dex.getAddress());
+
+        // Enough to cover fees
+        await token0.transfer(await borrower.getAddress(), ethers.parseEther("100"));
+        await token1.transfer(await borrower.getAddress(), ethers.parseEther("100"));
+    });
+
+    async function encode(repay0, repay1, reenter = false) {
+        return ethers.AbiCoder.defaultAbiCoder().encode(
+            ["address", "address", "uint24", "uint256", "uint256", "bool"],
+            [await token0.getAddress(), await token1.getAddress(), FEE, repay0, repay1, reenter]
+        );
+    }
+
+    async function flash(amount0Out, amount1Out, data) {
+        return borrower.flash(await token0.getAddress(), await token1.getAddress(), FEE, amount0Out, amount1Out, data);
+    }
+
+    describe("Flash loans", function () {
+        const amount = ethers.parseEther("500");
+
+        it("Should lend and take the flash fee for LPs", async function () {
+            const flashFee = await dex.getFlashFee(amount, FEE);
+
+            await expect(flash(amount, 0, await encode(amount + flashFee, 0)))
+                .to.emit(dex, "FlashSwap")
+                .withArgs(poolId, await borrower.getAddress(), amount, 0, amount + flashFee, 0, await borrower.getAddress());
+
+            const pool = await dex.pools(poolId);
+            expect(pool.reserve0).to.equal(RESERVE + flashFee);
+            expect(pool.reserve1).to.equal(RESERVE);
+            expect(await token0.balanceOf(await dex.getAddress())).to.equal(pool.reserve0);
+
+            console.log("Flash fee on 500 tokens:", ethers.formatEther(flashFee));
+        });
+
+        it("Should fail if the repayment is short by one wei", async function () {
+            const flashFee = await dex.getFlashFee(amount, FEE);
+
+            await expect(
+                flash(amount, 0, await encode(amount + flashFee - 1n, 0))
+            ).to.be.revertedWith("Invariant violated");
+        });
+
+        it("Should fail if nothing is paid back", async function () {
+            await expect(
+                flash(amount, 0, await encode(0, 0))
+            ).to.be.revertedWith("Invalid input amount");
+        });
+
+        it("Should match the SDK flash fee", async function () {
+            for (const fee of [5, 30, 100]) {
+                expect(getFlashFee(amount, fee)).to.equal(await dex.getFlashFee(amount, fee));
+            }
+        });
+    });
+
+    describe("Flash swaps", function () {
+        it("Should let the borrower pay back in the other token", async function () {
+            const amountOut = ethers.parseEther("50");
+            const amountIn = await dex.getAmountIn(amountOut, RESERVE, RESERVE, FEE);
+
+            await flash(amountOut, 0, await encode(0, amountIn));
+
+            const pool = await dex.pools(poolId);
+            expect(pool.reserve0).to.equal(RESERVE - amountOut);
+            expect(pool.reserve1).to.equal(RESERVE + amountIn);
+            expect(pool.reserve0 * pool.reserve1).to.be.gte(RESERVE * RESERVE);
+        });
+
+        it("Should fail if the other-token payment does not cover the fee", async function () {
+            const amountOut = ethers.parseEther("50");
+            const amountInNoFee = (RESERVE * amountOut) / (RESERVE - amountOut) + 1n;
+
+            await expect(
+                flash(amountOut, 0, await encode(0, amountInNoFee))
+            ).to.be.revertedWith("Invariant violated");
+        });
+
+        it("Should set aside the protocol share of the flash fee", async function () {
+            await dex.setProtocolFeeShare(5000);
+            await dex.setProtocolFeeEnabled(poolId, true);
+
+            const amount = ethers.parseEther("500");
+            const repay = amount + await dex.getFlashFee(amount, FEE);
+            await flash(amount, 0, await encode(repay, 0));
+
+            const protocolFee = await dex.getProtocolFee(poolId, repay);
+            expect((await dex.protocolFees(poolId)).amount0).to.equal(protocolFee);
+            expect((await dex.pools(poolId)).reserve0).to.equal(RESERVE + repay - amount - protocolFee);
+        });
+    });
+
+    describe("Safety", function () {
+        it("Should block reentering the DEX from the callback", async function () {
+            const amount = ethers.parseEther("10");
+
+            await expect(
+                flash(amount, 0, await encode(amount * 2n, 0, true))
+            ).to.be.revertedWithCustomError(dex, "ReentrancyGuardReentrantCall");
+        });
+
+        it("Should fail borrowing the whole reserve", async function () {
+            await expect(
+                flash(RESERVE, 0, await encode(0, 0))
+            ).to.be.revertedWith("Insufficient liquidity");
+        });
+
+        it("Should fail with nothing to borrow", async function () {
+            await expect(
+                flash(0, 0, await encode(0, 0))
+            ).to.be.revertedWith("Invalid output amount");
+        });
+    });
+});
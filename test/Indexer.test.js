@@ -0,0 +1,314 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createIndexer, RECENT_STATE_BLOCKS } = require("../backend/indexer");
+const { createMemoryStore } = require("../backend/store/memoryStore");
+const { createServer } = require("../backend/server");
+
+describe("Indexer", function () {
+    let dex, token0, token1, poolId, store, indexer, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = (await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE)).toLowerCase();
+
+        await token0.approve(await dex.getAddress(), ethers.MaxUint256);
+        await token1.approve(await dex.getAddress(), ethers.MaxUint256);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE, RESERVE);
+
+        await token0.transfer(user1.address, ethers.parseEther("100"));
+        await token0.connect(user1).approve(await dex.getAddress(), ethers.MaxUint256);
+
+        store = createMemoryStore();
+        indexer = createIndexer({ provider: ethers.provider, dex, store });
+    });
+
+    async function swap(amountIn, signer = user1) {
+        return dex.connect(signer).swap(await token0.getAddress(), await token1.getAddress(), FEE, amountIn, 0);
+    }
+
+    describe("sync", function () {
+        it("Should index pools, liquidity changes and swaps", async function () {
+            await swap(ethers.parseEther("10"));
+            await dex.removeLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, ethers.parseEther("100"));
+
+            expect(await indexer.sync()).to.equal(await ethers.provider.getBlockNumber());
+
+            const [pool] = await store.getPools();
+            expect(pool.poolId).to.equal(poolId);
+            expect(pool.token0).to.equal((await token0.getAddress()).toLowerCase());
+            expect(pool.fee).to.equal(FEE);
+
+            const events = await store.getEvents({ poolId });
+            expect(events.map((event) => event.type)).to.deep.equal(["create", "add", "swap", "remove"]);
+
+            const swapEvent = events[2];
+            expect(swapEvent.user).to.equal(user1.address.toLowerCase());
+            expect(swapEvent.tokenOut).to.equal((await token1.getAddress()).toLowerCase());
+            expect(swapEvent.amountIn).to.equal(ethers.parseEther("10").toString());
+            expect(swapEvent.feeAmount).to.equal(ethers.parseEther("0.03").toString());
+
+            // The latest reserve snapshot matches the chain
+            const snapshots = await store.getSnapshots(poolId);
+            const onChain = await dex.pools(poolId);
+            expect(snapshots[snapshots.length - 1].reserve0).to.equal(onChain.reserve0.toString());
+            expect(snapshots[snapshots.length - 1].reserve1).to.equal(onChain.reserve1.toString());
+        });
+
+        it("Should only index new blocks on later syncs", async function () {
+            await indexer.sync();
+            await swap(ethers.parseEther("1"));
+            await swap(ethers.parseEther("2"));
+            await indexer.sync();
+
+            expect(await store.getEvents({ type: "swap" })).to.have.length(2);
+        });
+
+        it("Should stay the configured number of blocks behind the head", async function () {
+            indexer = createIndexer({ provider: ethers.provider, dex, store, confirmations: 2 });
+            await swap(ethers.parseEther("1"));
+
+            await indexer.sync();
+            expect(await store.getEvents({ type: "swap" })).to.have.length(0);
+
+            await mine(2);
+            await indexer.sync();
+            expect(await store.getEvents({ type: "swap" })).to.have.length(1);
+        });
+
+        it("Should pick up pools created before the start block", async function () {
+            await swap(ethers.parseEther("1"));
+            const startBlock = await ethers.provider.getBlockNumber();
+
+            indexer = createIndexer({ provider: ethers.provider, dex, store, startBlock });
+            await indexer.sync();
+
+            const pool = await store.getPool(poolId);
+            expect(pool.token1).to.equal((await token1.getAddress()).toLowerCase());
+            expect(await store.getEvents({ type: "swap" })).to.have.length(1);
+        });
+    });
+
+    describe("Reserves", function () {
+        async function latestSnapshot() {
+            const snapshots = await store.getSnapshots(poolId);
+            return snapshots[snapshots.length - 1];
+        }
+
+        it("Should index flash swaps and syncs and snapshot the reserves they leave", async function () {
+            const FlashBorrower = await ethers.getContractFactory("FlashBorrower");
+            const borrower = await FlashBorrower.deploy(await dex.getAddress());
+            await token1.transfer(await borrower.getAddress(), ethers.parseEther("2"));
+
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(
+                ["address", "address", "uint24", "uint256", "uint256", "bool"],
+                [await token0.getAddress(), await token1.getAddress(), FEE, 0, ethers.parseEther("2"), false]
+            );
+            await borrower.flash(await token0.getAddress(), await token1.getAddress(), FEE, 0, ethers.parseEther("1"), data);
+            await indexer.sync();
+
+            const [flash] = await store.getEvents({ type: "flash" });
+            expect(flash.user).to.equal((await borrower.getAddress()).toLowerCase());
+            expect(flash.amount1Out).to.equal(ethers.parseEther("1").toString());
+            expect(flash.amount1In).to.equal(ethers.parseEther("2").toString());
+            expect((await latestSnapshot()).reserve1).to.equal((await dex.pools(poolId)).reserve1.toString());
+
+            // A donation only reaches the reserves through sync
+            await token0.transfer(await dex.getAddress(), ethers.parseEther("10"));
+            await dex.sync(poolId);
+            await indexer.sync();
+
+            const [syncEvent] = await store.getEvents({ type: "sync" });
+            expect(syncEvent.reserve0).to.equal((RESERVE + ethers.parseEther("10")).toString());
+            expect((await latestSnapshot()).reserve0).to.equal(syncEvent.reserve0);
+        });
+
+        it("Should only read recent state when backfilling", async function () {
+            await swap(ethers.parseEther("10"));
+            // One by one: state at blocks from a single hardhat_mine can't be read back
+            for (let i = 0; i < RECENT_STATE_BLOCKS * 3; i++) await network.provider.send("evm_mine");
+            const head = await ethers.provider.getBlockNumber();
+
+            // Everything the indexer reads from the DEX, with the block it reads at
+            const blockTags = [];
+            const tracked = {
+                interface: dex.interface,
+                getAddress: () => dex.getAddress(),
+                pools: (id, overrides) => {
+                    blockTags.push(overrides?.blockTag);
+                    return dex.pools(id, overrides);
+                },
+            };
+            indexer = createIndexer({ provider: ethers.provider, dex: tracked, store, batchSize: 50 });
+            await indexer.sync();
+
+            expect(blockTags).to.not.be.empty;
+            for (const blockTag of blockTags) expect(head - blockTag).to.be.lessThan(RECENT_STATE_BLOCKS);
+
+            // One snapshot, from the first range close enough to the head
+            const snapshots = await store.getSnapshots(poolId);
+            expect(snapshots).to.have.length(1);
+            const [snapshot] = snapshots;
+            expect(head - snapshot.blockNumber).to.be.lessThan(RECENT_STATE_BLOCKS);
+            expect(snapshot.reserve0).to.equal((await dex.pools(poolId)).reserve0.toString());
+        });
+
+        it("Should refuse confirmations older than a full node's state", function () {
+            expect(() =>
+                createIndexer({ provider: ethers.provider, dex, store, confirmations: RECENT_STATE_BLOCKS })
+            ).to.throw("archive node");
+        });
+    });
+
+    describe("Reorgs", function () {
+        it("Should roll back events from blocks that left the chain", async function () {
+            await indexer.sync();
+            const snapshot = await network.provider.send("evm_snapshot");
+
+            await swap(ethers.parseEther("10"));
+            await indexer.sync();
+            const orphaned = (await store.getEvents({ type: "swap" }))[0];
+
+            // Replace the swap's block with a different one at the same height
+            await network.provider.send("evm_revert", [snapshot]);
+            await swap(ethers.parseEther("3"), owner);
+            await indexer.sync();
+
+            const swaps = await store.getEvents({ type: "swap" });
+            expect(swaps).to.have.length(1);
+            expect(swaps[0].blockNumber).to.equal(orphaned.blockNumber);
+            expect(swaps[0].blockHash).to.not.equal(orphaned.blockHash);
+            expect(swaps[0].amountIn).to.equal(ethers.parseEther("3").toString());
+
+            const snapshots = await store.getSnapshots(poolId);
+            expect(snapshots[snapshots.length - 1].reserve0).to.equal((await dex.pools(poolId)).reserve0.toString());
+        });
+    });
+
+    describe("Store", function () {
+        it("Should persist to a file and resume from the last checkpoint", async function () {
+            const file = path.join(os.tmpdir(), `dex-indexer-${Date.now()}.json`);
+            try {
+                indexer = createIndexer({ provider: ethers.provider, dex, store: createMemoryStore({ file }) });
+                const indexed = await indexer.sync();
+
+                const reloaded = createMemoryStore({ file });
+                const checkpoints = await reloaded.getCheckpoints();
+                expect(checkpoints[checkpoints.length - 1].blockNumber).to.equal(indexed);
+                expect(await reloaded.getEvents()).to.have.length(2);
+            } finally {
+                fs.rmSync(file, { force: true });
+            }
+        });
+    });
+
+    describe("REST API", function () {
+        let server, url;
+
+        beforeEach(async function () {
+            await swap(ethers.parseEther("10"));
+            await swap(ethers.parseEther("5"));
+            await indexer.sync();
+
+            server = createServer(store, indexer, await dex.getAddress());
+            await new Promise((resolve) => server.listen(0, resolve));
+            url = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(function () {
+            server.close();
+        });
+
+        async function get(route) {
+            const res = await fetch(`${url}${route}`);
+            return { status: res.status, body: await res.json() };
+        }
+
+        it("Should return a user's history newest first", async function () {
+            const { status, body } = await get(`/users/${user1.address}/history`);
+
+            expect(status).to.equal(200);
+            expect(body.map((event) => event.amountIn)).to.deep.equal([
+                ethers.parseEther("5").toString(),
+                ethers.parseEther("10").toString(),
+            ]);
+
+            const liquidity = await get(`/users/${owner.address}/history?type=add`);
+            expect(liquidity.body).to.have.length(1);
+            expect(liquidity.body[0].amount0).to.equal(RESERVE.toString());
+        });
+
+        it("Should return pool volume, fees and TVL", async function () {
+            const { body: pool } = await get(`/pools/${poolId}`);
+            expect(pool.totals.swaps).to.equal(2);
+            expect(pool.totals.fees0).to.equal(ethers.parseEther("0.045").toString());
+            expect(pool.tvl.reserve0).to.equal((await dex.pools(poolId)).reserve0.toString());
+
+            const { body: stats } = await get(`/pools/${poolId}/stats?interval=86400`);
+            const volume0 = stats.buckets.reduce((sum, bucket) => sum + BigInt(bucket.volume0), 0n);
+            expect(volume0).to.equal(ethers.parseEther("15"));
+            expect(stats.buckets[stats.buckets.length - 1].reserve0).to.equal(pool.tvl.reserve0);
+        });
+
+        it("Should count flash swap fees", async function () {
+            const FlashBorrower = await ethers.getContractFactory("FlashBorrower");
+            const borrower = await FlashBorrower.deploy(await dex.getAddress());
+            await token1.transfer(await borrower.getAddress(), ethers.parseEther("2"));
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(
+                ["address", "address", "uint24", "uint256", "uint256", "bool"],
+                [await token0.getAddress(), await token1.getAddress(), FEE, 0, ethers.parseEther("2"), false]
+            );
+            await borrower.flash(await token0.getAddress(), await token1.getAddress(), FEE, 0, ethers.parseEther("1"), data);
+            await indexer.sync();
+
+            // 0.3% of the 2 token1 paid back
+            const flashFee = ethers.parseEther("0.006");
+            const { body: pool } = await get(`/pools/${poolId}`);
+            expect(pool.totals.flashSwaps).to.equal(1);
+            expect(pool.totals.fees0).to.equal(ethers.parseEther("0.045").toString());
+            expect(pool.totals.fees1).to.equal(flashFee.toString());
+
+            const { body: stats } = await get(`/pools/${poolId}/stats?interval=86400`);
+            const fees1 = stats.buckets.reduce((sum, bucket) => sum + BigInt(bucket.fees1), 0n);
+            expect(fees1).to.equal(flashFee);
+            expect(stats.totals.flashSwaps).to.equal(1);
+        });
+
+        it("Should list pools and report the indexed block", async function () {
+            const { body: pools } = await get("/pools");
+            expect(pools).to.have.length(1);
+            expect(pools[0].poolId).to.equal(poolId);
+
+            const { body: health } = await get("/health");
+            expect(health.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+        });
+
+        it("Should reject bad parameters and unknown routes", async function () {
+            expect((await get("/users/0x123/history")).status).to.equal(400);
+            expect((await get(`/pools/${poolId}/events?type=mint`)).status).to.equal(400);
+            expect((await get(`/pools/${poolId}/stats?interval=0`)).status).to.equal(400);
+            expect((await get(`/pools/${ethers.ZeroHash}`)).status).to.equal(404);
+            expect((await get("/nope")).status).to.equal(404);
+        });
+    });
+});
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("LPToken", function () {
+    let dex, lpToken, token0, token1, poolId, owner, user1, user2;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const MINIMUM_LIQUIDITY = 1000n;
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        // Keep the pool's sorted order so amounts line up with reserve0/reserve1
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+        const pool = await dex.pools(poolId);
+        lpToken = await ethers.getContractAt("LPToken", pool.lpToken);
+
+        await token0.transfer(user1.address, ethers.parseEther("10000"));
+        await token1.transfer(user1.address, ethers.parseEther("10000"));
+    });
+
+    async function addLiquidity(user, amount0, amount1) {
+        await token0.connect(user).approve(await dex.getAddress(), amount0);
+        await token1.connect(user).approve(await dex.getAddress(), amount1);
+        return dex.connect(user).addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, amount0, amount1);
+    }
+
+    describe("Pool creation", function () {
+        it("Should deploy a separate LP token for every pool", async function () {
+            const Token = await ethers.getContractFactory("Token");
+            const tokenC = await Token.deploy("Token C", "TKC", INITIAL_SUPPLY);
+
+            await dex.createPool(await token0.getAddress(), await tokenC.getAddress(), FEE);
+            const otherPool = await dex.pools(await dex.getPoolId(await token0.getAddress(), await tokenC.getAddress(), FEE));
+
+            expect(otherPool.lpToken).to.not.equal(await lpToken.getAddress());
+            expect(otherPool.lpToken).to.not.equal(ethers.ZeroAddress);
+        });
+
+        it("Should emit the LP token address in PoolCreated", async function () {
+            const Token = await ethers.getContractFactory("Token");
+            const tokenC = await Token.deploy("Token C", "TKC", INITIAL_SUPPLY);
+
+            await expect(dex.createPool(await token0.getAddress(), await tokenC.getAddress(), FEE))
+                .to.emit(dex, "PoolCreated");
+        });
+
+        it("Should bind the LP token to its pool and the DEX", async function () {
+            expect(await lpToken.dex()).to.equal(await dex.getAddress());
+            expect(await lpToken.poolId()).to.equal(poolId);
+            expect(await lpToken.decimals()).to.equal(18);
+        });
+
+        it("Should name the LP token after its pool's tokens and fee tier", async function () {
+            const pair = `${await token0.symbol()}/${await token1.symbol()}`;
+            expect(await lpToken.name()).to.equal(`DEX LP Token ${pair} 30bps`);
+            expect(await lpToken.symbol()).to.equal(`DEX-LP-${pair}-30`);
+
+            await dex.createPool(await token0.getAddress(), await token1.getAddress(), 5);
+            const other = await ethers.getContractAt(
+                "LPToken",
+                (await dex.pools(await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), 5))).lpToken
+            );
+            expect(await other.symbol()).to.equal(`DEX-LP-${pair}-5`);
+            const [, domainName] = await other.eip712Domain();
+            expect(domainName).to.equal(`DEX LP Token ${pair} 5bps`);
+            expect(await other.DOMAIN_SEPARATOR()).to.not.equal(await lpToken.DOMAIN_SEPARATOR());
+        });
+
+        it("Should name a token without a string symbol by its address", async function () {
+            const NoSymbol = await ethers.getContractFactory("Forwarder");
+            const noSymbol = await NoSymbol.deploy();
+            const [first, second] = [await token0.getAddress(), await noSymbol.getAddress()];
+
+            await dex.createPool(first, second, FEE);
+            const other = await ethers.getContractAt(
+                "LPToken",
+                (await dex.pools(await dex.getPoolId(first, second, FEE))).lpToken
+            );
+            const symbols = first.toLowerCase() < second.toLowerCase()
+                ? [await token0.symbol(), second.toLowerCase()]
+                : [second.toLowerCase(), await token0.symbol()];
+            expect(await other.symbol()).to.equal(`DEX-LP-${symbols[0]}/${symbols[1]}-30`);
+        });
+
+        it("Should not allow re-initializing a pool's LP token", async function () {
+            await expect(
+                lpToken.connect(user1).initialize(ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, FEE)
+            ).to.be.revertedWith("Already initialized");
+        });
+
+        it("Should not allow initializing the implementation", async function () {
+            const implementation = await ethers.getContractAt("LPToken", await dex.lpTokenImplementation());
+
+            await expect(
+                implementation.connect(user1).initialize(ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, FEE)
+            ).to.be.revertedWith("Already initialized");
+        });
+    });
+
+    describe("Mint and burn", function () {
+        it("Should mint LP tokens on addLiquidity", async function () {
+            const amount = ethers.parseEther("100");
+
+            // The first deposit locks MINIMUM_LIQUIDITY forever
+            await expect(addLiquidity(user1, amount, amount))
+                .to.emit(lpToken, "Transfer")
+                .withArgs(ethers.ZeroAddress, user1.address, amount - MINIMUM_LIQUIDITY);
+
+            expect(await lpToken.balanceOf(user1.address)).to.equal(amount - MINIMUM_LIQUIDITY);
+            expect(await lpToken.totalSupply()).to.equal((await dex.pools(poolId)).totalLiquidity);
+            expect(await dex.liquidity(poolId, user1.address)).to.equal(amount - MINIMUM_LIQUIDITY);
+        });
+
+        it("Should burn LP tokens on removeLiquidity", async function () {
+            const amount = ethers.parseEther("100");
+            await addLiquidity(user1, amount, amount);
+
+            await expect(
+                dex.connect(user1).removeLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, amount / 2n)
+            )
+                .to.emit(lpToken, "Transfer")
+                .withArgs(user1.address, ethers.ZeroAddress, amount / 2n);
+
+            expect(await lpToken.balanceOf(user1.address)).to.equal(amount / 2n - MINIMUM_LIQUIDITY);
+            expect(await lpToken.totalSupply()).to.equal((await dex.pools(poolId)).totalLiquidity);
+        });
+
+        it("Should not allow anyone but the DEX to mint or burn", async function () {
+            await expect(
+                lpToken.connect(user1).mint(user1.address, 1)
+            ).to.be.revertedWith("Only DEX");
+
+            await expect(
+                lpToken.connect(user1).burn(user1.address, 1)
+            ).to.be.revertedWith("Only DEX");
+        });
+    });
+
+    describe("Transferable positions", function () {
+        it("Should let a new holder withdraw transferred LP tokens", async function () {
+            const amount = ethers.parseEther("100");
+            await addLiquidity(user1, amount, amount);
+            const position = amount - MINIMUM_LIQUIDITY;
+
+            await lpToken.connect(user1).transfer(user2.address, position);
+
+            expect(await dex.liquidity(poolId, user1.address)).to.equal(0);
+            expect(await dex.liquidity(poolId, user2.address)).to.equal(position);
+
+            await dex.connect(user2).removeLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, position);
+
+            expect(await token0.balanceOf(user2.address)).to.equal(position);
+            expect(await token1.balanceOf(user2.address)).to.equal(position);
+        });
+
+        it("Should fail removing more than the caller holds", async function () {
+            const amount = ethers.parseEther("100");
+            await addLiquidity(user1, amount, amount);
+
+            await expect(
+                dex.connect(user2).removeLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, 1)
+            ).to.be.revertedWith("Insufficient liquidity");
+        });
+    });
+
+    describe("EIP-2612 permit", function () {
+        it("Should approve via signature", async function () {
+            const amount = ethers.parseEther("100");
+            await addLiquidity(user1, amount, amount);
+
+            const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+            const { chainId } = await ethers.provider.getNetwork();
+            expect(await lpToken.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain({
+                name: await lpToken.name(),
+                version: "1",
+                chainId,
+                verifyingContract: await lpToken.getAddress(),
+            }));
+
+            const signature = await user1.signTypedData(
+                {
+                    name: await lpToken.name(),
+                    version: "1",
+                    chainId,
+                    verifyingContract: await lpToken.getAddress(),
+                },
+                {
+                    Permit: [
+                        { name: "owner", type: "address" },
+                        { name: "spender", type: "address" },
+                        { name: "value", type: "uint256" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "deadline", type: "uint256" },
+                    ],
+                },
+                {
+                    owner: user1.address,
+                    spender: user2.address,
+                    value: amount,
+                    nonce: await lpToken.nonces(user1.address),
+                    deadline,
+                }
+            );
+            const { v, r, s } = ethers.Signature.from(signature);
+
+            await lpToken.connect(user2).permit(user1.address, user2.address, amount, deadline, v, r, s);
+
+            expect(await lpToken.allowance(user1.address, user2.address)).to.equal(amount);
+            expect(await lpToken.nonces(user1.address)).to.equal(1);
+        });
+    });
+});
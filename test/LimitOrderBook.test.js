@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("LimitOrderBook", function () {
+    let dex, book, token0, token1, owner, maker, keeper;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+    const KEEPER_FEE = 10n;
+
+    beforeEach(async function () {
+        [owner, maker, keeper] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        const LimitOrderBook = await ethers.getContractFactory("LimitOrderBook");
+        book = await LimitOrderBook.deploy(await dex.getAddress());
+        await book.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        await token0.approve(await dex.getAddress(), ethers.MaxUint256);
+        await token1.approve(await dex.getAddress(), ethers.MaxUint256);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE, RESERVE);
+
+        await token0.transfer(maker.address, ethers.parseEther("1000"));
+        await token0.connect(maker).approve(await book.getAddress(), ethers.MaxUint256);
+    });
+
+    async function expiry() {
+        return (await time.latest()) + 3600;
+    }
+
+    // Sell 10 token0 for at least `amountOutMin` token1
+    async function placeOrder(amountOutMin, amountIn = ethers.parseEther("10")) {
+        await book.connect(maker).placeOrder(
+            await token0.getAddress(),
+            await token1.getAddress(),
+            FEE,
+            amountIn,
+            amountOutMin,
+            await expiry()
+        );
+        return (await book.ordersLength()) - 1n;
+    }
+
+    // Push the token0 price up by selling token1 into the pool
+    async function movePrice(amount) {
+        await dex.swap(await token1.getAddress(), await token0.getAddress(), FEE, amount, 0);
+    }
+
+    describe("placeOrder", function () {
+        it("Should escrow the input and emit OrderPlaced", async function () {
+            const amountIn = ethers.parseEther("10");
+            const deadline = await expiry();
+
+            await expect(
+                book.connect(maker).placeOrder(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    amountIn,
+                    ethers.parseEther("12"),
+                    deadline
+                )
+            )
+                .to.emit(book, "OrderPlaced")
+                .withArgs(0, maker.address, await token0.getAddress(), await token1.getAddress(), FEE, amountIn, ethers.parseEther("12"), deadline);
+
+            expect(await token0.balanceOf(await book.getAddress())).to.equal(amountIn);
+            const [open, remaining] = await book.remaining(0);
+            expect(open).to.equal(true);
+            expect(remaining).to.equal(amountIn);
+        });
+
+        it("Should fail for a pool that doesn't exist", async function () {
+            await expect(
+                book.connect(maker).placeOrder(await token0.getAddress(), await token1.getAddress(), 100, 1, 1, await expiry())
+            ).to.be.revertedWith("Pool doesn't exist");
+        });
+
+        it("Should fail with an expiry in the past", async function () {
+            await expect(
+                book.connect(maker).placeOrder(await token0.getAddress(), await token1.getAddress(), FEE, 1, 1, await time.latest())
+            ).to.be.revertedWith("Expired");
+        });
+    });
+
+    describe("fillOrder", function () {
+        it("Should not fill before the pool reaches the limit price", async function () {
+            const orderId = await placeOrder(ethers.parseEther("12"));
+
+            const [amountOut, minAmountOut] = await book.quoteFill(orderId, ethers.parseEther("10"));
+            expect(amountOut).to.be.lt(minAmountOut);
+
+            await expect(
+                book.connect(keeper).fillOrder(orderId, ethers.parseEther("10"))
+            ).to.be.revertedWith("Price not reached");
+        });
+
+        it("Should fill once the price crosses and pay the keeper", async function () {
+            const amountIn = ethers.parseEther("10");
+            const orderId = await placeOrder(ethers.parseEther("12"));
+            await movePrice(ethers.parseEther("200"));
+
+            const [quoted, minAmountOut] = await book.quoteFill(orderId, amountIn);
+            expect(quoted).to.be.gte(minAmountOut);
+
+            const keeperReward = (amountIn * KEEPER_FEE) / 10000n;
+            await expect(book.connect(keeper).fillOrder(orderId, amountIn))
+                .to.emit(book, "OrderFilled")
+                .withArgs(orderId, keeper.address, amountIn, quoted, keeperReward);
+
+            expect(await token1.balanceOf(maker.address)).to.equal(quoted);
+            expect(await token0.balanceOf(keeper.address)).to.equal(keeperReward);
+            expect(await token0.balanceOf(await book.getAddress())).to.equal(0);
+
+            const [open, remaining] = await book.remaining(orderId);
+            expect(open).to.equal(false);
+            expect(remaining).to.equal(0);
+        });
+
+        it("Should allow partial fills at the same limit price", async function () {
+            const orderId = await placeOrder(ethers.parseEther("12"));
+            await movePrice(ethers.parseEther("200"));
+
+            await book.connect(keeper).fillOrder(orderId, ethers.parseEther("4"));
+            const [, remaining] = await book.remaining(orderId);
+            expect(remaining).to.equal(ethers.parseEther("6"));
+
+            const [, minAmountOut] = await book.quoteFill(orderId, ethers.parseEther("6"));
+            expect(minAmountOut).to.equal(ethers.parseEther("7.2"));
+
+            await book.connect(keeper).fillOrder(orderId, ethers.parseEther("6"));
+            await expect(
+                book.connect(keeper).fillOrder(orderId, 1)
+            ).to.be.revertedWith("Invalid fill amount");
+        });
+
+        it("Should not fill an expired order", async function () {
+            const orderId = await placeOrder(ethers.parseEther("5"));
+            await time.increase(3601);
+
+            await expect(
+                book.connect(keeper).fillOrder(orderId, ethers.parseEther("10"))
+            ).to.be.revertedWith("Order expired");
+        });
+    });
+
+    describe("cancelOrder", function () {
+        it("Should refund the unfilled input", async function () {
+            const orderId = await placeOrder(ethers.parseEther("12"));
+            await movePrice(ethers.parseEther("200"));
+            await book.connect(keeper).fillOrder(orderId, ethers.parseEther("4"));
+
+            const balanceBefore = await token0.balanceOf(maker.address);
+            await expect(book.connect(maker).cancelOrder(orderId))
+                .to.emit(book, "OrderCancelled")
+                .withArgs(orderId, ethers.parseEther("6"));
+
+            expect(await token0.balanceOf(maker.address) - balanceBefore).to.equal(ethers.parseEther("6"));
+            await expect(
+                book.connect(keeper).fillOrder(orderId, 1)
+            ).to.be.revertedWith("Order cancelled");
+        });
+
+        it("Should fail if someone else cancels", async function () {
+            const orderId = await placeOrder(ethers.parseEther("12"));
+
+            await expect(
+                book.connect(keeper).cancelOrder(orderId)
+            ).to.be.revertedWith("Not order maker");
+        });
+    });
+
+    describe("Keeper fee", function () {
+        it("Should let the owner change it within the cap", async function () {
+            await expect(book.setKeeperFee(50)).to.emit(book, "KeeperFeeSet").withArgs(50);
+            await expect(book.setKeeperFee(101)).to.be.revertedWith("Keeper fee too high");
+            await expect(
+                book.connect(maker).setKeeperFee(0)
+            ).to.be.revertedWithCustomError(book, "OwnableUnauthorizedAccount");
+        });
+    });
+});
@@ -0,0 +1,243 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("LiquidityMining", function () {
+    let dex, mining, token0, token1, reward, lpToken, poolId, owner, user1, user2;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+    const RATE = ethers.parseEther("1"); // reward tokens per second
+    const DURATION = 1000;
+    const DUST = 1000n;
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+        reward = await Token.deploy("Reward", "RWD", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        const LiquidityMining = await ethers.getContractFactory("LiquidityMining");
+        mining = await LiquidityMining.deploy(await dex.getAddress());
+        await mining.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+        lpToken = await ethers.getContractAt("LPToken", (await dex.pools(poolId)).lpToken);
+
+        await token0.approve(await dex.getAddress(), RESERVE);
+        await token1.approve(await dex.getAddress(), RESERVE);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE, RESERVE);
+
+        // Two LPs with 300 and 100 shares
+        await lpToken.transfer(user1.address, ethers.parseEther("300"));
+        await lpToken.transfer(user2.address, ethers.parseEther("100"));
+        await lpToken.connect(user1).approve(await mining.getAddress(), ethers.MaxUint256);
+        await lpToken.connect(user2).approve(await mining.getAddress(), ethers.MaxUint256);
+
+        await reward.approve(await mining.getAddress(), ethers.MaxUint256);
+    });
+
+    // Reward-per-share math rounds down, always in the contract's favour
+    function expectReward(actual, expected) {
+        expect(actual).to.be.lte(expected);
+        expect(expected - actual).to.be.lt(DUST);
+    }
+
+    async function createProgram(rate = RATE, token = reward) {
+        const start = (await time.latest()) + 10;
+        await mining.createProgram(poolId, await token.getAddress(), rate, start, start + DURATION);
+        return { programId: (await mining.programsLength()) - 1n, start };
+    }
+
+    describe("createProgram", function () {
+        it("Should pull the whole emission up front", async function () {
+            const balanceBefore = await reward.balanceOf(owner.address);
+            const { programId, start } = await createProgram();
+
+            await expect(mining.createProgram(poolId, await reward.getAddress(), RATE, start, start + DURATION))
+                .to.emit(mining, "ProgramCreated")
+                .withArgs(programId + 1n, poolId, await reward.getAddress(), RATE, start, start + DURATION);
+            expect(balanceBefore - await reward.balanceOf(owner.address)).to.equal(RATE * BigInt(DURATION) * 2n);
+        });
+
+        it("Should fail for a pool that doesn't exist or a bad schedule", async function () {
+            const now = await time.latest();
+            await expect(
+                mining.createProgram(ethers.ZeroHash, await reward.getAddress(), RATE, now + 10, now + 20)
+            ).to.be.revertedWith("Pool doesn't exist");
+            await expect(
+                mining.createProgram(poolId, await reward.getAddress(), RATE, now + 20, now + 10)
+            ).to.be.revertedWith("Invalid schedule");
+            await expect(
+                mining.createProgram(poolId, await lpToken.getAddress(), RATE, now + 10, now + 20)
+            ).to.be.revertedWith("Invalid reward token");
+        });
+
+        it("Should fail if non-owner creates a program", async function () {
+            const now = await time.latest();
+            await expect(
+                mining.connect(user1).createProgram(poolId, await reward.getAddress(), RATE, now + 10, now + 20)
+            ).to.be.revertedWithCustomError(mining, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("Rewards", function () {
+        it("Should split emissions pro rata to stake", async function () {
+            const { programId, start } = await createProgram();
+            await mining.connect(user1).stake(programId, ethers.parseEther("300"));
+            await mining.connect(user2).stake(programId, ethers.parseEther("100"));
+
+            await time.increaseTo(start + 100);
+
+            // 100 seconds at 1 token/s, split 3:1
+            expectReward(await mining.pendingReward(programId, user1.address), ethers.parseEther("75"));
+            expectReward(await mining.pendingReward(programId, user2.address), ethers.parseEther("25"));
+        });
+
+        it("Should credit stakers only from when they joined", async function () {
+            const { programId, start } = await createProgram();
+            await mining.connect(user1).stake(programId, ethers.parseEther("300"));
+
+            await time.setNextBlockTimestamp(start + 100);
+            await mining.connect(user2).stake(programId, ethers.parseEther("100"));
+            await time.increaseTo(start + 200);
+
+            expectReward(await mining.pendingReward(programId, user1.address), ethers.parseEther("175"));
+            expectReward(await mining.pendingReward(programId, user2.address), ethers.parseEther("25"));
+        });
+
+        it("Should stop emitting at the end time", async function () {
+            const { programId, start } = await createProgram();
+            await mining.connect(user1).stake(programId, ethers.parseEther("300"));
+
+            await time.increaseTo(start + DURATION + 500);
+            await mining.connect(user1).harvest(programId);
+
+            expectReward(await reward.balanceOf(user1.address), RATE * BigInt(DURATION));
+        });
+
+        it("Should run several programs for the same pool at once", async function () {
+            const Token = await ethers.getContractFactory("Token");
+            const bonus = await Token.deploy("Bonus", "BNS", INITIAL_SUPPLY);
+            await bonus.approve(await mining.getAddress(), ethers.MaxUint256);
+
+            const first = await createProgram();
+            const second = await createProgram(RATE * 2n, bonus);
+            await mining.connect(user1).stake(first.programId, ethers.parseEther("100"));
+            await mining.connect(user1).stake(second.programId, ethers.parseEther("100"));
+
+            await time.increaseTo(second.start + 50);
+            await mining.connect(user1).harvest(first.programId);
+            await mining.connect(user1).harvest(second.programId);
+
+            expect(await reward.balanceOf(user1.address)).to.be.gt(0);
+            expect(await bonus.balanceOf(user1.address)).to.be.gt(await reward.balanceOf(user1.address));
+        });
+    });
+
+    describe("harvest and withdraw", function () {
+        it("Should pay rewards on harvest and keep the stake", async function () {
+            const { programId, start } = await createProgram();
+            await mining.connect(user1).stake(programId, ethers.parseEther("300"));
+
+            await time.setNextBlockTimestamp(start + 100);
+            await expect(mining.connect(user1).harvest(programId)).to.emit(mining, "Harvested");
+            expectReward(await reward.balanceOf(user1.address), ethers.parseEther("100"));
+
+            expect((await mining.stakes(programId, user1.address)).amount).to.equal(ethers.parseEther("300"));
+            expect(await mining.pendingReward(programId, user1.address)).to.equal(0);
+        });
+
+        it("Should return LP tokens and rewards on withdraw", async function () {
+            const { programId, start } = await createProgram();
+            await mining.connect(user1).stake(programId, ethers.parseEther("300"));
+
+            await time.setNextBlockTimestamp(start + 100);
+            await mining.connect(user1).withdraw(programId, ethers.parseEther("300"));
+
+            expect(await lpToken.balanceOf(user1.address)).to.equal(ethers.parseEther("300"));
+            expectReward(await reward.balanceOf(user1.address), ethers.parseEther("100"));
+        });
+
+        it("Should fail withdrawing more than staked", async function () {
+            const { programId } = await createProgram();
+            await mining.connect(user1).stake(programId, ethers.parseEther("100"));
+
+            await expect(
+                mining.connect(user1).withdraw(programId, ethers.parseEther("101"))
+            ).to.be.revertedWith("Insufficient stake");
+        });
+
+        it("Should return the stake on emergency withdraw and forfeit rewards", async function () {
+            const { programId, start } = await createProgram();
+            await mining.connect(user1).stake(programId, ethers.parseEther("300"));
+            await time.increaseTo(start + 100);
+
+            await expect(mining.connect(user1).emergencyWithdraw(programId))
+                .to.emit(mining, "EmergencyWithdrawn")
+                .withArgs(programId, user1.address, ethers.parseEther("300"));
+
+            expect(await lpToken.balanceOf(user1.address)).to.equal(ethers.parseEther("300"));
+            expect(await reward.balanceOf(user1.address)).to.equal(0);
+            expect(await mining.pendingReward(programId, user1.address)).to.equal(0);
+        });
+    });
+
+    describe("setSchedule", function () {
+        it("Should change the rate from now on and pull the extra funding", async function () {
+            const { programId, start } = await createProgram();
+            await mining.connect(user1).stake(programId, ethers.parseEther("300"));
+
+            await time.setNextBlockTimestamp(start + 100);
+            const balanceBefore = await reward.balanceOf(owner.address);
+            await expect(mining.setSchedule(programId, RATE * 2n, start + DURATION))
+                .to.emit(mining, "ScheduleUpdated")
+                .withArgs(programId, RATE * 2n, start + DURATION);
+
+            // 900 seconds left, now at 2 tokens/s instead of 1
+            expect(balanceBefore - await reward.balanceOf(owner.address)).to.equal(RATE * 900n);
+
+            await time.increaseTo(start + 200);
+            expectReward(await mining.pendingReward(programId, user1.address), ethers.parseEther("300"));
+        });
+
+        it("Should refund everything unearned when ended early", async function () {
+            const { programId, start } = await createProgram();
+
+            // Nobody stakes for the first 100 seconds
+            await time.setNextBlockTimestamp(start + 100);
+            await mining.connect(user1).stake(programId, ethers.parseEther("300"));
+
+            await time.setNextBlockTimestamp(start + 200);
+            const balanceBefore = await reward.balanceOf(owner.address);
+            await mining.setSchedule(programId, 0, start + 200);
+
+            // 100 seconds were earned, the other 900 come back
+            expect(await reward.balanceOf(owner.address) - balanceBefore).to.equal(RATE * 900n);
+
+            await time.increaseTo(start + 500);
+            await mining.connect(user1).harvest(programId);
+            expectReward(await reward.balanceOf(user1.address), RATE * 100n);
+            expect(await reward.balanceOf(await mining.getAddress())).to.be.lt(DUST);
+        });
+
+        it("Should fail if non-owner changes the schedule", async function () {
+            const { programId } = await createProgram();
+
+            await expect(
+                mining.connect(user1).setSchedule(programId, 0, 0)
+            ).to.be.revertedWithCustomError(mining, "OwnableUnauthorizedAccount");
+        });
+    });
+});
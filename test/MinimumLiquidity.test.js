@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Minimum Liquidity", function () {
+    let dex, borrower, owner, attacker, victim;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const MINIMUM_LIQUIDITY = 1000n;
+    const DEAD = "0x000000000000000000000000000000000000dEaD";
+
+    // Deterministic PRNG so failures can be replayed
+    let seed = 0x5eedn;
+    function random(max) {
+        seed = (seed * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+        return seed % (max + 1n);
+    }
+
+    // Spread values across magnitudes instead of clustering near max
+    function randomAmount(maxExponent) {
+        return random(10n ** random(maxExponent));
+    }
+
+    beforeEach(async function () {
+        [owner, attacker, victim] = await ethers.getSigners();
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        const FlashBorrower = await ethers.getContractFactory("FlashBorrower");
+        borrower = await FlashBorrower.deploy(await dex.getAddress());
+    });
+
+    async function deployPair() {
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        const [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        for (const signer of [attacker, victim]) {
+            await token0.transfer(signer.address, ethers.parseEther("100000"));
+            await token1.transfer(signer.address, ethers.parseEther("100000"));
+            await token0.connect(signer).approve(await dex.getAddress(), ethers.MaxUint256);
+            await token1.connect(signer).approve(await dex.getAddress(), ethers.MaxUint256);
+        }
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        const poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+        return { token0, token1, poolId };
+    }
+
+    async function deadline() {
+        return (await time.latest()) + 600;
+    }
+
+    async function balances(signer, token0, token1) {
+        return (await token0.balanceOf(signer.address)) + (await token1.balanceOf(signer.address));
+    }
+
+    // Inflate the share price by paying extra into the pool through a flash swap
+    async function donate(token0, token1, amount) {
+        await token0.connect(attacker).transfer(await borrower.getAddress(), amount);
+        await token1.connect(attacker).transfer(await borrower.getAddress(), amount);
+
+        const data = ethers.AbiCoder.defaultAbiCoder().encode(
+            ["address", "address", "uint24", "uint256", "uint256", "bool"],
+            [await token0.getAddress(), await token1.getAddress(), FEE, amount, amount, false]
+        );
+        await borrower.flash(await token0.getAddress(), await token1.getAddress(), FEE, 1, 0, data);
+    }
+
+    async function removeAll(signer, token0, token1, poolId) {
+        const liquidity = await dex.liquidity(poolId, signer.address);
+        if (liquidity === 0n) return;
+        await dex.connect(signer).removeLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, liquidity);
+    }
+
+    describe("Lock", function () {
+        it("Should lock MINIMUM_LIQUIDITY on the first deposit", async function () {
+            const { token0, token1, poolId } = await deployPair();
+            const amount = ethers.parseEther("10");
+
+            await dex.connect(attacker).addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, amount, amount);
+
+            const lpToken = await ethers.getContractAt("LPToken", (await dex.pools(poolId)).lpToken);
+            expect(await lpToken.balanceOf(DEAD)).to.equal(MINIMUM_LIQUIDITY);
+            expect(await lpToken.balanceOf(attacker.address)).to.equal(amount - MINIMUM_LIQUIDITY);
+            expect((await dex.pools(poolId)).totalLiquidity).to.equal(amount);
+        });
+
+        it("Should keep the lock after every provider leaves", async function () {
+            const { token0, token1, poolId } = await deployPair();
+            const amount = ethers.parseEther("10");
+
+            await dex.connect(attacker).addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, amount, amount);
+            await removeAll(attacker, token0, token1, poolId);
+
+            const pool = await dex.pools(poolId);
+            expect(pool.totalLiquidity).to.equal(MINIMUM_LIQUIDITY);
+            expect(pool.reserve0).to.equal(MINIMUM_LIQUIDITY);
+        });
+
+        it("Should fail a first deposit that does not cover the lock", async function () {
+            const { token0, token1 } = await deployPair();
+
+            await expect(
+                dex.connect(attacker).addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, 1000, 1000)
+            ).to.be.revertedWith("Insufficient liquidity minted");
+        });
+
+        it("Should fail a deposit that would mint zero shares", async function () {
+            const { token0, token1 } = await deployPair();
+
+            await dex.connect(attacker).addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, 1001, 1001);
+            await donate(token0, token1, ethers.parseEther("1"));
+
+            // One share is now worth ~0.001 tokens of each side
+            await expect(
+                dex.connect(victim).addLiquidity(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    ethers.parseEther("0.0001"),
+                    ethers.parseEther("0.0001")
+                )
+            ).to.be.revertedWith("Insufficient liquidity minted");
+        });
+    });
+
+    describe("First-depositor inflation attack", function () {
+        it("Should cost the attacker most of the donation in the classic setup", async function () {
+            const { token0, token1, poolId } = await deployPair();
+            const donation = ethers.parseEther("1000");
+            const deposit = ethers.parseEther("1999");
+
+            const attackerBefore = await balances(attacker, token0, token1);
+            const victimBefore = await balances(victim, token0, token1);
+
+            await dex.connect(attacker).addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, 1001, 1001);
+            await donate(token0, token1, donation);
+            await dex.connect(victim).addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, deposit, deposit);
+
+            await removeAll(attacker, token0, token1, poolId);
+            await removeAll(victim, token0, token1, poolId);
+
+            const attackerLoss = attackerBefore - await balances(attacker, token0, token1);
+            const victimLoss = victimBefore - await balances(victim, token0, token1);
+
+            // The attacker's single share carries 1/1001 of the donation, the lock keeps the rest
+            expect(attackerLoss).to.be.gt((donation * 2n * 999n) / 1000n);
+            expect(victimLoss).to.be.lt(attackerLoss / 100n);
+
+            console.log("Attacker lost:", ethers.formatEther(attackerLoss));
+            console.log("Victim lost:", ethers.formatEther(victimLoss));
+        });
+
+        it("Should never pay off across random seeds, donations and deposits", async function () {
+            const runs = 20;
+
+            for (let i = 0; i < runs; i++) {
+                const { token0, token1, poolId } = await deployPair();
+                const seedAmount = MINIMUM_LIQUIDITY + 1n + randomAmount(20n);
+                const donation = randomAmount(21n);
+                const deposit = 1n + randomAmount(21n);
+
+                const attackerBefore = await balances(attacker, token0, token1);
+                const victimBefore = await balances(victim, token0, token1);
+
+                await dex.connect(attacker).addLiquidity(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    seedAmount,
+                    seedAmount
+                );
+                if (donation > 0n) await donate(token0, token1, donation);
+
+                // Victim deposits with no slippage protection, the worst case
+                let deposited = true;
+                try {
+                    await dex.connect(victim).addLiquidity(
+                        await token0.getAddress(),
+                        await token1.getAddress(),
+                        FEE,
+                        deposit,
+                        deposit,
+                        0,
+                        0,
+                        victim.address,
+                        await deadline()
+                    );
+                } catch (error) {
+                    // Deposits worth less than one share are refused outright
+                    expect(error.message).to.contain("Insufficient liquidity minted");
+                    deposited = false;
+                }
+
+                await removeAll(attacker, token0, token1, poolId);
+                await removeAll(victim, token0, token1, poolId);
+
+                const attackerAfter = await balances(attacker, token0, token1);
+                const victimAfter = await balances(victim, token0, token1);
+
+                // Property: the attacker ends up worse off than it started
+                expect(attackerAfter, `run ${i}`).to.be.lt(attackerBefore);
+                if (!deposited) expect(victimAfter, `run ${i}`).to.equal(victimBefore);
+
+                // Property: the victim loses less than the attacker spent
+                const victimLoss = victimBefore - victimAfter;
+                expect(victimLoss, `run ${i}`).to.be.lt(attackerBefore - attackerAfter);
+            }
+        });
+    });
+});
@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { spotPrice, deviationBps, ensureCardinality } = require("../sdk/oracle");
+
+describe("TWAP Oracle", function () {
+    let dex, token0, token1, poolId, owner, attacker;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const PRECISION = ethers.parseEther("1");
+
+    beforeEach(async function () {
+        [owner, attacker] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+        // 1 token0 = 2 token1
+        await token0.approve(await dex.getAddress(), ethers.parseEther("1000"));
+        await token1.approve(await dex.getAddress(), ethers.parseEther("2000"));
+        await dex.addLiquidity(
+            await token0.getAddress(),
+            await token1.getAddress(),
+            FEE,
+            ethers.parseEther("1000"),
+            ethers.parseEther("2000")
+        );
+
+        await token0.transfer(attacker.address, ethers.parseEther("100000"));
+    });
+
+    async function swap0For1(signer, amountIn) {
+        await token0.connect(signer).approve(await dex.getAddress(), amountIn);
+        await dex.connect(signer).swap(await token0.getAddress(), await token1.getAddress(), FEE, amountIn, 0);
+    }
+
+    describe("Observations", function () {
+        it("Should initialize the buffer when the pool is created", async function () {
+            const oracle = await dex.oracles(poolId);
+            expect(oracle.cardinality).to.equal(1);
+            expect(oracle.cardinalityNext).to.equal(1);
+
+            const observation = await dex.observations(poolId, 0);
+            expect(observation.initialized).to.equal(true);
+        });
+
+        it("Should grow the buffer on request", async function () {
+            await expect(dex.increaseObservationCardinality(poolId, 10))
+                .to.emit(dex, "ObservationCardinalityIncreased")
+                .withArgs(poolId, 1, 10);
+
+            // Slots are used once the current ones are full
+            await time.increase(10);
+            await swap0For1(attacker, ethers.parseEther("1"));
+            expect((await dex.oracles(poolId)).cardinality).to.equal(10);
+        });
+
+        it("Should fail growing the buffer of a missing pool", async function () {
+            await expect(
+                dex.increaseObservationCardinality(ethers.ZeroHash, 10)
+            ).to.be.revertedWith("Oracle not initialized");
+        });
+
+        it("Should accumulate the price over time", async function () {
+            const [cumulativeBefore] = await dex.observe(poolId, 0);
+            await time.increase(100);
+            const [cumulativeAfter] = await dex.observe(poolId, 0);
+
+            expect(cumulativeAfter - cumulativeBefore).to.equal(2n * PRECISION * 100n);
+        });
+    });
+
+    describe("consult", function () {
+        it("Should return the constant price when nothing trades", async function () {
+            await time.increase(3600);
+
+            const [price0, price1] = await dex.consult(poolId, 1800);
+            expect(price0).to.equal(ethers.parseEther("2"));
+            expect(price1).to.equal(ethers.parseEther("0.5"));
+        });
+
+        it("Should weight prices by how long they held", async function () {
+            await ensureCardinality(dex, poolId, 10);
+
+            await time.increase(100);
+            await swap0For1(attacker, ethers.parseEther("100"));
+            const t1 = await time.latest();
+            const price1 = (await spotPrice(dex, poolId)).price0;
+
+            await time.increase(100);
+            await swap0For1(attacker, ethers.parseEther("100"));
+            const t2 = await time.latest();
+            const price2 = (await spotPrice(dex, poolId)).price0;
+
+            await time.increase(100);
+            const now = await time.latest();
+
+            const [twap] = await dex.consult(poolId, now - t1);
+            const expected = (price1 * BigInt(t2 - t1) + price2 * BigInt(now - t2)) / BigInt(now - t1);
+
+            expect(twap).to.equal(expected);
+        });
+
+        it("Should interpolate between observations", async function () {
+            await ensureCardinality(dex, poolId, 10);
+
+            await time.increase(100);
+            await swap0For1(attacker, ethers.parseEther("100"));
+            await time.increase(100);
+            await swap0For1(attacker, ethers.parseEther("100"));
+            await time.increase(100);
+
+            // Window starts between the first two observations
+            const [cumulativeNow] = await dex.observe(poolId, 0);
+            const [cumulativeThen] = await dex.observe(poolId, 250);
+            const [twap] = await dex.consult(poolId, 250);
+
+            expect(twap).to.equal((cumulativeNow - cumulativeThen) / 250n);
+        });
+
+        it("Should fail looking back past the oldest observation", async function () {
+            await time.increase(100);
+            await swap0For1(attacker, ethers.parseEther("1"));
+            await time.increase(100);
+
+            await expect(
+                dex.consult(poolId, 150)
+            ).to.be.revertedWith("Observation too old");
+        });
+
+        it("Should fail with a zero period", async function () {
+            await expect(
+                dex.consult(poolId, 0)
+            ).to.be.revertedWith("Invalid period");
+        });
+    });
+
+    describe("Manipulation resistance", function () {
+        beforeEach(async function () {
+            await ensureCardinality(dex, poolId, 50);
+            await time.increase(3600);
+        });
+
+        it("Should ignore a price spike in the same block", async function () {
+            // Dump 10x the pool's token0 reserve
+            await swap0For1(attacker, ethers.parseEther("10000"));
+
+            const spot = (await spotPrice(dex, poolId)).price0;
+            const [twap] = await dex.consult(poolId, 3600);
+
+            expect(deviationBps(spot, ethers.parseEther("2"))).to.be.gt(9000);
+            expect(twap).to.equal(ethers.parseEther("2"));
+
+            console.log("Spot after attack:", ethers.formatEther(spot));
+            console.log("1h TWAP:", ethers.formatEther(twap));
+        });
+
+        it("Should limit the impact of a spike held for a short time", async function () {
+            await swap0For1(attacker, ethers.parseEther("10000"));
+            await time.increase(60);
+
+            const spot = (await spotPrice(dex, poolId)).price0;
+            const [twap] = await dex.consult(poolId, 3600);
+
+            // Spot moved >90%, the 1h TWAP by roughly 60/3600 of that
+            expect(deviationBps(spot, ethers.parseEther("2"))).to.be.gt(9000);
+            expect(deviationBps(twap, ethers.parseEther("2"))).to.be.lt(200);
+        });
+
+        it("Should not pay to push the price and immediately swap back", async function () {
+            const balanceBefore = await token0.balanceOf(attacker.address);
+
+            await swap0For1(attacker, ethers.parseEther("10000"));
+            const received = await token1.balanceOf(attacker.address);
+            await token1.connect(attacker).approve(await dex.getAddress(), received);
+            await dex.connect(attacker).swap(await token1.getAddress(), await token0.getAddress(), FEE, received, 0);
+
+            const [twap] = await dex.consult(poolId, 3600);
+
+            expect(await token0.balanceOf(attacker.address)).to.be.lt(balanceBefore);
+            expect(deviationBps(twap, ethers.parseEther("2"))).to.be.lt(10);
+        });
+    });
+});
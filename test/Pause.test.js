@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Pause and Roles", function () {
+    let dex, token0, token1, poolId, owner, pauser, feeManager, user1;
+    let PAUSER_ROLE, FEE_MANAGER_ROLE, DEFAULT_ADMIN_ROLE;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+        [owner, pauser, feeManager, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        PAUSER_ROLE = await dex.PAUSER_ROLE();
+        FEE_MANAGER_ROLE = await dex.FEE_MANAGER_ROLE();
+        DEFAULT_ADMIN_ROLE = await dex.DEFAULT_ADMIN_ROLE();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+        await token0.approve(await dex.getAddress(), ethers.MaxUint256);
+        await token1.approve(await dex.getAddress(), ethers.MaxUint256);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE, RESERVE);
+    });
+
+    async function swap() {
+        return dex.swap(await token0.getAddress(), await token1.getAddress(), FEE, ethers.parseEther("1"), 0);
+    }
+
+    async function addLiquidity() {
+        return dex.addLiquidity(
+            await token0.getAddress(),
+            await token1.getAddress(),
+            FEE,
+            ethers.parseEther("1"),
+            ethers.parseEther("1")
+        );
+    }
+
+    async function removeLiquidity() {
+        return dex.removeLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, ethers.parseEther("1"));
+    }
+
+    describe("Roles", function () {
+        it("Should grant every role to the deployer", async function () {
+            expect(await dex.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(true);
+            expect(await dex.hasRole(PAUSER_ROLE, owner.address)).to.equal(true);
+            expect(await dex.hasRole(FEE_MANAGER_ROLE, owner.address)).to.equal(true);
+        });
+
+        it("Should let the admin hand out roles", async function () {
+            await expect(dex.grantRole(PAUSER_ROLE, pauser.address))
+                .to.emit(dex, "RoleGranted")
+                .withArgs(PAUSER_ROLE, pauser.address, owner.address);
+
+            await expect(dex.connect(pauser).pause()).to.emit(dex, "Paused").withArgs(pauser.address);
+        });
+
+        it("Should keep each role to its own functions", async function () {
+            await dex.grantRole(PAUSER_ROLE, pauser.address);
+            await dex.grantRole(FEE_MANAGER_ROLE, feeManager.address);
+
+            await expect(dex.connect(feeManager).setProtocolFeeShare(1000))
+                .to.emit(dex, "ProtocolFeeShareSet")
+                .withArgs(1000);
+            await expect(
+                dex.connect(feeManager).pause()
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+            await expect(
+                dex.connect(pauser).setFeeTier(500, true)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+            await expect(
+                dex.connect(pauser).skim(await token0.getAddress(), pauser.address)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+            await expect(
+                dex.connect(user1).grantRole(PAUSER_ROLE, user1.address)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Global pause", function () {
+        beforeEach(async function () {
+            await dex.pause();
+        });
+
+        it("Should block swaps and deposits", async function () {
+            await expect(swap()).to.be.revertedWith("Pool paused");
+            await expect(addLiquidity()).to.be.revertedWith("Pool paused");
+            await expect(
+                dex.swapTokensForExactTokens(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    1,
+                    ethers.MaxUint256,
+                    owner.address,
+                    ethers.MaxUint256
+                )
+            ).to.be.revertedWith("Pool paused");
+        });
+
+        it("Should still allow withdrawals", async function () {
+            await expect(removeLiquidity()).to.emit(dex, "LiquidityRemoved");
+        });
+
+        it("Should resume on unpause", async function () {
+            await expect(dex.unpause()).to.emit(dex, "Unpaused").withArgs(owner.address);
+            await expect(swap()).to.emit(dex, "Swap");
+        });
+    });
+
+    describe("Pool pause", function () {
+        it("Should pause a single pool", async function () {
+            await expect(dex.setPoolPaused(poolId, true))
+                .to.emit(dex, "PoolPauseSet")
+                .withArgs(poolId, true);
+
+            await expect(swap()).to.be.revertedWith("Pool paused");
+            await expect(addLiquidity()).to.be.revertedWith("Pool paused");
+            await expect(removeLiquidity()).to.emit(dex, "LiquidityRemoved");
+
+            // Other pools keep trading
+            await dex.createPool(await token0.getAddress(), await token1.getAddress(), 100);
+            await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), 100, RESERVE, RESERVE);
+            await dex.swap(await token0.getAddress(), await token1.getAddress(), 100, ethers.parseEther("1"), 0);
+
+            await dex.setPoolPaused(poolId, false);
+            await expect(swap()).to.emit(dex, "Swap");
+        });
+
+        it("Should fail for a pool that doesn't exist", async function () {
+            await expect(dex.setPoolPaused(ethers.ZeroHash, true)).to.be.revertedWith("Pool doesn't exist");
+        });
+
+        it("Should fail if a non-pauser pauses", async function () {
+            await expect(
+                dex.connect(user1).setPoolPaused(poolId, true)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+        });
+    });
+});
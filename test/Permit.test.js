@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit, buildPermitTypedData } = require("../sdk/permit");
+
+describe("Permit", function () {
+    let dex, token0, token1, poolId, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+        await token0.approve(await dex.getAddress(), RESERVE);
+        await token1.approve(await dex.getAddress(), RESERVE);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE, RESERVE);
+
+        await token0.transfer(user1.address, ethers.parseEther("1000"));
+        await token1.transfer(user1.address, ethers.parseEther("1000"));
+    });
+
+    async function deadline() {
+        return (await time.latest()) + 600;
+    }
+
+    describe("Token", function () {
+        it("Should set the allowance from a signed permit", async function () {
+            const amount = ethers.parseEther("10");
+            const permit = await signPermit(user1, token0, owner.address, amount, await deadline());
+
+            await token0.permit(user1.address, owner.address, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+
+            expect(await token0.allowance(user1.address, owner.address)).to.equal(amount);
+            expect(await token0.nonces(user1.address)).to.equal(1);
+        });
+
+        it("Should build typed data from the token's domain", async function () {
+            const typedData = await buildPermitTypedData(token0, user1.address, owner.address, 1, 0);
+
+            expect(typedData.domain.name).to.equal(await token0.name());
+            expect(typedData.domain.verifyingContract).to.equal(await token0.getAddress());
+            expect(typedData.message.nonce).to.equal(0);
+        });
+    });
+
+    describe("swapWithPermit", function () {
+        it("Should swap without a separate approve", async function () {
+            const amountIn = ethers.parseEther("10");
+            const expectedOut = await dex.getAmountOut(amountIn, RESERVE, RESERVE, FEE);
+            const permit = await signPermit(user1, token0, await dex.getAddress(), amountIn, await deadline());
+
+            await dex.connect(user1).swapWithPermit(
+                await token0.getAddress(),
+                await token1.getAddress(),
+                FEE,
+                amountIn,
+                expectedOut,
+                user1.address,
+                await deadline(),
+                permit
+            );
+
+            expect(await token1.balanceOf(user1.address)).to.equal(ethers.parseEther("1000") + expectedOut);
+            expect(await token0.allowance(user1.address, await dex.getAddress())).to.equal(0);
+        });
+
+        it("Should still go through if the permit was front-run", async function () {
+            const amountIn = ethers.parseEther("10");
+            const permit = await signPermit(user1, token0, await dex.getAddress(), amountIn, await deadline());
+
+            // Someone else submits the signature first, using up the nonce
+            await token0.permit(user1.address, await dex.getAddress(), permit.value, permit.deadline, permit.v, permit.r, permit.s);
+
+            await expect(
+                dex.connect(user1).swapWithPermit(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    amountIn,
+                    0,
+                    user1.address,
+                    await deadline(),
+                    permit
+                )
+            ).to.emit(dex, "Swap");
+        });
+
+        it("Should fail with a permit signed by someone else", async function () {
+            const amountIn = ethers.parseEther("10");
+            const permit = await signPermit(owner, token0, await dex.getAddress(), amountIn, await deadline());
+
+            await expect(
+                dex.connect(user1).swapWithPermit(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    amountIn,
+                    0,
+                    user1.address,
+                    await deadline(),
+                    permit
+                )
+            ).to.be.revertedWith("Permit failed");
+        });
+    });
+
+    describe("addLiquidityWithPermit", function () {
+        it("Should add liquidity with two signatures and no approves", async function () {
+            const amount = ethers.parseEther("100");
+            const permit0 = await signPermit(user1, token0, await dex.getAddress(), amount, await deadline());
+            const permit1 = await signPermit(user1, token1, await dex.getAddress(), amount, await deadline());
+
+            await dex.connect(user1).addLiquidityWithPermit(
+                await token0.getAddress(),
+                await token1.getAddress(),
+                FEE,
+                amount,
+                amount,
+                amount,
+                amount,
+                user1.address,
+                await deadline(),
+                [permit0, permit1]
+            );
+
+            expect(await dex.liquidity(poolId, user1.address)).to.equal(amount);
+            expect((await dex.pools(poolId)).reserve0).to.equal(RESERVE + amount);
+        });
+
+        it("Should fail with an expired permit and no allowance", async function () {
+            const amount = ethers.parseEther("100");
+            const expired = (await time.latest()) - 1;
+            const permit0 = await signPermit(user1, token0, await dex.getAddress(), amount, expired);
+            const permit1 = await signPermit(user1, token1, await dex.getAddress(), amount, await deadline());
+
+            await expect(
+                dex.connect(user1).addLiquidityWithPermit(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    amount,
+                    amount,
+                    0,
+                    0,
+                    user1.address,
+                    await deadline(),
+                    [permit0, permit1]
+                )
+            ).to.be.revertedWith("Permit failed");
+        });
+    });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadPools, loadPoolsFromLens } = require("../sdk/router");
+
+describe("PoolLens", function () {
+    let dex, lens, tokenA, tokenB, tokenC, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const poolIds = [];
+
+    async function seedPool(tokenX, tokenY, amountX, amountY, fee = FEE) {
+        if ((await tokenX.getAddress()).toLowerCase() > (await tokenY.getAddress()).toLowerCase()) {
+            [tokenX, tokenY, amountX, amountY] = [tokenY, tokenX, amountY, amountX];
+        }
+        await dex.createPool(await tokenX.getAddress(), await tokenY.getAddress(), fee);
+        await tokenX.approve(await dex.getAddress(), amountX);
+        await tokenY.approve(await dex.getAddress(), amountY);
+        await dex.addLiquidity(await tokenX.getAddress(), await tokenY.getAddress(), fee, amountX, amountY);
+        return dex.getPoolId(await tokenX.getAddress(), await tokenY.getAddress(), fee);
+    }
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+        tokenC = await Token.deploy("Token C", "TKC", INITIAL_SUPPLY);
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        const PoolLens = await ethers.getContractFactory("PoolLens");
+        lens = await PoolLens.deploy(await dex.getAddress());
+        await lens.waitForDeployment();
+
+        poolIds.length = 0;
+        poolIds.push(await seedPool(tokenA, tokenB, ethers.parseEther("100"), ethers.parseEther("200")));
+        poolIds.push(await seedPool(tokenB, tokenC, ethers.parseEther("300"), ethers.parseEther("300")));
+        poolIds.push(await seedPool(tokenA, tokenB, ethers.parseEther("50"), ethers.parseEther("50"), 100));
+    });
+
+    describe("Enumeration", function () {
+        it("Should list pools in creation order", async function () {
+            expect(await dex.allPoolsLength()).to.equal(3);
+            for (let i = 0; i < poolIds.length; i++) {
+                expect(await dex.allPools(i)).to.equal(poolIds[i]);
+            }
+        });
+    });
+
+    describe("getPools", function () {
+        it("Should return tokens, reserves, fee and total liquidity", async function () {
+            const pools = await lens.getPools(0, 10);
+
+            expect(pools.length).to.equal(3);
+            expect(pools[1].poolId).to.equal(poolIds[1]);
+            expect(pools[1].fee).to.equal(FEE);
+            expect(pools[1].reserve0).to.equal(ethers.parseEther("300"));
+            expect(pools[1].reserve1).to.equal(ethers.parseEther("300"));
+            expect(pools[1].totalLiquidity).to.equal(ethers.parseEther("300"));
+            expect(pools[2].fee).to.equal(100);
+        });
+
+        it("Should paginate", async function () {
+            const first = await lens.getPools(0, 2);
+            const second = await lens.getPools(2, 2);
+
+            expect(first.map((pool) => pool.poolId)).to.deep.equal(poolIds.slice(0, 2));
+            expect(second.map((pool) => pool.poolId)).to.deep.equal(poolIds.slice(2));
+            expect(await lens.getPools(3, 2)).to.deep.equal([]);
+        });
+
+        it("Should load the same pools as the log scan in the SDK", async function () {
+            const fromLens = await loadPoolsFromLens(lens, 2);
+            const fromLogs = await loadPools(dex);
+
+            expect(fromLens).to.deep.equal(fromLogs);
+        });
+    });
+
+    describe("getPositions", function () {
+        it("Should return share and underlying amounts", async function () {
+            // user1 owns a quarter of the A-B 0.3% pool
+            const lpToken = await ethers.getContractAt("LPToken", (await dex.pools(poolIds[0])).lpToken);
+            const total = await lpToken.totalSupply();
+            await lpToken.transfer(user1.address, total / 4n);
+
+            const positions = await lens.getPositions(user1.address, [poolIds[0], poolIds[1]]);
+            const pool = await dex.pools(poolIds[0]);
+
+            expect(positions[0].liquidity).to.equal(total / 4n);
+            expect(positions[0].share).to.equal(ethers.parseEther("0.25"));
+            expect(positions[0].amount0).to.equal(pool.reserve0 / 4n);
+            expect(positions[0].amount1).to.equal(pool.reserve1 / 4n);
+
+            expect(positions[1].liquidity).to.equal(0);
+            expect(positions[1].amount0).to.equal(0);
+        });
+
+        it("Should fail for an unknown pool", async function () {
+            await expect(
+                lens.getPositions(user1.address, [ethers.ZeroHash])
+            ).to.be.revertedWith("Pool doesn't exist");
+        });
+    });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Protocol Fee", function () {
+    let dex, token0, token1, poolId, owner, user1, treasury;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+        [owner, user1, treasury] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+        await token0.approve(await dex.getAddress(), RESERVE);
+        await token1.approve(await dex.getAddress(), RESERVE);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE, RESERVE);
+
+        await token0.transfer(user1.address, ethers.parseEther("1000"));
+    });
+
+    async function swap0For1(amountIn) {
+        await token0.connect(user1).approve(await dex.getAddress(), amountIn);
+        return dex.connect(user1).swap(await token0.getAddress(), await token1.getAddress(), FEE, amountIn, 0);
+    }
+
+    describe("Configuration", function () {
+        it("Should start with the protocol fee off and the owner as treasury", async function () {
+            expect(await dex.protocolFeeShare()).to.equal(0);
+            expect((await dex.protocolFees(poolId)).enabled).to.equal(false);
+            expect(await dex.treasury()).to.equal(owner.address);
+        });
+
+        it("Should let the owner set the share, switch and treasury", async function () {
+            await expect(dex.setProtocolFeeShare(2000))
+                .to.emit(dex, "ProtocolFeeShareSet")
+                .withArgs(2000);
+            await expect(dex.setProtocolFeeEnabled(poolId, true))
+                .to.emit(dex, "ProtocolFeeEnabled")
+                .withArgs(poolId, true);
+            await expect(dex.setTreasury(treasury.address))
+                .to.emit(dex, "TreasurySet")
+                .withArgs(treasury.address);
+        });
+
+        it("Should fail with a share above the maximum", async function () {
+            await expect(
+                dex.setProtocolFeeShare(5001)
+            ).to.be.revertedWith("Share too high");
+        });
+
+        it("Should fail enabling the fee on a missing pool", async function () {
+            await expect(
+                dex.setProtocolFeeEnabled(ethers.ZeroHash, true)
+            ).to.be.revertedWith("Pool doesn't exist");
+        });
+
+        it("Should fail if non-owner changes settings", async function () {
+            await expect(
+                dex.connect(user1).setProtocolFeeShare(1000)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+            await expect(
+                dex.connect(user1).setProtocolFeeEnabled(poolId, true)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+            await expect(
+                dex.connect(user1).setTreasury(user1.address)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+            await expect(
+                dex.connect(user1).collectProtocolFees(poolId)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Accrual", function () {
+        const amountIn = ethers.parseEther("100");
+
+        beforeEach(async function () {
+            await dex.setProtocolFeeShare(5000); // half of the 0.3% fee
+            await dex.setTreasury(treasury.address);
+        });
+
+        it("Should leave the whole fee to LPs while the switch is off", async function () {
+            await swap0For1(amountIn);
+
+            const pool = await dex.pools(poolId);
+            expect(pool.reserve0).to.equal(RESERVE + amountIn);
+            expect((await dex.protocolFees(poolId)).amount0).to.equal(0);
+        });
+
+        it("Should set aside the protocol share outside the reserves", async function () {
+            await dex.setProtocolFeeEnabled(poolId, true);
+
+            const expectedOut = await dex.getAmountOut(amountIn, RESERVE, RESERVE, FEE);
+            await swap0For1(amountIn);
+
+            // 0.3% of 100 = 0.3, half to the protocol
+            const protocolFee = ethers.parseEther("0.15");
+            const pool = await dex.pools(poolId);
+            expect((await dex.protocolFees(poolId)).amount0).to.equal(protocolFee);
+            expect(pool.reserve0).to.equal(RESERVE + amountIn - protocolFee);
+            expect(pool.reserve1).to.equal(RESERVE - expectedOut);
+
+            // Swapper is unaffected
+            expect(await token1.balanceOf(user1.address)).to.equal(expectedOut);
+        });
+
+        it("Should never decrease the constant product", async function () {
+            await dex.setProtocolFeeEnabled(poolId, true);
+
+            const before = await dex.pools(poolId);
+            await swap0For1(amountIn);
+            const after = await dex.pools(poolId);
+
+            expect(after.reserve0 * after.reserve1).to.be.gte(before.reserve0 * before.reserve1);
+        });
+
+        it("Should collect accrued fees to the treasury", async function () {
+            await dex.setProtocolFeeEnabled(poolId, true);
+            await swap0For1(amountIn);
+
+            const protocolFee = ethers.parseEther("0.15");
+
+            await expect(dex.collectProtocolFees(poolId))
+                .to.emit(dex, "ProtocolFeesCollected")
+                .withArgs(poolId, treasury.address, protocolFee, 0);
+
+            expect(await token0.balanceOf(treasury.address)).to.equal(protocolFee);
+            expect((await dex.protocolFees(poolId)).amount0).to.equal(0);
+
+            console.log("Collected:", ethers.formatEther(protocolFee), "token0");
+        });
+
+        it("Should not let LPs withdraw the protocol's share", async function () {
+            await dex.setProtocolFeeEnabled(poolId, true);
+            await swap0For1(amountIn);
+
+            const lpBalance = await dex.liquidity(poolId, owner.address);
+            await dex.removeLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, lpBalance);
+
+            // Only the protocol fee and the locked minimum liquidity's share are left behind
+            const lockedReserve = (await dex.pools(poolId)).reserve0;
+            expect(await token0.balanceOf(await dex.getAddress())).to.equal(ethers.parseEther("0.15") + lockedReserve);
+
+            await dex.collectProtocolFees(poolId);
+            expect(await token0.balanceOf(await dex.getAddress())).to.equal(lockedReserve);
+        });
+    });
+});
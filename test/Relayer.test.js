@@ -0,0 +1,244 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../sdk/permit");
+const { signForwardRequest, relay } = require("../sdk/metatx");
+const { createRelayer } = require("../relayer/relayer");
+const { createServer } = require("../relayer/server");
+
+describe("Meta-transactions", function () {
+    let dex, forwarder, relayer, token0, token1, poolId, owner, user1, relayerSigner;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+        [owner, user1, relayerSigner] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const Forwarder = await ethers.getContractFactory("Forwarder");
+        forwarder = await Forwarder.deploy();
+        await forwarder.waitForDeployment();
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(await forwarder.getAddress());
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+        await token0.approve(await dex.getAddress(), RESERVE);
+        await token1.approve(await dex.getAddress(), RESERVE);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE, RESERVE);
+
+        // user1 holds tokens but never sends a transaction itself
+        await token0.transfer(user1.address, ethers.parseEther("1000"));
+        await token1.transfer(user1.address, ethers.parseEther("1000"));
+
+        relayer = createRelayer({
+            forwarder: forwarder.connect(relayerSigner),
+            targets: [await dex.getAddress()],
+            rateLimit: { max: 3, windowMs: 60 * 1000 },
+        });
+    });
+
+    async function deadline() {
+        return (await time.latest()) + 600;
+    }
+
+    // A signed, relayable swapWithPermit for user1
+    async function signedSwap(amountIn, signer = user1) {
+        const permit = await signPermit(signer, token0, await dex.getAddress(), amountIn, await deadline());
+        const data = dex.interface.encodeFunctionData("swapWithPermit", [
+            await token0.getAddress(),
+            await token1.getAddress(),
+            FEE,
+            amountIn,
+            0,
+            signer.address,
+            await deadline(),
+            permit,
+        ]);
+        return signForwardRequest(signer, forwarder, await dex.getAddress(), data, { deadline: await deadline() });
+    }
+
+    describe("Forwarder", function () {
+        it("Should be trusted by the DEX", async function () {
+            expect(await dex.isTrustedForwarder(await forwarder.getAddress())).to.equal(true);
+            expect(await dex.isTrustedForwarder(owner.address)).to.equal(false);
+        });
+
+        it("Should make the DEX see the signer as the caller", async function () {
+            const amount = ethers.parseEther("10");
+            const permits = [
+                await signPermit(user1, token0, await dex.getAddress(), amount, await deadline()),
+                await signPermit(user1, token1, await dex.getAddress(), amount, await deadline()),
+            ];
+            const data = dex.interface.encodeFunctionData("addLiquidityWithPermit", [
+                await token0.getAddress(),
+                await token1.getAddress(),
+                FEE,
+                amount,
+                amount,
+                0,
+                0,
+                user1.address,
+                await deadline(),
+                permits,
+            ]);
+            const request = await signForwardRequest(user1, forwarder, await dex.getAddress(), data, {
+                deadline: await deadline(),
+            });
+
+            await expect(forwarder.connect(relayerSigner).execute(request))
+                .to.emit(dex, "LiquidityAdded")
+                .withArgs(poolId, user1.address, amount, amount, amount, user1.address);
+            expect(await dex.liquidity(poolId, user1.address)).to.equal(amount);
+        });
+    });
+
+    describe("Relayer", function () {
+        it("Should relay a gasless swap", async function () {
+            const amountIn = ethers.parseEther("10");
+            const expectedOut = await dex.getAmountOut(amountIn, RESERVE, RESERVE, FEE);
+            const nativeBefore = await ethers.provider.getBalance(user1.address);
+
+            const result = await relayer.relay(await signedSwap(amountIn));
+            const receipt = await ethers.provider.getTransactionReceipt(result.hash);
+
+            expect(receipt.from).to.equal(relayerSigner.address);
+            expect(await token1.balanceOf(user1.address)).to.equal(ethers.parseEther("1000") + expectedOut);
+            expect(await ethers.provider.getBalance(user1.address)).to.equal(nativeBefore);
+            expect(result.remaining).to.equal(2);
+        });
+
+        it("Should reject a tampered request", async function () {
+            const request = await signedSwap(ethers.parseEther("10"));
+            request.gas = request.gas + 1n;
+
+            await expect(relayer.relay(request)).to.be.rejectedWith("Invalid signature");
+        });
+
+        it("Should reject targets other than the DEX", async function () {
+            const request = await signedSwap(ethers.parseEther("10"));
+            request.to = await token0.getAddress();
+
+            await expect(relayer.relay(request)).to.be.rejectedWith("Target not allowed");
+        });
+
+        it("Should reject requests whose call would revert", async function () {
+            // More than user1 holds
+            const request = await signedSwap(ethers.parseEther("5000"));
+
+            await expect(relayer.relay(request)).to.be.rejectedWith("Request would revert");
+        });
+
+        it("Should rate limit each user", async function () {
+            let clock = Date.now();
+            const limited = createRelayer({
+                forwarder: forwarder.connect(relayerSigner),
+                targets: [await dex.getAddress()],
+                rateLimit: { max: 2, windowMs: 60 * 1000 },
+                now: () => clock,
+            });
+
+            await limited.relay(await signedSwap(ethers.parseEther("1")));
+            await limited.relay(await signedSwap(ethers.parseEther("1")));
+            await expect(
+                limited.relay(await signedSwap(ethers.parseEther("1")))
+            ).to.be.rejectedWith("Rate limit exceeded");
+
+            // Other users keep their own quota
+            await limited.relay(await signedSwap(ethers.parseEther("1"), owner));
+
+            // The window slides
+            clock += 61 * 1000;
+            await limited.relay(await signedSwap(ethers.parseEther("1")));
+        });
+
+        it("Should serve requests over HTTP", async function () {
+            const server = createServer(relayer, relayerSigner);
+            await new Promise((resolve) => server.listen(0, resolve));
+            const url = `http://127.0.0.1:${server.address().port}`;
+
+            try {
+                const hash = await relay(url, await signedSwap(ethers.parseEther("10")));
+                expect((await ethers.provider.getTransactionReceipt(hash)).status).to.equal(1);
+
+                const request = await signedSwap(ethers.parseEther("10"));
+                request.to = await token0.getAddress();
+                await expect(relay(url, request)).to.be.rejectedWith("Target not allowed");
+            } finally {
+                server.close();
+            }
+        });
+
+        it("Should relay a request posted twice at the same time only once", async function () {
+            const server = createServer(relayer, relayerSigner);
+            await new Promise((resolve) => server.listen(0, resolve));
+            const url = `http://127.0.0.1:${server.address().port}`;
+
+            try {
+                const request = await signedSwap(ethers.parseEther("10"));
+                const body = JSON.stringify(request, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+                const nonceBefore = await relayerSigner.getNonce();
+
+                const responses = await Promise.all(
+                    [0, 1].map(() =>
+                        fetch(`${url}/relay`, { method: "POST", headers: { "Content-Type": "application/json" }, body })
+                    )
+                );
+                const results = await Promise.all(responses.map(async (response) => ({
+                    status: response.status,
+                    body: await response.json(),
+                })));
+
+                expect(results.map((result) => result.status).sort()).to.deep.equal([200, 409]);
+                expect(results.find((result) => result.status === 409).body.error).to.equal("Request already pending");
+                expect(await relayerSigner.getNonce()).to.equal(nonceBefore + 1);
+                expect(await forwarder.nonces(user1.address)).to.equal(1);
+            } finally {
+                server.close();
+            }
+        });
+
+        it("Should give parallel relays their own relayer nonces", async function () {
+            const requests = [await signedSwap(ethers.parseEther("1")), await signedSwap(ethers.parseEther("1"), owner)];
+
+            const results = await Promise.all(requests.map((request) => relayer.relay(request)));
+
+            const receipts = await Promise.all(results.map((result) => ethers.provider.getTransactionReceipt(result.hash)));
+            expect(receipts.map((receipt) => receipt.status)).to.deep.equal([1, 1]);
+            expect(await forwarder.nonces(user1.address)).to.equal(1);
+            expect(await forwarder.nonces(owner.address)).to.equal(1);
+        });
+
+        it("Should reject oversized bodies with 413 and keep serving", async function () {
+            const server = createServer(relayer, relayerSigner);
+            await new Promise((resolve) => server.listen(0, resolve));
+            const url = `http://127.0.0.1:${server.address().port}`;
+
+            try {
+                const response = await fetch(`${url}/relay`, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({ data: "0x" + "ab".repeat(512 * 1024) }),
+                });
+                expect(response.status).to.equal(413);
+                expect((await response.json()).error).to.equal("Request too large");
+
+                const hash = await relay(url, await signedSwap(ethers.parseEther("1")));
+                expect((await ethers.provider.getTransactionReceipt(hash)).status).to.equal(1);
+            } finally {
+                server.close();
+            }
+        });
+    });
+});
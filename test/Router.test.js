@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadPools, findBestPath } = require("../sdk/router");
+
+describe("Router", function () {
+    let dex, router, tokenA, tokenB, tokenC, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30; // 0.3% tier
+
+    async function seedPool(tokenX, tokenY, amountX, amountY, fee = FEE) {
+        // DEX.addLiquidity takes amounts in sorted token order
+        if ((await tokenX.getAddress()).toLowerCase() > (await tokenY.getAddress()).toLowerCase()) {
+            [tokenX, tokenY, amountX, amountY] = [tokenY, tokenX, amountY, amountX];
+        }
+        await dex.createPool(await tokenX.getAddress(), await tokenY.getAddress(), fee);
+        await tokenX.approve(await dex.getAddress(), amountX);
+        await tokenY.approve(await dex.getAddress(), amountY);
+        await dex.addLiquidity(await tokenX.getAddress(), await tokenY.getAddress(), fee, amountX, amountY);
+    }
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+        tokenC = await Token.deploy("Token C", "TKC", INITIAL_SUPPLY);
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        const WrappedNative = await ethers.getContractFactory("WrappedNative");
+        const wcore = await WrappedNative.deploy("Wrapped CORE", "WCORE");
+
+        const Router = await ethers.getContractFactory("Router");
+        router = await Router.deploy(await dex.getAddress(), await wcore.getAddress());
+        await router.waitForDeployment();
+
+        // A-B and B-C pools, no direct A-C pool
+        await seedPool(tokenA, tokenB, ethers.parseEther("1000"), ethers.parseEther("2000"));
+        await seedPool(tokenB, tokenC, ethers.parseEther("2000"), ethers.parseEther("4000"));
+
+        await tokenA.transfer(user1.address, ethers.parseEther("1000"));
+    });
+
+    describe("getAmountsOut", function () {
+        it("Should chain getAmountOut across every hop", async function () {
+            const amountIn = ethers.parseEther("10");
+            const path = [await tokenA.getAddress(), await tokenB.getAddress(), await tokenC.getAddress()];
+
+            const amounts = await router.getAmountsOut(amountIn, path, [FEE, FEE]);
+
+            const hop1 = await dex.getAmountOut(amountIn, ethers.parseEther("1000"), ethers.parseEther("2000"), FEE);
+            const hop2 = await dex.getAmountOut(hop1, ethers.parseEther("2000"), ethers.parseEther("4000"), FEE);
+
+            expect(amounts[0]).to.equal(amountIn);
+            expect(amounts[1]).to.equal(hop1);
+            expect(amounts[2]).to.equal(hop2);
+        });
+
+        it("Should fail for a path with a missing pool", async function () {
+            const path = [await tokenA.getAddress(), await tokenC.getAddress()];
+
+            await expect(
+                router.getAmountsOut(ethers.parseEther("1"), path, [FEE])
+            ).to.be.revertedWith("Pool doesn't exist");
+        });
+
+        it("Should fail for a single-token path", async function () {
+            await expect(
+                router.getAmountsOut(ethers.parseEther("1"), [await tokenA.getAddress()], [])
+            ).to.be.revertedWith("Invalid path");
+        });
+    });
+
+    describe("swapExactTokensForTokens", function () {
+        let path, fees, deadline;
+
+        beforeEach(async function () {
+            path = [await tokenA.getAddress(), await tokenB.getAddress(), await tokenC.getAddress()];
+            fees = [FEE, FEE];
+            deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+        });
+
+        it("Should swap A for C through the B pool", async function () {
+            const amountIn = ethers.parseEther("10");
+            const amounts = await router.getAmountsOut(amountIn, path, fees);
+
+            await tokenA.connect(user1).approve(await router.getAddress(), amountIn);
+            await router.connect(user1).swapExactTokensForTokens(amountIn, amounts[2], path, fees, user1.address, deadline);
+
+            expect(await tokenC.balanceOf(user1.address)).to.equal(amounts[2]);
+            expect(await tokenA.balanceOf(await router.getAddress())).to.equal(0);
+            expect(await tokenB.balanceOf(await router.getAddress())).to.equal(0);
+
+            console.log("10 TKA ->", ethers.formatEther(amounts[2]), "TKC");
+        });
+
+        it("Should send the output to the recipient", async function () {
+            const amountIn = ethers.parseEther("10");
+
+            await tokenA.connect(user1).approve(await router.getAddress(), amountIn);
+            await router.connect(user1).swapExactTokensForTokens(amountIn, 0, path, fees, owner.address, deadline);
+
+            expect(await tokenC.balanceOf(user1.address)).to.equal(0);
+        });
+
+        it("Should enforce a single minAmountOut for the whole path", async function () {
+            const amountIn = ethers.parseEther("10");
+            const amounts = await router.getAmountsOut(amountIn, path, fees);
+
+            await tokenA.connect(user1).approve(await router.getAddress(), amountIn);
+
+            await expect(
+                router.connect(user1).swapExactTokensForTokens(amountIn, amounts[2] + 1n, path, fees, user1.address, deadline)
+            ).to.be.revertedWith("Slippage exceeded");
+        });
+
+        it("Should route each hop through the given fee tier", async function () {
+            await seedPool(tokenA, tokenB, ethers.parseEther("1000"), ethers.parseEther("2000"), 5);
+            await seedPool(tokenB, tokenC, ethers.parseEther("2000"), ethers.parseEther("4000"), 5);
+
+            const amountIn = ethers.parseEther("10");
+            const stable = await router.getAmountsOut(amountIn, path, [5, 5]);
+            const standard = await router.getAmountsOut(amountIn, path, fees);
+            expect(stable[2]).to.be.gt(standard[2]);
+
+            await tokenA.connect(user1).approve(await router.getAddress(), amountIn);
+            await router.connect(user1).swapExactTokensForTokens(
+                amountIn, stable[2], path, [5, 5], user1.address, deadline
+            );
+
+            expect(await tokenC.balanceOf(user1.address)).to.equal(stable[2]);
+        });
+
+        it("Should fail when fees do not match the path", async function () {
+            await expect(
+                router.getAmountsOut(ethers.parseEther("1"), path, [FEE])
+            ).to.be.revertedWith("Invalid path");
+        });
+
+        it("Should fail after the deadline", async function () {
+            const amountIn = ethers.parseEther("10");
+            await tokenA.connect(user1).approve(await router.getAddress(), amountIn);
+
+            await expect(
+                router.connect(user1).swapExactTokensForTokens(amountIn, 0, path, fees, user1.address, 1)
+            ).to.be.revertedWith("Expired");
+        });
+    });
+
+    describe("Path finding helper", function () {
+        it("Should find the two-hop path when no direct pool exists", async function () {
+            const pools = await loadPools(dex);
+            const amountIn = ethers.parseEther("10");
+
+            const best = findBestPath(pools, await tokenA.getAddress(), await tokenC.getAddress(), amountIn);
+            const amounts = await router.getAmountsOut(amountIn, best.path, best.fees);
+
+            expect(best.path).to.deep.equal([
+                await tokenA.getAddress(),
+                await tokenB.getAddress(),
+                await tokenC.getAddress(),
+            ]);
+            expect(best.amountOut).to.equal(amounts[2]);
+        });
+
+        it("Should prefer a deeper indirect route over a shallow direct pool", async function () {
+            // Thin direct A-C pool at a much worse price
+            await seedPool(tokenA, tokenC, ethers.parseEther("10"), ethers.parseEther("10"));
+
+            const pools = await loadPools(dex);
+            const best = findBestPath(
+                pools,
+                await tokenA.getAddress(),
+                await tokenC.getAddress(),
+                ethers.parseEther("10")
+            );
+
+            expect(best.path.length).to.equal(3);
+        });
+
+        it("Should pick the cheaper fee tier for a pair", async function () {
+            await seedPool(tokenA, tokenB, ethers.parseEther("1000"), ethers.parseEther("2000"), 5);
+
+            const pools = await loadPools(dex);
+            const best = findBestPath(
+                pools,
+                await tokenA.getAddress(),
+                await tokenB.getAddress(),
+                ethers.parseEther("10")
+            );
+
+            expect(best.fees).to.deep.equal([5n]);
+        });
+
+        it("Should return null when tokens are not connected", async function () {
+            const Token = await ethers.getContractFactory("Token");
+            const tokenD = await Token.deploy("Token D", "TKD", INITIAL_SUPPLY);
+
+            const pools = await loadPools(dex);
+            const best = findBestPath(pools, await tokenA.getAddress(), await tokenD.getAddress(), 1n);
+
+            expect(best).to.equal(null);
+        });
+    });
+});
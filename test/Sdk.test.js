@@ -0,0 +1,266 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const sdk = require("../sdk");
+
+describe("SDK", function () {
+    let dex, client, token0, token1, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+
+    // Deterministic pseudo-random BigInts so failures reproduce
+    let seed = 1n;
+    function random(max) {
+        seed = (seed * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+        return ((seed * 2n ** 64n + seed) % max) + 1n;
+    }
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        await token0.approve(await dex.getAddress(), ethers.MaxUint256);
+        await token1.approve(await dex.getAddress(), ethers.MaxUint256);
+
+        // Through the SDK's own ABI, not the Hardhat artifact
+        client = sdk.createDexClient(sdk.connectDex(await dex.getAddress(), owner));
+    });
+
+    async function seedPool(amount0 = RESERVE, amount1 = RESERVE) {
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, amount0, amount1);
+    }
+
+    async function eventArgs(tx, name) {
+        const receipt = await tx.wait();
+        return receipt.logs
+            .map((log) => dex.interface.parseLog(log))
+            .find((parsed) => parsed && parsed.name === name).args;
+    }
+
+    describe("Pool lookup", function () {
+        it("Should derive the same pool id as the contract in either token order", async function () {
+            const a = await token0.getAddress();
+            const b = await token1.getAddress();
+
+            for (const fee of [5, 30, 100]) {
+                const expected = await dex.getPoolId(a, b, fee);
+                expect(sdk.getPoolId(a, b, fee)).to.equal(expected);
+                expect(sdk.getPoolId(b, a, fee)).to.equal(expected);
+                expect(sdk.getPoolId(a.toLowerCase(), b.toLowerCase(), fee)).to.equal(expected);
+            }
+        });
+
+        it("Should return the pool by pair and null for missing pools", async function () {
+            await seedPool();
+            const pool = await client.getPool(await token1.getAddress(), await token0.getAddress(), FEE);
+
+            expect(pool.token0).to.equal(await token0.getAddress());
+            expect(pool.reserve0).to.equal(RESERVE);
+            expect(pool.fee).to.equal(BigInt(FEE));
+            expect(await client.getPool(await token0.getAddress(), await token1.getAddress(), 100)).to.equal(null);
+        });
+    });
+
+    describe("Swap math", function () {
+        it("Should match getAmountOut and getAmountIn bit for bit", async function () {
+            for (let i = 0; i < 100; i++) {
+                const reserveIn = random(10n ** 30n);
+                const reserveOut = random(10n ** 30n);
+                const fee = [5, 30, 100][i % 3];
+
+                const amountIn = random(reserveIn * 3n);
+                expect(sdk.getAmountOut(amountIn, reserveIn, reserveOut, fee))
+                    .to.equal(await dex.getAmountOut(amountIn, reserveIn, reserveOut, fee));
+
+                const amountOut = random(reserveOut - 1n);
+                expect(sdk.getAmountIn(amountOut, reserveIn, reserveOut, fee))
+                    .to.equal(await dex.getAmountIn(amountOut, reserveIn, reserveOut, fee));
+            }
+        });
+
+        it("Should quote exactly what swaps return as reserves move", async function () {
+            await seedPool(RESERVE, ethers.parseEther("2500"));
+            const a = await token0.getAddress();
+            const b = await token1.getAddress();
+
+            for (let i = 0; i < 10; i++) {
+                const [tokenIn, tokenOut] = i % 2 === 0 ? [a, b] : [b, a];
+                const amountIn = random(ethers.parseEther("50"));
+
+                const quote = await client.quoteExactInput(tokenIn, tokenOut, FEE, amountIn);
+                const tx = await client.swapExactInput({ tokenIn, tokenOut, fee: FEE, amountIn, slippageBps: 0 });
+                expect((await eventArgs(tx, "Swap")).amountOut).to.equal(quote.amountOut);
+            }
+        });
+
+        it("Should charge exactly the quoted input for an exact output", async function () {
+            await seedPool();
+            const amountOut = ethers.parseEther("7");
+            const quote = await client.quoteExactOutput(await token0.getAddress(), await token1.getAddress(), FEE, amountOut);
+
+            const tx = await client.swapExactOutput({
+                tokenIn: await token0.getAddress(),
+                tokenOut: await token1.getAddress(),
+                fee: FEE,
+                amountOut,
+                slippageBps: 0,
+            });
+            expect((await eventArgs(tx, "Swap")).amountIn).to.equal(quote.amountIn);
+        });
+    });
+
+    describe("Liquidity previews", function () {
+        it("Should preview the first deposit, including the locked minimum", async function () {
+            const amount0 = ethers.parseEther("3");
+            const amount1 = ethers.parseEther("7");
+            const preview = await client.previewAddLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, amount0, amount1);
+
+            const tx = await client.addLiquidity({
+                tokenA: await token0.getAddress(),
+                tokenB: await token1.getAddress(),
+                fee: FEE,
+                amountADesired: amount0,
+                amountBDesired: amount1,
+            });
+            expect((await eventArgs(tx, "LiquidityAdded")).liquidity).to.equal(preview.liquidity);
+            expect((await client.getPool(await token0.getAddress(), await token1.getAddress(), FEE)).totalLiquidity)
+                .to.equal(preview.totalLiquidity);
+        });
+
+        it("Should match what deposits pull and mint at the pool ratio", async function () {
+            await seedPool(RESERVE, ethers.parseEther("1234.567"));
+            await dex.swap(await token0.getAddress(), await token1.getAddress(), FEE, ethers.parseEther("13"), 0);
+
+            for (let i = 0; i < 10; i++) {
+                const amount0Desired = random(ethers.parseEther("100"));
+                const amount1Desired = random(ethers.parseEther("100"));
+                // Pass the pair reversed; amounts follow the order the tokens are given in
+                const preview = await client.previewAddLiquidity(
+                    await token1.getAddress(),
+                    await token0.getAddress(),
+                    FEE,
+                    amount1Desired,
+                    amount0Desired
+                );
+
+                const tx = await client.addLiquidity({
+                    tokenA: await token1.getAddress(),
+                    tokenB: await token0.getAddress(),
+                    fee: FEE,
+                    amountADesired: amount1Desired,
+                    amountBDesired: amount0Desired,
+                    slippageBps: 0,
+                });
+                const added = await eventArgs(tx, "LiquidityAdded");
+                expect(added.amount0).to.equal(preview.amountB);
+                expect(added.amount1).to.equal(preview.amountA);
+                expect(added.liquidity).to.equal(preview.liquidity);
+            }
+        });
+
+        it("Should match what withdrawals pay out", async function () {
+            await seedPool(RESERVE, ethers.parseEther("777"));
+            await dex.swap(await token1.getAddress(), await token0.getAddress(), FEE, ethers.parseEther("21"), 0);
+
+            for (let i = 0; i < 5; i++) {
+                const liquidity = random(ethers.parseEther("50"));
+                const preview = await client.previewRemoveLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, liquidity);
+
+                const tx = await client.removeLiquidity({
+                    tokenA: await token0.getAddress(),
+                    tokenB: await token1.getAddress(),
+                    fee: FEE,
+                    liquidity,
+                    slippageBps: 0,
+                });
+                const removed = await eventArgs(tx, "LiquidityRemoved");
+                expect(removed.amount0).to.equal(preview.amountA);
+                expect(removed.amount1).to.equal(preview.amountB);
+            }
+        });
+    });
+
+    describe("Slippage", function () {
+        it("Should round minimums down and maximums up", function () {
+            expect(sdk.minAmount(10001n, 50)).to.equal(9950n);
+            expect(sdk.maxAmount(10001n, 50)).to.equal(10052n);
+            expect(sdk.minAmount(1000n, 0)).to.equal(1000n);
+            expect(() => sdk.minAmount(1000n, 10001)).to.throw("Invalid slippage");
+            expect(sdk.deadlineIn(60, 1000)).to.equal(1060n);
+        });
+    });
+
+    describe("Errors", function () {
+        beforeEach(async function () {
+            await seedPool();
+        });
+
+        async function decoded(promise) {
+            try {
+                await promise;
+            } catch (error) {
+                return sdk.decodeDexError(error);
+            }
+            expect.fail("Expected a revert");
+        }
+
+        it("Should decode revert strings", async function () {
+            const a = await token0.getAddress();
+            const b = await token1.getAddress();
+
+            const slippage = await decoded(dex.swap(a, b, FEE, ethers.parseEther("1"), ethers.parseEther("1")));
+            expect(slippage).to.be.instanceOf(sdk.DexError);
+            expect(slippage.code).to.equal("SLIPPAGE_EXCEEDED");
+            expect(slippage.reason).to.equal("Slippage exceeded");
+
+            const expired = await decoded(client.swapExactInput({ tokenIn: a, tokenOut: b, fee: FEE, amountIn: 1000n, deadline: 1 }));
+            expect(expired.code).to.equal("EXPIRED");
+
+            expect((await decoded(dex.createPool(a, b, FEE))).code).to.equal("POOL_EXISTS");
+            expect((await decoded(dex.createPool(a, b, 1))).code).to.equal("FEE_TIER_NOT_ENABLED");
+        });
+
+        it("Should decode OpenZeppelin custom errors with their arguments", async function () {
+            const unauthorized = await decoded(dex.connect(user1).setFeeTier(50, true));
+            expect(unauthorized.code).to.equal("UNAUTHORIZED");
+            expect(unauthorized.args[0]).to.equal(user1.address);
+            expect(unauthorized.args[1]).to.equal(await dex.FEE_MANAGER_ROLE());
+
+            const userClient = sdk.createDexClient(sdk.connectDex(await dex.getAddress(), user1));
+            await token0.transfer(user1.address, 1000n);
+            const allowance = await decoded(
+                userClient.swapExactInput({ tokenIn: await token0.getAddress(), tokenOut: await token1.getAddress(), fee: FEE, amountIn: 1000n })
+            );
+            expect(allowance.code).to.equal("INSUFFICIENT_ALLOWANCE");
+            expect(allowance.args[2]).to.equal(1000n);
+        });
+
+        it("Should throw the contract's errors from off-chain previews", async function () {
+            const a = await token0.getAddress();
+            const b = await token1.getAddress();
+
+            expect((await decoded(client.quoteExactInput(a, b, 100, 1000n))).code).to.equal("POOL_NOT_FOUND");
+            expect((await decoded(client.quoteExactOutput(a, b, FEE, RESERVE))).code).to.equal("INSUFFICIENT_LIQUIDITY");
+            expect((await decoded(client.previewAddLiquidity(a, b, FEE, 1n, 0n))).code).to.equal("INVALID_AMOUNTS");
+            expect((await decoded(client.previewRemoveLiquidity(a, b, FEE, RESERVE * 2n))).code)
+                .to.equal("INSUFFICIENT_LIQUIDITY");
+        });
+
+        it("Should return null for errors that aren't reverts", function () {
+            expect(sdk.decodeDexError(new Error("user rejected action"))).to.equal(null);
+            expect(sdk.decodeDexError(undefined)).to.equal(null);
+        });
+    });
+});
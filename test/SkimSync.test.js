@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Skim and Sync", function () {
+    let dex, token0, token1, tokenC, poolId, otherPoolId, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+        tokenC = await Token.deploy("Token C", "TKC", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+        await token0.approve(await dex.getAddress(), ethers.MaxUint256);
+        await token1.approve(await dex.getAddress(), ethers.MaxUint256);
+        await tokenC.approve(await dex.getAddress(), ethers.MaxUint256);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE, RESERVE);
+
+        // A second pool sharing token0
+        const [x, y] = (await token0.getAddress()).toLowerCase() < (await tokenC.getAddress()).toLowerCase()
+            ? [token0, tokenC]
+            : [tokenC, token0];
+        await dex.createPool(await x.getAddress(), await y.getAddress(), FEE);
+        otherPoolId = await dex.getPoolId(await x.getAddress(), await y.getAddress(), FEE);
+        await dex.addLiquidity(await x.getAddress(), await y.getAddress(), FEE, RESERVE, RESERVE);
+
+        await token0.transfer(user1.address, ethers.parseEther("1000"));
+    });
+
+    async function reserveOf(id, token) {
+        const pool = await dex.pools(id);
+        return pool.token0 === await token.getAddress() ? pool.reserve0 : pool.reserve1;
+    }
+
+    describe("Aggregate reserves", function () {
+        it("Should track each token across all pools", async function () {
+            expect(await dex.tokenReserves(await token0.getAddress())).to.equal(RESERVE * 2n);
+            expect(await dex.tokenReserves(await token1.getAddress())).to.equal(RESERVE);
+            expect(await dex.tokenReserves(await token0.getAddress()))
+                .to.equal(await token0.balanceOf(await dex.getAddress()));
+        });
+
+        it("Should stay equal to balances through swaps, fees and withdrawals", async function () {
+            await dex.setProtocolFeeShare(5000);
+            await dex.setProtocolFeeEnabled(poolId, true);
+
+            await token0.connect(user1).approve(await dex.getAddress(), ethers.parseEther("100"));
+            await dex.connect(user1).swap(await token0.getAddress(), await token1.getAddress(), FEE, ethers.parseEther("100"), 0);
+            await dex.collectProtocolFees(poolId);
+            await dex.removeLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, ethers.parseEther("500"));
+
+            for (const token of [token0, token1, tokenC]) {
+                expect(await dex.tokenReserves(await token.getAddress()))
+                    .to.equal(await token.balanceOf(await dex.getAddress()));
+            }
+        });
+    });
+
+    describe("skim", function () {
+        it("Should return tokens sent to the contract by mistake", async function () {
+            const mistake = ethers.parseEther("25");
+            await token0.connect(user1).transfer(await dex.getAddress(), mistake);
+
+            await expect(dex.skim(await token0.getAddress(), user1.address))
+                .to.emit(dex, "Skim")
+                .withArgs(await token0.getAddress(), user1.address, mistake);
+
+            expect(await token0.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+            expect(await token0.balanceOf(await dex.getAddress())).to.equal(RESERVE * 2n);
+        });
+
+        it("Should recover tokens that have no pool", async function () {
+            const Token = await ethers.getContractFactory("Token");
+            const stray = await Token.deploy("Stray", "STR", INITIAL_SUPPLY);
+            await stray.transfer(await dex.getAddress(), 100);
+
+            await dex.skim(await stray.getAddress(), user1.address);
+            expect(await stray.balanceOf(user1.address)).to.equal(100);
+        });
+
+        it("Should never touch pool funds", async function () {
+            await dex.skim(await token0.getAddress(), user1.address);
+
+            expect(await token0.balanceOf(await dex.getAddress())).to.equal(RESERVE * 2n);
+        });
+
+        it("Should fail if non-owner skims", async function () {
+            await expect(
+                dex.connect(user1).skim(await token0.getAddress(), user1.address)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("sync", function () {
+        it("Should credit the excess to one pool's LPs only", async function () {
+            const donation = ethers.parseEther("10");
+            await token0.connect(user1).transfer(await dex.getAddress(), donation);
+
+            await expect(dex.sync(poolId))
+                .to.emit(dex, "Sync")
+                .withArgs(poolId, RESERVE + donation, RESERVE);
+
+            expect(await reserveOf(poolId, token0)).to.equal(RESERVE + donation);
+            expect(await reserveOf(otherPoolId, token0)).to.equal(RESERVE);
+            expect(await dex.tokenReserves(await token0.getAddress())).to.equal(RESERVE * 2n + donation);
+
+            // Nothing left to skim
+            await dex.skim(await token0.getAddress(), user1.address);
+            expect(await token0.balanceOf(user1.address)).to.equal(ethers.parseEther("1000") - donation);
+        });
+
+        it("Should write a shortfall off against the synced pool", async function () {
+            const Token = await ethers.getContractFactory("Token");
+            const rebasing = await Token.deploy("Rebasing", "RB", INITIAL_SUPPLY);
+
+            const [x, y] = (await rebasing.getAddress()).toLowerCase() < (await token1.getAddress()).toLowerCase()
+                ? [rebasing, token1]
+                : [token1, rebasing];
+            await dex.createPool(await x.getAddress(), await y.getAddress(), FEE);
+            const id = await dex.getPoolId(await x.getAddress(), await y.getAddress(), FEE);
+            await rebasing.approve(await dex.getAddress(), RESERVE);
+            await dex.addLiquidity(await x.getAddress(), await y.getAddress(), FEE, RESERVE, RESERVE);
+
+            // Simulate a negative rebase by moving part of the DEX's balance out while impersonating it
+            await ethers.provider.send("hardhat_impersonateAccount", [await dex.getAddress()]);
+            await ethers.provider.send("hardhat_setBalance", [await dex.getAddress(), "0xde0b6b3a7640000"]);
+            const dexSigner = await ethers.getSigner(await dex.getAddress());
+            await rebasing.connect(dexSigner).transfer("0x000000000000000000000000000000000000dEaD", ethers.parseEther("50"));
+            await ethers.provider.send("hardhat_stopImpersonatingAccount", [await dex.getAddress()]);
+
+            await dex.sync(id);
+
+            expect(await reserveOf(id, rebasing)).to.equal(RESERVE - ethers.parseEther("50"));
+            expect(await dex.tokenReserves(await rebasing.getAddress()))
+                .to.equal(await rebasing.balanceOf(await dex.getAddress()));
+        });
+
+        it("Should fail on a pool without liquidity", async function () {
+            await dex.createPool(await token1.getAddress(), await tokenC.getAddress(), FEE);
+            const id = await dex.getPoolId(await token1.getAddress(), await tokenC.getAddress(), FEE);
+
+            await expect(dex.sync(id)).to.be.revertedWith("Insufficient liquidity");
+        });
+
+        it("Should fail if non-owner syncs", async function () {
+            await expect(
+                dex.connect(user1).sync(poolId)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+        });
+    });
+});
@@ -0,0 +1,439 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../sdk/permit");
+const { migrateOriginal, migrateOriginalInTwoSteps, isDelegationUnsupported } = require("../scripts/migrateLiquidity");
+const OriginalDEX = require("./fixtures/OriginalDEX.json");
+const OriginalToken = require("./fixtures/OriginalToken.json");
+
+describe("Upgrades", function () {
+    let DEX, dex, token0, token1, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE = ethers.parseEther("1000");
+    const UPGRADE_OPTIONS = { kind: "uups", constructorArgs: [ethers.ZeroAddress] };
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        DEX = await ethers.getContractFactory("DEX");
+        dex = await upgrades.deployProxy(DEX, [owner.address], UPGRADE_OPTIONS);
+        await dex.waitForDeployment();
+
+        await token0.approve(await dex.getAddress(), ethers.MaxUint256);
+        await token1.approve(await dex.getAddress(), ethers.MaxUint256);
+    });
+
+    async function seedPool(target) {
+        await target.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        await target.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE, RESERVE);
+        return target.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+    }
+
+    describe("Proxy", function () {
+        it("Should initialize roles and fee tiers through the proxy", async function () {
+            expect(await dex.hasRole(await dex.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+            expect(await dex.hasRole(await dex.PAUSER_ROLE(), owner.address)).to.equal(true);
+            expect(await dex.treasury()).to.equal(owner.address);
+            expect(await dex.feeTiers(FEE)).to.equal(true);
+        });
+
+        it("Should trade through the proxy", async function () {
+            await seedPool(dex);
+
+            await expect(
+                dex.swap(await token0.getAddress(), await token1.getAddress(), FEE, ethers.parseEther("1"), 0)
+            ).to.emit(dex, "Swap");
+        });
+
+        it("Should not initialize twice", async function () {
+            await expect(dex.initialize(user1.address)).to.be.revertedWithCustomError(dex, "InvalidInitialization");
+        });
+
+        it("Should fail if a non-admin upgrades", async function () {
+            const DEXV2 = await ethers.getContractFactory("DEXV2", user1);
+
+            await expect(
+                upgrades.upgradeProxy(await dex.getAddress(), DEXV2, UPGRADE_OPTIONS)
+            ).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("upgradeProxy", function () {
+        it("Should keep pools, reserves and roles across an upgrade", async function () {
+            const poolId = await seedPool(dex);
+            await dex.swap(await token0.getAddress(), await token1.getAddress(), FEE, ethers.parseEther("1"), 0);
+            const poolBefore = await dex.pools(poolId);
+            const implementationBefore = await upgrades.erc1967.getImplementationAddress(await dex.getAddress());
+
+            const DEXV2 = await ethers.getContractFactory("DEXV2");
+            const upgraded = await upgrades.upgradeProxy(await dex.getAddress(), DEXV2, {
+                ...UPGRADE_OPTIONS,
+                call: "initializeV2",
+            });
+
+            expect(await upgraded.getAddress()).to.equal(await dex.getAddress());
+            expect(await upgrades.erc1967.getImplementationAddress(await dex.getAddress())).to.not.equal(implementationBefore);
+            expect(await upgraded.version()).to.equal("2");
+            expect(await upgraded.upgradedAt()).to.be.gt(0);
+
+            const poolAfter = await upgraded.pools(poolId);
+            expect(poolAfter.reserve0).to.equal(poolBefore.reserve0);
+            expect(poolAfter.reserve1).to.equal(poolBefore.reserve1);
+            expect(poolAfter.lpToken).to.equal(poolBefore.lpToken);
+            expect(await upgraded.hasRole(await upgraded.FEE_MANAGER_ROLE(), owner.address)).to.equal(true);
+
+            // Pools created before the upgrade keep trading
+            await expect(
+                upgraded.swap(await token1.getAddress(), await token0.getAddress(), FEE, ethers.parseEther("1"), 0)
+            ).to.emit(upgraded, "Swap");
+        });
+
+        it("Should reject an implementation with an incompatible storage layout", async function () {
+            const StorageClash = await ethers.getContractFactory("StorageClash");
+
+            await expect(
+                upgrades.validateUpgrade(await dex.getAddress(), StorageClash, { kind: "uups" })
+            ).to.be.rejectedWith(/New storage layout is incompatible/);
+        });
+    });
+
+    describe("LiquidityMigrator", function () {
+        let legacy, migrator, legacyLp, liquidity;
+
+        beforeEach(async function () {
+            legacy = await DEX.deploy(ethers.ZeroAddress);
+            await legacy.waitForDeployment();
+            await token0.approve(await legacy.getAddress(), ethers.MaxUint256);
+            await token1.approve(await legacy.getAddress(), ethers.MaxUint256);
+            const legacyPoolId = await seedPool(legacy);
+            legacyLp = await ethers.getContractAt("LPToken", (await legacy.pools(legacyPoolId)).lpToken);
+
+            liquidity = ethers.parseEther("100");
+            await legacyLp.transfer(user1.address, liquidity);
+
+            const LiquidityMigrator = await ethers.getContractFactory("LiquidityMigrator");
+            migrator = await LiquidityMigrator.deploy(await dex.getAddress());
+            await migrator.waitForDeployment();
+        });
+
+        async function migrateWithPermit() {
+            const deadline = (await time.latest()) + 600;
+            const permit = await signPermit(user1, legacyLp, await migrator.getAddress(), liquidity, deadline);
+
+            return migrator.connect(user1).migrateWithPermit(
+                await legacy.getAddress(),
+                await token0.getAddress(),
+                await token1.getAddress(),
+                FEE,
+                liquidity,
+                0,
+                0,
+                deadline,
+                permit
+            );
+        }
+
+        it("Should move a legacy position in one transaction, creating the pool", async function () {
+            const poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+
+            await expect(migrateWithPermit())
+                .to.emit(migrator, "Migrated")
+                .withArgs(
+                    await legacy.getAddress(),
+                    poolId,
+                    user1.address,
+                    liquidity,
+                    liquidity,
+                    liquidity,
+                    liquidity - 1000n
+                );
+
+            const lpToken = await ethers.getContractAt("LPToken", (await dex.pools(poolId)).lpToken);
+            expect(await legacyLp.balanceOf(user1.address)).to.equal(0);
+            expect(await lpToken.balanceOf(user1.address)).to.equal(liquidity - 1000n);
+            expect(await token0.balanceOf(await migrator.getAddress())).to.equal(0);
+            expect(await token1.balanceOf(await migrator.getAddress())).to.equal(0);
+        });
+
+        it("Should refund what doesn't fit the new pool's ratio", async function () {
+            // New pool at 2 token0 per token1, legacy at 1:1
+            await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+            await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE * 2n, RESERVE);
+
+            await migrateWithPermit();
+
+            // 100 of each came out; 100 token0 fit against 50 token1
+            expect(await token0.balanceOf(user1.address)).to.equal(0);
+            expect(await token1.balanceOf(user1.address)).to.equal(ethers.parseEther("50"));
+        });
+
+        it("Should fail when migrating into the same DEX", async function () {
+            await expect(
+                migrator.connect(user1).migrate(
+                    await dex.getAddress(),
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    liquidity,
+                    0,
+                    0,
+                    ethers.MaxUint256
+                )
+            ).to.be.revertedWith("Same DEX");
+        });
+    });
+
+    // Against the bytecode of the first, pre-LP-token DEX and its plain ERC20s
+    describe("Migrating from the original DEX", function () {
+        let original, migrator, tokenA, tokenB, liquidity;
+
+        beforeEach(async function () {
+            const Token = new ethers.ContractFactory(OriginalToken.abi, OriginalToken.bytecode, owner);
+            const first = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+            const second = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+            [tokenA, tokenB] = (await first.getAddress()).toLowerCase() < (await second.getAddress()).toLowerCase()
+                ? [first, second]
+                : [second, first];
+
+            original = await new ethers.ContractFactory(OriginalDEX.abi, OriginalDEX.bytecode, owner).deploy();
+            await original.waitForDeployment();
+            await original.createPool(await tokenA.getAddress(), await tokenB.getAddress());
+            await tokenA.approve(await original.getAddress(), ethers.MaxUint256);
+            await tokenB.approve(await original.getAddress(), ethers.MaxUint256);
+            await original.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), RESERVE, RESERVE);
+
+            // Positions can't be transferred, so user1 deposits its own
+            liquidity = ethers.parseEther("100");
+            await tokenA.transfer(user1.address, liquidity);
+            await tokenB.transfer(user1.address, liquidity);
+            await tokenA.connect(user1).approve(await original.getAddress(), liquidity);
+            await tokenB.connect(user1).approve(await original.getAddress(), liquidity);
+            await original.connect(user1).addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), liquidity, liquidity);
+
+            const LiquidityMigrator = await ethers.getContractFactory("LiquidityMigrator");
+            migrator = await LiquidityMigrator.deploy(await dex.getAddress());
+            await migrator.waitForDeployment();
+        });
+
+        async function migrationData(overrides = {}) {
+            return migrator.interface.encodeFunctionData("migrateFromOriginal", [
+                await original.getAddress(),
+                await tokenA.getAddress(),
+                await tokenB.getAddress(),
+                FEE,
+                liquidity,
+                0,
+                0,
+                overrides.deadline ?? (await time.latest()) + 600,
+            ]);
+        }
+
+        // Delegate user1 to the migrator and call itself in the same transaction
+        async function sendDelegated(data) {
+            const authorization = await user1.authorize({
+                address: await migrator.getAddress(),
+                nonce: (await user1.getNonce()) + 1,
+            });
+            return user1.sendTransaction({ to: user1.address, data, authorizationList: [authorization] });
+        }
+
+        async function originalLiquidity(account) {
+            return original.liquidity(
+                await original.getPoolId(await tokenA.getAddress(), await tokenB.getAddress()),
+                account
+            );
+        }
+
+        async function quietly(fn) {
+            const log = console.log;
+            console.log = () => {};
+            try {
+                return await fn();
+            } finally {
+                console.log = log;
+            }
+        }
+
+        it("Should move a position in one transaction from the account itself", async function () {
+            const poolId = await dex.getPoolId(await tokenA.getAddress(), await tokenB.getAddress(), FEE);
+
+            await expect(sendDelegated(await migrationData()))
+                .to.emit(migrator.attach(user1.address), "Migrated")
+                .withArgs(
+                    await original.getAddress(),
+                    poolId,
+                    user1.address,
+                    liquidity,
+                    liquidity,
+                    liquidity,
+                    liquidity - 1000n
+                );
+
+            const lpToken = await ethers.getContractAt("LPToken", (await dex.pools(poolId)).lpToken);
+            expect(await originalLiquidity(user1.address)).to.equal(0);
+            expect(await lpToken.balanceOf(user1.address)).to.equal(liquidity - 1000n);
+            expect(await tokenA.allowance(user1.address, await dex.getAddress())).to.equal(0);
+            expect(await tokenB.allowance(user1.address, await dex.getAddress())).to.equal(0);
+        });
+
+        it("Should keep what doesn't fit the new pool's ratio and drop its allowance", async function () {
+            await tokenA.approve(await dex.getAddress(), ethers.MaxUint256);
+            await tokenB.approve(await dex.getAddress(), ethers.MaxUint256);
+            await dex.createPool(await tokenA.getAddress(), await tokenB.getAddress(), FEE);
+            await dex.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), FEE, RESERVE * 2n, RESERVE);
+
+            await sendDelegated(await migrationData());
+
+            // 100 of each came out; 100 tokenA fit against 50 tokenB
+            expect(await tokenA.balanceOf(user1.address)).to.equal(0);
+            expect(await tokenB.balanceOf(user1.address)).to.equal(ethers.parseEther("50"));
+            expect(await tokenB.allowance(user1.address, await dex.getAddress())).to.equal(0);
+        });
+
+        it("Should only run as the delegating account's own call", async function () {
+            await expect(
+                user1.sendTransaction({ to: await migrator.getAddress(), data: await migrationData() })
+            ).to.be.revertedWith("Not delegated");
+
+            // Sponsored by owner, so user1 stays delegated afterwards
+            const authorization = await user1.authorize({ address: await migrator.getAddress() });
+            await owner.sendTransaction({ to: owner.address, authorizationList: [authorization] });
+
+            const delegated = migrator.attach(user1.address);
+            await expect(
+                owner.sendTransaction({ to: user1.address, data: await migrationData() })
+            ).to.be.revertedWith("Not delegated");
+            await expect(
+                delegated.connect(owner).migrate(
+                    await original.getAddress(),
+                    await tokenA.getAddress(),
+                    await tokenB.getAddress(),
+                    FEE,
+                    liquidity,
+                    0,
+                    0,
+                    ethers.MaxUint256
+                )
+            ).to.be.revertedWith("Delegated call");
+            expect(await originalLiquidity(user1.address)).to.equal(liquidity);
+        });
+
+        it("Should fail after the deadline", async function () {
+            await expect(sendDelegated(await migrationData({ deadline: 1 }))).to.be.revertedWith("Expired");
+        });
+
+        it("Should deposit what the legacy DEX paid out, not what it reported", async function () {
+            const OverreportingDEX = await ethers.getContractFactory("OverreportingDEX");
+            const overreporting = await OverreportingDEX.deploy();
+            await tokenA.transfer(await overreporting.getAddress(), liquidity);
+            await tokenB.transfer(await overreporting.getAddress(), liquidity);
+            // Tokens user1 holds besides the position must stay put
+            await tokenA.transfer(user1.address, liquidity);
+            await tokenB.transfer(user1.address, liquidity);
+
+            const data = migrator.interface.encodeFunctionData("migrateFromOriginal", [
+                await overreporting.getAddress(),
+                await tokenA.getAddress(),
+                await tokenB.getAddress(),
+                FEE,
+                liquidity,
+                0,
+                0,
+                (await time.latest()) + 600,
+            ]);
+            await expect(sendDelegated(data))
+                .to.emit(migrator.attach(user1.address), "Migrated")
+                .withArgs(
+                    await overreporting.getAddress(),
+                    await dex.getPoolId(await tokenA.getAddress(), await tokenB.getAddress(), FEE),
+                    user1.address,
+                    liquidity,
+                    liquidity / 2n,
+                    liquidity / 2n,
+                    liquidity / 2n - 1000n
+                );
+
+            expect(await tokenA.balanceOf(user1.address)).to.equal(liquidity);
+            expect(await tokenB.balanceOf(user1.address)).to.equal(liquidity);
+        });
+
+        it("Should migrate through the script and clear the delegation", async function () {
+            const receipt = await quietly(async () =>
+                migrateOriginal(
+                    user1,
+                    dex.connect(user1),
+                    await original.getAddress(),
+                    await migrator.getAddress(),
+                    await tokenA.getAddress(),
+                    await tokenB.getAddress(),
+                    FEE,
+                    50n,
+                    (await time.latest()) + 600
+                )
+            );
+
+            expect(receipt.type).to.equal(4);
+            expect(await originalLiquidity(user1.address)).to.equal(0);
+            expect(await dex.liquidity(
+                await dex.getPoolId(await tokenA.getAddress(), await tokenB.getAddress(), FEE),
+                user1.address
+            )).to.equal(liquidity - 1000n);
+            expect(await ethers.provider.getCode(user1.address)).to.equal("0x");
+        });
+
+        it("Should stop on errors other than missing EIP-7702 support", async function () {
+            await expect(quietly(async () =>
+                migrateOriginal(
+                    user1,
+                    dex.connect(user1),
+                    await original.getAddress(),
+                    await migrator.getAddress(),
+                    await tokenA.getAddress(),
+                    await tokenB.getAddress(),
+                    FEE,
+                    50n,
+                    1
+                )
+            )).to.be.rejectedWith("Expired");
+            expect(await originalLiquidity(user1.address)).to.equal(liquidity);
+
+            expect(isDelegationUnsupported(new Error(
+                "The transaction contains EIP-7702 parameters, but they are not supported by the current hardfork: SHANGHAI."
+            ))).to.equal(true);
+            expect(isDelegationUnsupported(new Error("transaction type not supported"))).to.equal(true);
+            expect(isDelegationUnsupported(new Error("insufficient funds for gas * price + value"))).to.equal(false);
+        });
+
+        it("Should fall back to approvals for tokens without permit", async function () {
+            await quietly(async () =>
+                migrateOriginalInTwoSteps(
+                    user1,
+                    dex.connect(user1),
+                    original.connect(user1),
+                    await tokenA.getAddress(),
+                    await tokenB.getAddress(),
+                    FEE,
+                    liquidity,
+                    50n,
+                    (await time.latest()) + 600
+                )
+            );
+
+            expect(await originalLiquidity(user1.address)).to.equal(0);
+            expect(await dex.liquidity(
+                await dex.getPoolId(await tokenA.getAddress(), await tokenB.getAddress(), FEE),
+                user1.address
+            )).to.equal(liquidity - 1000n);
+            expect(await tokenA.balanceOf(user1.address)).to.equal(0);
+        });
+    });
+});
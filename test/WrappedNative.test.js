@@ -0,0 +1,246 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Native Coin", function () {
+    let dex, router, wcore, token, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const TOKEN_RESERVE = ethers.parseEther("2000");
+    const NATIVE_RESERVE = ethers.parseEther("100");
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        token = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+
+        const WrappedNative = await ethers.getContractFactory("WrappedNative");
+        wcore = await WrappedNative.deploy("Wrapped CORE", "WCORE");
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        const Router = await ethers.getContractFactory("Router");
+        router = await Router.deploy(await dex.getAddress(), await wcore.getAddress());
+        await router.waitForDeployment();
+
+        await dex.createPool(await token.getAddress(), await wcore.getAddress(), FEE);
+
+        await token.transfer(user1.address, ethers.parseEther("10000"));
+        await token.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+    });
+
+    async function deadline() {
+        return (await time.latest()) + 600;
+    }
+
+    async function seedPool() {
+        await token.approve(await router.getAddress(), TOKEN_RESERVE);
+        await router.addLiquidityNative(
+            await token.getAddress(),
+            FEE,
+            TOKEN_RESERVE,
+            0,
+            0,
+            owner.address,
+            await deadline(),
+            { value: NATIVE_RESERVE }
+        );
+    }
+
+    async function poolId() {
+        return dex.getPoolId(await token.getAddress(), await wcore.getAddress(), FEE);
+    }
+
+    async function reserves() {
+        const pool = await dex.pools(await poolId());
+        return pool.token0 === await token.getAddress()
+            ? { token: pool.reserve0, native: pool.reserve1 }
+            : { token: pool.reserve1, native: pool.reserve0 };
+    }
+
+    describe("WrappedNative", function () {
+        it("Should wrap and unwrap 1:1", async function () {
+            const amount = ethers.parseEther("5");
+
+            await expect(wcore.connect(user1).deposit({ value: amount }))
+                .to.emit(wcore, "Deposit")
+                .withArgs(user1.address, amount);
+            expect(await wcore.balanceOf(user1.address)).to.equal(amount);
+            expect(await ethers.provider.getBalance(await wcore.getAddress())).to.equal(amount);
+
+            await expect(wcore.connect(user1).withdraw(amount)).to.changeEtherBalance(user1, amount);
+            expect(await wcore.balanceOf(user1.address)).to.equal(0);
+        });
+
+        it("Should wrap plain transfers", async function () {
+            const amount = ethers.parseEther("1");
+            await user1.sendTransaction({ to: await wcore.getAddress(), value: amount });
+
+            expect(await wcore.balanceOf(user1.address)).to.equal(amount);
+        });
+
+        it("Should fail withdrawing more than the balance", async function () {
+            await expect(
+                wcore.connect(user1).withdraw(1)
+            ).to.be.revertedWithCustomError(wcore, "ERC20InsufficientBalance");
+        });
+    });
+
+    describe("addLiquidityNative", function () {
+        it("Should seed a pool with the native coin", async function () {
+            await seedPool();
+
+            const pool = await reserves();
+            expect(pool.token).to.equal(TOKEN_RESERVE);
+            expect(pool.native).to.equal(NATIVE_RESERVE);
+            expect(await dex.liquidity(await poolId(), owner.address)).to.be.gt(0);
+
+            // Nothing is left behind in the router
+            expect(await ethers.provider.getBalance(await router.getAddress())).to.equal(0);
+            expect(await wcore.balanceOf(await router.getAddress())).to.equal(0);
+        });
+
+        it("Should refund native coin above the pool ratio", async function () {
+            await seedPool();
+
+            // 20 tokens match 1 native at 2000:100, send 5
+            const tx = router.connect(user1).addLiquidityNative(
+                await token.getAddress(),
+                FEE,
+                ethers.parseEther("20"),
+                0,
+                0,
+                user1.address,
+                await deadline(),
+                { value: ethers.parseEther("5") }
+            );
+
+            await expect(tx).to.changeEtherBalance(user1, -ethers.parseEther("1"));
+            expect((await reserves()).native).to.equal(NATIVE_RESERVE + ethers.parseEther("1"));
+        });
+
+        it("Should fail below the minimum amounts", async function () {
+            await seedPool();
+
+            await expect(
+                router.connect(user1).addLiquidityNative(
+                    await token.getAddress(),
+                    FEE,
+                    ethers.parseEther("20"),
+                    0,
+                    ethers.parseEther("2"),
+                    user1.address,
+                    await deadline(),
+                    { value: ethers.parseEther("5") }
+                )
+            ).to.be.revertedWith("Slippage exceeded");
+        });
+    });
+
+    describe("removeLiquidityNative", function () {
+        beforeEach(seedPool);
+
+        it("Should pay out the native side unwrapped", async function () {
+            const lpToken = await ethers.getContractAt("LPToken", (await dex.pools(await poolId())).lpToken);
+            const lpBalance = await lpToken.balanceOf(owner.address);
+            await lpToken.approve(await router.getAddress(), lpBalance);
+
+            const pool = await reserves();
+            const totalLiquidity = (await dex.pools(await poolId())).totalLiquidity;
+            const expectedToken = (lpBalance * pool.token) / totalLiquidity;
+            const expectedNative = (lpBalance * pool.native) / totalLiquidity;
+
+            const tokenBefore = await token.balanceOf(user1.address);
+            const tx = router.removeLiquidityNative(
+                await token.getAddress(),
+                FEE,
+                lpBalance,
+                0,
+                0,
+                user1.address,
+                await deadline()
+            );
+
+            await expect(tx).to.changeEtherBalance(user1, expectedNative);
+            expect(await token.balanceOf(user1.address) - tokenBefore).to.equal(expectedToken);
+            expect(await wcore.balanceOf(await router.getAddress())).to.equal(0);
+        });
+
+        it("Should fail below the minimum amounts", async function () {
+            const lpToken = await ethers.getContractAt("LPToken", (await dex.pools(await poolId())).lpToken);
+            const lpBalance = await lpToken.balanceOf(owner.address);
+            await lpToken.approve(await router.getAddress(), lpBalance);
+
+            await expect(
+                router.removeLiquidityNative(
+                    await token.getAddress(),
+                    FEE,
+                    lpBalance,
+                    0,
+                    NATIVE_RESERVE + 1n,
+                    owner.address,
+                    await deadline()
+                )
+            ).to.be.revertedWith("Slippage exceeded");
+        });
+    });
+
+    describe("Swaps", function () {
+        beforeEach(seedPool);
+
+        it("Should swap native coin for tokens", async function () {
+            const amountIn = ethers.parseEther("1");
+            const expectedOut = await dex.getAmountOut(amountIn, NATIVE_RESERVE, TOKEN_RESERVE, FEE);
+            const balanceBefore = await token.balanceOf(user1.address);
+
+            await router.connect(user1).swapExactNativeForTokens(
+                expectedOut,
+                [await wcore.getAddress(), await token.getAddress()],
+                [FEE],
+                user1.address,
+                await deadline(),
+                { value: amountIn }
+            );
+
+            expect(await token.balanceOf(user1.address) - balanceBefore).to.equal(expectedOut);
+            expect((await reserves()).native).to.equal(NATIVE_RESERVE + amountIn);
+        });
+
+        it("Should swap tokens for native coin", async function () {
+            const amountIn = ethers.parseEther("20");
+            const expectedOut = await dex.getAmountOut(amountIn, TOKEN_RESERVE, NATIVE_RESERVE, FEE);
+
+            const tx = router.connect(user1).swapExactTokensForNative(
+                amountIn,
+                expectedOut,
+                [await token.getAddress(), await wcore.getAddress()],
+                [FEE],
+                user1.address,
+                await deadline()
+            );
+
+            await expect(tx).to.changeEtherBalance(user1, expectedOut);
+            console.log("Received", ethers.formatEther(expectedOut), "tCORE for 20 TKA");
+        });
+
+        it("Should fail if the path does not start or end with the wrapped native token", async function () {
+            const path = [await token.getAddress(), await wcore.getAddress()];
+
+            await expect(
+                router.connect(user1).swapExactNativeForTokens(0, path, [FEE], user1.address, await deadline(), { value: 1 })
+            ).to.be.revertedWith("Invalid path");
+            await expect(
+                router.connect(user1).swapExactTokensForNative(1, 0, [...path].reverse(), [FEE], user1.address, await deadline())
+            ).to.be.revertedWith("Invalid path");
+        });
+
+        it("Should reject plain transfers to the router", async function () {
+            await expect(
+                user1.sendTransaction({ to: await router.getAddress(), value: 1 })
+            ).to.be.revertedWith("Not wrapped native");
+        });
+    });
+});
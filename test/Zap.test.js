@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Zap", function () {
+    let dex, router, token0, token1, poolId, lpToken, owner, user1;
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const FEE = 30;
+    const RESERVE0 = ethers.parseEther("1000");
+    const RESERVE1 = ethers.parseEther("3000");
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        const tokenA = await Token.deploy("Token A", "TKA", INITIAL_SUPPLY);
+        const tokenB = await Token.deploy("Token B", "TKB", INITIAL_SUPPLY);
+
+        [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(ethers.ZeroAddress);
+        await dex.waitForDeployment();
+
+        const WrappedNative = await ethers.getContractFactory("WrappedNative");
+        const wcore = await WrappedNative.deploy("Wrapped CORE", "WCORE");
+
+        const Router = await ethers.getContractFactory("Router");
+        router = await Router.deploy(await dex.getAddress(), await wcore.getAddress());
+        await router.waitForDeployment();
+
+        await dex.createPool(await token0.getAddress(), await token1.getAddress(), FEE);
+        poolId = await dex.getPoolId(await token0.getAddress(), await token1.getAddress(), FEE);
+        lpToken = await ethers.getContractAt("LPToken", (await dex.pools(poolId)).lpToken);
+
+        await token0.approve(await dex.getAddress(), RESERVE0);
+        await token1.approve(await dex.getAddress(), RESERVE1);
+        await dex.addLiquidity(await token0.getAddress(), await token1.getAddress(), FEE, RESERVE0, RESERVE1);
+
+        await token0.transfer(user1.address, ethers.parseEther("1000"));
+        await token1.transfer(user1.address, ethers.parseEther("1000"));
+        await token0.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+        await token1.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+    });
+
+    async function deadline() {
+        return (await time.latest()) + 600;
+    }
+
+    describe("Ratio-mismatched deposits", function () {
+        it("Should leave the unused excess with the depositor", async function () {
+            await token0.connect(user1).approve(await dex.getAddress(), ethers.MaxUint256);
+            await token1.connect(user1).approve(await dex.getAddress(), ethers.MaxUint256);
+            const balance1Before = await token1.balanceOf(user1.address);
+
+            // 10 token0 match 30 token1, offer 100
+            await dex.connect(user1).addLiquidity(
+                await token0.getAddress(),
+                await token1.getAddress(),
+                FEE,
+                ethers.parseEther("10"),
+                ethers.parseEther("100")
+            );
+
+            expect(balance1Before - await token1.balanceOf(user1.address)).to.equal(ethers.parseEther("30"));
+            expect((await dex.pools(poolId)).reserve1).to.equal(RESERVE1 + ethers.parseEther("30"));
+        });
+    });
+
+    describe("zapIn", function () {
+        it("Should deposit a single token at the pool ratio", async function () {
+            const amountIn = ethers.parseEther("100");
+            const balance0Before = await token0.balanceOf(user1.address);
+            const balance1Before = await token1.balanceOf(user1.address);
+
+            await router.connect(user1).zapIn(
+                await token0.getAddress(),
+                await token1.getAddress(),
+                FEE,
+                amountIn,
+                1,
+                user1.address,
+                await deadline()
+            );
+
+            expect(await lpToken.balanceOf(user1.address)).to.be.gt(0);
+
+            // Almost nothing is left over, and it went back to the user
+            const spent0 = balance0Before - await token0.balanceOf(user1.address);
+            const refund1 = await token1.balanceOf(user1.address) - balance1Before;
+            expect(amountIn - spent0).to.be.lt(amountIn / 10000n);
+            expect(refund1).to.be.lt(ethers.parseEther("0.01"));
+
+            expect(await token0.balanceOf(await router.getAddress())).to.equal(0);
+            expect(await token1.balanceOf(await router.getAddress())).to.equal(0);
+
+            console.log("Zap in leftover:", ethers.formatEther(amountIn - spent0), "token0,", ethers.formatEther(refund1), "token1");
+        });
+
+        it("Should split the input so both sides end up in the pool ratio", async function () {
+            const amountIn = ethers.parseEther("250");
+            const swapAmount = await router.getZapSwapAmount(amountIn, RESERVE1, FEE);
+
+            const swapOut = await dex.getAmountOut(swapAmount, RESERVE1, RESERVE0, FEE);
+            const reserve1After = RESERVE1 + swapAmount;
+            const reserve0After = RESERVE0 - swapOut;
+
+            // (amountIn - swapAmount) / swapOut == reserve1After / reserve0After, to within rounding
+            const lhs = (amountIn - swapAmount) * reserve0After;
+            const rhs = swapOut * reserve1After;
+            const diff = lhs > rhs ? lhs - rhs : rhs - lhs;
+            expect(diff * 1000000n).to.be.lt(rhs);
+        });
+
+        it("Should fail below the minimum liquidity", async function () {
+            await expect(
+                router.connect(user1).zapIn(
+                    await token0.getAddress(),
+                    await token1.getAddress(),
+                    FEE,
+                    ethers.parseEther("100"),
+                    ethers.MaxUint256,
+                    user1.address,
+                    await deadline()
+                )
+            ).to.be.revertedWith("Slippage exceeded");
+        });
+    });
+
+    describe("zapOut", function () {
+        it("Should pay out everything in the chosen token", async function () {
+            const liquidity = (await lpToken.balanceOf(owner.address)) / 10n;
+            await lpToken.approve(await router.getAddress(), liquidity);
+
+            const pool = await dex.pools(poolId);
+            const direct = (liquidity * pool.reserve1) / pool.totalLiquidity;
+            const other = (liquidity * pool.reserve0) / pool.totalLiquidity;
+            const swapped = await dex.getAmountOut(other, pool.reserve0 - other, pool.reserve1 - direct, FEE);
+
+            const balance0Before = await token0.balanceOf(user1.address);
+            await router.zapOut(
+                await token1.getAddress(),
+                await token0.getAddress(),
+                FEE,
+                liquidity,
+                direct + swapped,
+                user1.address,
+                await deadline()
+            );
+
+            expect(await token1.balanceOf(user1.address)).to.equal(ethers.parseEther("1000") + direct + swapped);
+            expect(await token0.balanceOf(user1.address)).to.equal(balance0Before);
+            expect(await token0.balanceOf(await router.getAddress())).to.equal(0);
+        });
+
+        it("Should fail below the minimum output", async function () {
+            const liquidity = (await lpToken.balanceOf(owner.address)) / 10n;
+            await lpToken.approve(await router.getAddress(), liquidity);
+
+            await expect(
+                router.zapOut(
+                    await token1.getAddress(),
+                    await token0.getAddress(),
+                    FEE,
+                    liquidity,
+                    ethers.parseEther("600"),
+                    user1.address,
+                    await deadline()
+                )
+            ).to.be.revertedWith("Slippage exceeded");
+        });
+    });
+});